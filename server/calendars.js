@@ -0,0 +1,91 @@
+const { listCalendars } = require("./googleCalendar");
+const { syncCalendarEvents } = require("./eventSync");
+
+const MAX_CALENDARS = 10;
+
+// `calendarIds` and `displayOnly` arrive as arrays (JSON bodies) or comma-separated query
+// strings. A lone `calendarId` still selects a single calendar.
+function resolveCalendarSelection({ calendarIds, calendarId, displayOnly } = {}) {
+  const ids = toList(calendarIds);
+  const selected = (ids.length ? ids : [calendarId || "primary"]).slice(0, MAX_CALENDARS);
+  const displayOnlyIds = toList(displayOnly).filter((id) => selected.includes(id));
+  return {
+    calendarIds: selected,
+    displayOnly: displayOnlyIds,
+    // Writes without a calendar of their own (new events, recovery blocks) go here.
+    defaultCalendarId: selected.find((id) => !displayOnlyIds.includes(id)) || selected[0],
+  };
+}
+
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value || "").split(",");
+  return [...new Set(items.map((item) => String(item).trim()).filter(Boolean))];
+}
+
+// Fetches every selected calendar at once and merges them into one timeline.
+async function fetchMergedCalendarEvents({
+  calendarIds,
+  displayOnly = [],
+  timeMin,
+  timeMax,
+  sessionId,
+  ledger,
+}) {
+  const [known, ...synced] = await Promise.all([
+    listCalendars({ sessionId }),
+    ...calendarIds.map((calendarId) =>
+      syncCalendarEvents({ timeMin, timeMax, calendarId, sessionId, ledger })
+    ),
+  ]);
+
+  const calendars = calendarIds.map((calendarId, index) => {
+    const info = known.find(
+      (item) => item.id === calendarId || (calendarId === "primary" && item.primary)
+    );
+    return {
+      id: calendarId,
+      name: info?.summary || calendarId,
+      color: info?.backgroundColor || null,
+      countsTowardCapacity: !displayOnly.includes(calendarId),
+      sync: synced[index].sync,
+    };
+  });
+
+  const tagged = synced.map(({ events }, index) => {
+    const calendar = calendars[index];
+    return events.map((event) => ({
+      ...event,
+      calendarId: calendar.id,
+      calendarName: calendar.name,
+      calendarColor: calendar.color,
+      countsTowardCapacity: calendar.countsTowardCapacity,
+    }));
+  });
+
+  return { events: mergeCalendarEvents(tagged), calendars };
+}
+
+// An invitation shows up on every calendar that received it, with the same iCalUID. The copy
+// that counts toward capacity wins, then the one from the calendar selected first; `calendarIds`
+// lists every calendar the meeting is on.
+function mergeCalendarEvents(lists) {
+  const merged = new Map();
+  for (const event of lists.flat()) {
+    const key = `${event.iCalUID || event.id}|${event.start}`;
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, { ...event, calendarIds: [event.calendarId] });
+      continue;
+    }
+    const calendarIds = [...existing.calendarIds, event.calendarId];
+    const keep = !existing.countsTowardCapacity && event.countsTowardCapacity ? event : existing;
+    merged.set(key, { ...keep, calendarIds });
+  }
+  return [...merged.values()].sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+module.exports = {
+  resolveCalendarSelection,
+  fetchMergedCalendarEvents,
+  mergeCalendarEvents,
+};
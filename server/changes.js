@@ -0,0 +1,259 @@
+const crypto = require("crypto");
+const path = require("path");
+const { createMemoryStore, createJsonFileStore } = require("./jsonStore");
+const {
+  getCalendarEvent,
+  moveCalendarEvent,
+  restoreEventTimes,
+  deleteCalendarEvent,
+  restoreCalendarEvent,
+  insertRecoveryBlock,
+  insertFocusBlock,
+  isPermissionError,
+  describeGoogleError,
+} = require("./googleCalendar");
+
+const DEFAULT_JOURNAL_PATH = path.join(__dirname, "data", "changes.json");
+const MAX_BATCHES = 50;
+const CHANGE_TYPES = ["move", "delete", "insert_recovery", "insert_focus"];
+const INSERT_TYPES = ["insert_recovery", "insert_focus"];
+
+let activeStore = null;
+
+function getJournalStore() {
+  if (!activeStore) {
+    activeStore =
+      process.env.CHANGE_JOURNAL === "memory"
+        ? createMemoryStore()
+        : createJsonFileStore(process.env.CHANGE_JOURNAL_PATH || DEFAULT_JOURNAL_PATH);
+  }
+  return activeStore;
+}
+
+function setJournalStore(store) {
+  activeStore = store;
+}
+
+async function listChangeBatches(userId) {
+  return (await getJournalStore().get(userId)) || [];
+}
+
+function validateChanges(changes) {
+  if (!Array.isArray(changes) || !changes.length) {
+    throw new ChangeValidationError("changes must be a non-empty array.");
+  }
+  for (const change of changes) {
+    if (!CHANGE_TYPES.includes(change?.type)) {
+      throw new ChangeValidationError(`type must be one of ${CHANGE_TYPES.join(", ")}.`);
+    }
+    if (!INSERT_TYPES.includes(change.type) && !change.eventId) {
+      throw new ChangeValidationError(`${change.type} needs an eventId.`);
+    }
+    const { calendarId } = change;
+    if (calendarId !== undefined && (!calendarId || typeof calendarId !== "string")) {
+      throw new ChangeValidationError("calendarId must be a calendar id.");
+    }
+    if (change.type !== "delete") {
+      const start = new Date(change.start);
+      const end = new Date(change.end);
+      if (Number.isNaN(start.valueOf()) || Number.isNaN(end.valueOf()) || end <= start) {
+        throw new ChangeValidationError(`${change.type} needs a valid start and end.`);
+      }
+    }
+  }
+}
+
+// Runs the batch in order. A permission failure only skips that event; any other failure
+// rolls back what was already applied so the calendar is never left half-moved. A change may
+// name its own calendarId when the batch spans several calendars.
+async function applyChangeBatch({ userId, sessionId, calendarId = "primary", changes, label }) {
+  validateChanges(changes);
+
+  const operations = [];
+  let fatal = null;
+  for (const change of changes) {
+    try {
+      operations.push(await applyChange({ change, calendarId, sessionId }));
+    } catch (error) {
+      if (!isPermissionError(error)) {
+        fatal = { change, error };
+        break;
+      }
+      operations.push({
+        ...describeChange(change),
+        status: "failed",
+        error: describeGoogleError(error),
+      });
+    }
+  }
+
+  let status;
+  if (fatal) {
+    console.error("Applying calendar changes failed; rolling back.", fatal.error);
+    await revertOperations(operations, { calendarId, sessionId });
+    operations.push({
+      ...describeChange(fatal.change),
+      status: "failed",
+      error: describeGoogleError(fatal.error),
+    });
+    // A rollback that could not revert everything stays open so undo can retry the rest.
+    const stuck = operations.some((operation) => operation.status === "undo_failed");
+    status = stuck ? "rollback_failed" : "rolled_back";
+  } else {
+    const applied = operations.filter((operation) => operation.status === "applied").length;
+    status = applied === operations.length ? "applied" : applied ? "partial" : "failed";
+  }
+
+  const batch = {
+    id: crypto.randomUUID(),
+    label: label || null,
+    calendarId,
+    status,
+    createdAt: new Date().toISOString(),
+    undoneAt: null,
+    operations,
+  };
+  await saveBatch(userId, batch);
+  if (fatal) {
+    throw Object.assign(new Error(describeGoogleError(fatal.error)), { batch, cause: fatal.error });
+  }
+  return batch;
+}
+
+async function applyChange({ change, calendarId: batchCalendarId, sessionId }) {
+  const calendarId = change.calendarId || batchCalendarId;
+  if (INSERT_TYPES.includes(change.type)) {
+    const insert = change.type === "insert_focus" ? insertFocusBlock : insertRecoveryBlock;
+    const inserted = await insert({
+      calendarId,
+      start: new Date(change.start).toISOString(),
+      end: new Date(change.end).toISOString(),
+      title: change.title,
+      forEvent: change.forEvent,
+      sessionId,
+    });
+    return {
+      ...describeChange(change),
+      eventId: inserted.id,
+      status: "applied",
+      after: { start: inserted.start, end: inserted.end },
+    };
+  }
+
+  const original = await getCalendarEvent({ calendarId, eventId: change.eventId, sessionId });
+  const before = { start: original.start, end: original.end };
+
+  if (change.type === "delete") {
+    await deleteCalendarEvent({ calendarId, eventId: change.eventId, sessionId });
+    return {
+      ...describeChange(change),
+      title: original.summary || change.title || null,
+      status: "applied",
+      before,
+    };
+  }
+
+  const updated = await moveCalendarEvent({
+    calendarId,
+    eventId: change.eventId,
+    start: new Date(change.start).toISOString(),
+    end: new Date(change.end).toISOString(),
+    original,
+    sessionId,
+  });
+  return {
+    ...describeChange(change),
+    title: original.summary || change.title || null,
+    status: "applied",
+    before,
+    after: { start: updated.start, end: updated.end },
+  };
+}
+
+function describeChange(change) {
+  return {
+    type: change.type,
+    eventId: change.eventId || null,
+    calendarId: change.calendarId || null,
+    title: change.title || change.forEvent?.title || null,
+  };
+}
+
+// Retries of a partial undo only revert what failed last time.
+async function revertOperations(operations, { calendarId, sessionId }) {
+  for (const operation of [...operations].reverse()) {
+    if (operation.status !== "applied" && operation.status !== "undo_failed") continue;
+    try {
+      await revertOperation(operation, { calendarId, sessionId });
+      operation.status = "undone";
+      delete operation.error;
+    } catch (error) {
+      console.error(`Failed to revert ${operation.type} of ${operation.eventId}`, error);
+      operation.status = "undo_failed";
+      operation.error = describeGoogleError(error);
+    }
+  }
+}
+
+function revertOperation(operation, { calendarId: batchCalendarId, sessionId }) {
+  const { eventId } = operation;
+  const calendarId = operation.calendarId || batchCalendarId;
+  if (INSERT_TYPES.includes(operation.type)) {
+    return deleteCalendarEvent({ calendarId, eventId, sessionId });
+  }
+  if (operation.type === "delete") {
+    return restoreCalendarEvent({ calendarId, eventId, sessionId });
+  }
+  return restoreEventTimes({
+    calendarId,
+    eventId,
+    start: operation.before.start,
+    end: operation.before.end,
+    sessionId,
+  });
+}
+
+async function undoChangeBatch({ userId, sessionId, batchId }) {
+  const batches = await listChangeBatches(userId);
+  const batch = batches.find((item) => item.id === batchId);
+  if (!batch) {
+    throw new ChangeValidationError("Change batch not found.", 404);
+  }
+  if (batch.undoneAt || batch.status === "rolled_back") {
+    throw new ChangeValidationError("This change batch was already undone.", 409);
+  }
+
+  await revertOperations(batch.operations, { calendarId: batch.calendarId, sessionId });
+  const failed = batch.operations.some((operation) => operation.status === "undo_failed");
+  // A partial undo stays open so the operations that failed can be retried. Retrying a failed
+  // rollback only touches what it could not revert, and finishes it as a rollback.
+  let status = failed ? "partially_undone" : "undone";
+  if (batch.status === "rollback_failed") status = failed ? "rollback_failed" : "rolled_back";
+  const updated = { ...batch, status, undoneAt: failed ? null : new Date().toISOString() };
+  await getJournalStore().set(
+    userId,
+    batches.map((item) => (item.id === batchId ? updated : item))
+  );
+  return updated;
+}
+
+async function saveBatch(userId, batch) {
+  const batches = await listChangeBatches(userId);
+  await getJournalStore().set(userId, [batch, ...batches].slice(0, MAX_BATCHES));
+}
+
+class ChangeValidationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = {
+  getJournalStore,
+  setJournalStore,
+  listChangeBatches,
+  applyChangeBatch,
+  undoChangeBatch,
+  ChangeValidationError,
+};
@@ -0,0 +1,196 @@
+const crypto = require("crypto");
+const path = require("path");
+const { createMemoryStore, createJsonFileStore } = require("./jsonStore");
+const { getProfile, patchProfile } = require("./profiles");
+
+const DEFAULT_CHECKINS_PATH = path.join(__dirname, "data", "checkins.json");
+const LEARNING_RATE = 0.5;
+// Keep a single run from swinging any baseline value too far.
+const MAX_STEP = 0.1;
+const CALIBRATED_TABLES = {
+  meetingType: "meeting_type",
+  roleLoad: "role",
+  emotionalLoad: "emotional_intensity",
+};
+const GRADIENT_WEIGHTS = {
+  meetingType: "complexity",
+  roleLoad: "role",
+  emotionalLoad: "emotional",
+};
+
+let activeStore = null;
+
+function getCheckinStore() {
+  if (!activeStore) {
+    activeStore =
+      process.env.CHECKIN_STORE === "memory"
+        ? createMemoryStore()
+        : createJsonFileStore(process.env.CHECKIN_STORE_PATH || DEFAULT_CHECKINS_PATH);
+  }
+  return activeStore;
+}
+
+function setCheckinStore(store) {
+  activeStore = store;
+}
+
+async function listCheckins(userId) {
+  return (await getCheckinStore().get(userId)) || [];
+}
+
+// Ratings run from 1 (energized) to 5 (drained) and map onto the 0–1 load scale.
+function ratingToLoad(rating) {
+  const value = Number(rating);
+  if (!Number.isInteger(value) || value < 1 || value > 5) {
+    throw new CheckinValidationError("rating must be a whole number from 1 to 5.");
+  }
+  return (value - 1) / 4;
+}
+
+async function recordEventCheckin(userId, event, rating) {
+  return saveCheckin(userId, {
+    kind: "event",
+    eventId: event.id,
+    day: event.day,
+    title: event.title,
+    at: event.end,
+    rating: Number(rating),
+    reported: ratingToLoad(rating),
+    predicted: event.totalLoad,
+    profileVersion: event.profileVersion,
+    targets: [snapshotEvent(event)],
+  });
+}
+
+async function recordDayCheckin(userId, day, events, rating) {
+  // Calibration only learns from what the day's prediction was based on.
+  const dayEvents = events.filter(
+    (event) => event.day === day.date && event.countsTowardCapacity !== false
+  );
+  const lastEvent = dayEvents[dayEvents.length - 1];
+  return saveCheckin(userId, {
+    kind: "day",
+    eventId: null,
+    day: day.date,
+    title: null,
+    at: lastEvent?.end || null,
+    rating: Number(rating),
+    reported: ratingToLoad(rating),
+    predicted: Math.min(1, Number((day.capacityCost / 100).toFixed(3))),
+    profileVersion: lastEvent?.profileVersion ?? 0,
+    targets: dayEvents.map(snapshotEvent),
+  });
+}
+
+async function saveCheckin(userId, fields) {
+  const checkins = await listCheckins(userId);
+  // A new rating for the same event or day replaces the previous one.
+  const remaining = checkins.filter(
+    (checkin) =>
+      !(checkin.kind === fields.kind && checkin.eventId === fields.eventId && checkin.day === fields.day)
+  );
+  const checkin = {
+    id: crypto.randomUUID(),
+    ...fields,
+    calibratedInVersion: null,
+    createdAt: new Date().toISOString(),
+  };
+  remaining.push(checkin);
+  await getCheckinStore().set(userId, remaining);
+  return checkin;
+}
+
+// How much the event's mental load moves per unit change of each baseline value.
+function snapshotEvent(event) {
+  const { explanation, classification } = event;
+  const scale = (event.durationMinutes / 60) * (explanation.meetingTypeScalar ?? 1);
+  const gradients = {};
+  for (const [table, weight] of Object.entries(GRADIENT_WEIGHTS)) {
+    gradients[table] = Number((scale * (explanation.weights?.[weight] ?? 0)).toFixed(4));
+  }
+  // Focus blocks carry no role load, so how they felt says nothing about the role table.
+  if (classification.meeting_type === "focus") {
+    gradients.roleLoad = 0;
+  }
+
+  return {
+    eventId: event.id,
+    totalLoad: event.totalLoad,
+    meeting_type: classification.meeting_type,
+    role: classification.role,
+    emotional_intensity: classification.emotional_intensity,
+    gradients,
+  };
+}
+
+async function runCalibration(userId, { minCheckins = 3 } = {}) {
+  const checkins = await listCheckins(userId);
+  const pending = checkins.filter((checkin) => checkin.calibratedInVersion === null);
+  if (pending.length < minCheckins) {
+    return {
+      applied: false,
+      reason: `Need at least ${minCheckins} new check-ins; have ${pending.length}.`,
+      pending: pending.length,
+    };
+  }
+
+  const steps = {};
+  for (const checkin of pending) {
+    const residual = checkin.reported - checkin.predicted;
+    const share = 1 / Math.max(1, checkin.targets.length);
+    for (const target of checkin.targets) {
+      // A saturated prediction cannot move any further in that direction.
+      if ((target.totalLoad >= 1 && residual > 0) || (target.totalLoad <= 0 && residual < 0)) {
+        continue;
+      }
+      for (const [table, field] of Object.entries(CALIBRATED_TABLES)) {
+        const key = `${table}.${target[field]}`;
+        const entry = steps[key] || { table, value: target[field], sum: 0, count: 0 };
+        entry.sum += residual * target.gradients[table] * share;
+        entry.count += 1;
+        steps[key] = entry;
+      }
+    }
+  }
+
+  const profile = await getProfile(userId);
+  const patch = {};
+  const adjustments = [];
+  for (const { table, value, sum, count } of Object.values(steps)) {
+    const current = profile.baselines[table]?.[value];
+    if (current === undefined) continue;
+    const step = Math.max(-MAX_STEP, Math.min(MAX_STEP, (LEARNING_RATE * sum) / count));
+    const next = Number(Math.max(0, Math.min(1, current + step)).toFixed(3));
+    if (next === current) continue;
+    patch[table] = { ...patch[table], [value]: next };
+    adjustments.push({ table, value, from: current, to: next, samples: count });
+  }
+
+  const updated = Object.keys(patch).length ? await patchProfile(userId, patch) : profile;
+  const pendingIds = new Set(pending.map((checkin) => checkin.id));
+  await getCheckinStore().set(
+    userId,
+    checkins.map((checkin) =>
+      pendingIds.has(checkin.id) ? { ...checkin, calibratedInVersion: updated.version } : checkin
+    )
+  );
+
+  return {
+    applied: adjustments.length > 0,
+    checkinsUsed: pending.length,
+    profileVersion: updated.version,
+    adjustments,
+  };
+}
+
+class CheckinValidationError extends Error {}
+
+module.exports = {
+  getCheckinStore,
+  setCheckinStore,
+  listCheckins,
+  recordEventCheckin,
+  recordDayCheckin,
+  runCalibration,
+  CheckinValidationError,
+};
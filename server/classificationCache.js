@@ -0,0 +1,45 @@
+const crypto = require("crypto");
+const path = require("path");
+const { createMemoryStore, createJsonFileStore } = require("./jsonStore");
+
+const DEFAULT_CACHE_PATH = path.join(__dirname, "data", "classifications.json");
+
+let activeStore = null;
+
+function getClassificationCache() {
+  if (!activeStore) {
+    activeStore =
+      process.env.CLASSIFICATION_CACHE === "memory"
+        ? createMemoryStore()
+        : createJsonFileStore(process.env.CLASSIFICATION_CACHE_PATH || DEFAULT_CACHE_PATH);
+  }
+  return activeStore;
+}
+
+function setClassificationCache(store) {
+  activeStore = store;
+}
+
+function buildClassificationKey(event, version) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        version,
+        event.title || "",
+        event.description || "",
+        event.attendeeCount || 1,
+        event.userRole || "contributor",
+        event.isOrganizer ?? null,
+        Boolean(event.isOptional),
+        event.externalDomains || [],
+      ])
+    )
+    .digest("hex");
+}
+
+module.exports = {
+  getClassificationCache,
+  setClassificationCache,
+  buildClassificationKey,
+};
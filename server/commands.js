@@ -0,0 +1,39 @@
+const { spawn } = require("child_process");
+
+// Runs an installed tool and resolves with its stdout. A rejection carries `code` ("ENOENT" when
+// the tool is missing, otherwise the exit code or signal) and what the tool printed to stderr.
+function runCommand(command, args, { input = "", timeoutMs } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { timeout: timeoutMs });
+    const chunks = [];
+    let stderr = "";
+    let failed = false;
+
+    child.stdout.on("data", (chunk) => chunks.push(chunk));
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    // The tool may exit before reading its input.
+    child.stdin.on("error", () => {});
+    child.on("error", (error) => {
+      failed = true;
+      reject(error);
+    });
+    child.on("close", (code, signal) => {
+      if (failed) return;
+      if (code === 0) {
+        resolve(Buffer.concat(chunks));
+        return;
+      }
+      const error = new Error(`${command} exited with ${signal || code}.`);
+      error.code = signal || code;
+      error.stderr = stderr.trim();
+      reject(error);
+    });
+    child.stdin.end(input);
+  });
+}
+
+module.exports = {
+  runCommand,
+};
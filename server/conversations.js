@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+const { createMemoryStore, createJsonFileStore } = require("./jsonStore");
+
+const DEFAULT_TTL_MINUTES = 30;
+// The prompt carries a few recent turns verbatim and a short digest of everything older.
+const CONTEXT_TURNS = 6;
+const MAX_STORED_TURNS = 40;
+const MAX_SUMMARY_CHARS = 1200;
+const MAX_DIGEST_CHARS = 160;
+const MAX_DISCUSSED_EVENTS = 5;
+const SWEEP_INTERVAL_MS = 60000;
+
+let activeStore = null;
+let lastSweep = 0;
+
+// Conversations are short-lived, so they stay in memory unless a path is configured.
+function getConversationStore() {
+  if (!activeStore) {
+    activeStore = process.env.CONVERSATION_STORE_PATH
+      ? createJsonFileStore(process.env.CONVERSATION_STORE_PATH)
+      : createMemoryStore();
+  }
+  return activeStore;
+}
+
+function setConversationStore(store) {
+  activeStore = store;
+}
+
+function getConversationTtlMs() {
+  const minutes = Number(process.env.VOICE_CONVERSATION_TTL_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_TTL_MINUTES) * 60000;
+}
+
+// Returns the caller's conversation, or a fresh one if it is unknown, foreign or idle too long.
+async function loadConversation(userId, conversationId) {
+  if (conversationId) {
+    const stored = await getConversationStore().get(conversationId);
+    if (stored && stored.userId === userId) {
+      if (!isExpired(stored)) return stored;
+      await getConversationStore().delete(conversationId);
+    }
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    userId,
+    createdAt: now,
+    updatedAt: now,
+    summary: "",
+    turns: [],
+    discussedEvents: [],
+  };
+}
+
+async function deleteConversation(userId, conversationId) {
+  const stored = await getConversationStore().get(conversationId);
+  if (!stored || stored.userId !== userId) return false;
+  await getConversationStore().delete(conversationId);
+  return true;
+}
+
+async function recordExchange(conversation, { query, reply, card, events = [] }) {
+  const at = new Date().toISOString();
+  const mentioned = findMentionedEvents(`${query}\n${reply}`, events);
+  const cardEventIds = (card?.changes || []).map((change) => change.eventId).filter(Boolean);
+  const discussed = [
+    ...events.filter((event) => cardEventIds.includes(event.id)),
+    ...mentioned,
+  ];
+
+  // An answer to an earlier card updates it in place; a new proposal supersedes open ones.
+  const answered = Boolean(card) && conversation.turns.some((turn) => turn.card?.id === card.id);
+  const turns = conversation.turns.map((turn) => {
+    if (!card || !turn.card) return turn;
+    if (turn.card.id === card.id) return { ...turn, card };
+    if (turn.card.status === "pending") {
+      return { ...turn, card: { ...turn.card, status: "superseded" } };
+    }
+    return turn;
+  });
+  turns.push({ role: "user", text: query, at });
+  turns.push({ role: "assistant", text: reply, at, card: answered ? null : card || null });
+
+  let { summary } = conversation;
+  while (turns.length > MAX_STORED_TURNS) {
+    summary = appendDigest(summary, turns.shift());
+  }
+
+  const updated = {
+    ...conversation,
+    updatedAt: at,
+    summary,
+    turns,
+    discussedEvents: mergeDiscussed(discussed, conversation.discussedEvents),
+  };
+  await saveConversation(updated);
+  return updated;
+}
+
+async function updateConversationCard(conversation, card, reply) {
+  const at = new Date().toISOString();
+  const turns = conversation.turns.map((turn) =>
+    card && turn.card?.id === card.id ? { ...turn, card } : turn
+  );
+  if (reply) turns.push({ role: "assistant", text: reply, at, card: null });
+
+  const updated = { ...conversation, updatedAt: at, turns };
+  await saveConversation(updated);
+  return updated;
+}
+
+// Most conversations are never picked up again, so writes also clear out idle ones, at most once
+// a minute.
+async function saveConversation(conversation) {
+  const store = getConversationStore();
+  await store.set(conversation.id, conversation);
+  if (Date.now() - lastSweep < SWEEP_INTERVAL_MS) return;
+  lastSweep = Date.now();
+  for (const id of await store.keys()) {
+    const stored = await store.get(id);
+    if (stored && isExpired(stored)) await store.delete(id);
+  }
+}
+
+function isExpired(conversation) {
+  return Date.now() - new Date(conversation.updatedAt).getTime() > getConversationTtlMs();
+}
+
+function findPendingCard(conversation) {
+  for (let i = conversation.turns.length - 1; i >= 0; i -= 1) {
+    const card = conversation.turns[i].card;
+    if (card?.status === "pending") return card;
+  }
+  return null;
+}
+
+// What the model sees: a bounded digest of older turns, the latest turns and the events in play.
+function buildConversationContext(conversation) {
+  const recent = conversation.turns.slice(-CONTEXT_TURNS);
+  let summary = conversation.summary;
+  for (const turn of conversation.turns.slice(0, -CONTEXT_TURNS)) {
+    summary = appendDigest(summary, turn);
+  }
+
+  return {
+    summary,
+    turns: recent.map(({ role, text }) => ({ role, text })),
+    discussedEvents: conversation.discussedEvents,
+  };
+}
+
+function formatConversationContext(context) {
+  const lines = [];
+  if (context.summary) {
+    lines.push(`Earlier in this conversation: ${context.summary}`);
+  }
+  if (context.discussedEvents.length) {
+    lines.push("Events already discussed (most recent first):");
+    for (const event of context.discussedEvents) {
+      lines.push(`- ${event.title} | start=${event.start}`);
+    }
+  }
+  if (context.turns.length) {
+    lines.push("Recent turns:");
+    for (const turn of context.turns) {
+      lines.push(`${turn.role === "user" ? "User" : "Assistant"}: ${turn.text}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+// Whole titles only: partial words would tag unrelated meetings.
+function findMentionedEvents(text, events) {
+  const normalized = text.toLowerCase();
+  return events.filter((event) => event.title && normalized.includes(event.title.toLowerCase()));
+}
+
+function mergeDiscussed(latest, previous) {
+  const merged = [];
+  for (const event of [...latest, ...previous]) {
+    if (merged.some((item) => item.id === event.id)) continue;
+    merged.push({ id: event.id, title: event.title, start: event.start });
+  }
+  return merged.slice(0, MAX_DISCUSSED_EVENTS);
+}
+
+function appendDigest(summary, turn) {
+  const sentence = turn.text.split(/(?<=[.!?])\s/)[0];
+  const digest = `${turn.role === "user" ? "User" : "Assistant"}: ${sentence.slice(
+    0,
+    MAX_DIGEST_CHARS
+  )}`;
+  const combined = summary ? `${summary} ${digest}` : digest;
+  // Keep the newest part when the digest outgrows its budget.
+  return combined.length > MAX_SUMMARY_CHARS ? combined.slice(-MAX_SUMMARY_CHARS) : combined;
+}
+
+module.exports = {
+  getConversationStore,
+  setConversationStore,
+  loadConversation,
+  deleteConversation,
+  recordExchange,
+  updateConversationCard,
+  findPendingCard,
+  buildConversationContext,
+  formatConversationContext,
+};
@@ -0,0 +1,145 @@
+const path = require("path");
+const { createMemoryStore, createJsonDirectoryStore } = require("./jsonStore");
+const {
+  getSessionUserId,
+  listEventChanges,
+  isSyncTokenExpired,
+  mapGoogleEvent,
+} = require("./googleCalendar");
+
+const DEFAULT_EVENT_STORE_DIR = path.join(__dirname, "data", "events");
+// Past this span the stored window starts over at the requested range instead of growing.
+const MAX_WINDOW_DAYS = 400;
+
+let activeStore = null;
+
+function getEventStore() {
+  if (!activeStore) {
+    activeStore =
+      process.env.EVENT_STORE === "memory"
+        ? createMemoryStore()
+        : createJsonDirectoryStore(process.env.EVENT_STORE_DIR || DEFAULT_EVENT_STORE_DIR);
+  }
+  return activeStore;
+}
+
+function setEventStore(store) {
+  activeStore = store;
+}
+
+// Keeps a copy of each calendar and asks Google only for what changed since the last sync.
+// A range outside the stored window, or an expired token, falls back to a full sync. Each
+// user's calendar is stored under its own key, which the directory store keeps in its own file.
+async function syncCalendarEvents({ calendarId = "primary", timeMin, timeMax, sessionId, ledger }) {
+  const key = `${(await getSessionUserId(sessionId)) || sessionId}:${calendarId}`;
+  const store = getEventStore();
+  const saved = await store.get(key);
+
+  let state = null;
+  let sync = null;
+  if (saved?.syncToken && coversRange(saved.window, timeMin, timeMax)) {
+    try {
+      const changes = await listEventChanges({ calendarId, syncToken: saved.syncToken, sessionId });
+      if (!changes) return { events: [], sync: null };
+      ({ state, sync } = applyEventChanges(saved, changes));
+    } catch (error) {
+      if (!isSyncTokenExpired(error)) throw error;
+      console.warn(`Sync token for ${calendarId} expired; running a full sync.`);
+    }
+  }
+
+  if (!state) {
+    const window = widenWindow(saved?.window, timeMin, timeMax);
+    const listing = await listEventChanges({ calendarId, ...window, sessionId });
+    if (!listing) return { events: [], sync: null };
+    const items = listing.items.filter((item) => item.status !== "cancelled");
+    state = {
+      window,
+      syncToken: listing.nextSyncToken,
+      timeZone: listing.timeZone,
+      items: Object.fromEntries(items.map((item) => [item.id, item])),
+    };
+    sync = { mode: "full", updated: items.length, removed: 0 };
+  }
+
+  // Incremental changes can move events anywhere, so only events inside the window are kept.
+  state.items = Object.fromEntries(
+    Object.entries(state.items).filter(([, item]) => overlapsWindow(item, state.window))
+  );
+  state.syncedAt = new Date().toISOString();
+  await store.set(key, state);
+
+  // All-day events are placed in the user's zone, or the calendar's when none is given.
+  const zones = ledger || { timeZone: state.timeZone || "UTC" };
+  const from = new Date(timeMin).getTime();
+  const to = new Date(timeMax).getTime();
+  const events = Object.values(state.items)
+    .map((item) => mapGoogleEvent(item, zones))
+    .filter((event) => new Date(event.end).getTime() > from && new Date(event.start).getTime() < to)
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+  return { events, sync };
+}
+
+// Cancelled items are dropped, together with the instances of a cancelled series.
+function applyEventChanges(saved, { items, nextSyncToken, timeZone }) {
+  const stored = { ...saved.items };
+  let updated = 0;
+  let removed = 0;
+  for (const item of items) {
+    if (item.status !== "cancelled") {
+      stored[item.id] = item;
+      updated += 1;
+      continue;
+    }
+    for (const [id, existing] of Object.entries(stored)) {
+      if (id === item.id || existing.recurringEventId === item.id) {
+        delete stored[id];
+        removed += 1;
+      }
+    }
+  }
+
+  return {
+    state: {
+      ...saved,
+      syncToken: nextSyncToken,
+      timeZone: timeZone || saved.timeZone,
+      items: stored,
+    },
+    sync: { mode: "incremental", updated, removed },
+  };
+}
+
+function coversRange(window, timeMin, timeMax) {
+  if (!window) return false;
+  return (
+    new Date(window.timeMin) <= new Date(timeMin) && new Date(window.timeMax) >= new Date(timeMax)
+  );
+}
+
+// All-day dates carry no zone, so they get a day of slack on either side.
+function overlapsWindow(item, window) {
+  const start = item.start?.dateTime || item.start?.date;
+  if (!start) return true;
+  const end = item.end?.dateTime || item.end?.date || start;
+  const slack = item.start?.date ? 86400000 : 0;
+  return (
+    new Date(end).getTime() + slack > new Date(window.timeMin).getTime() &&
+    new Date(start).getTime() - slack < new Date(window.timeMax).getTime()
+  );
+}
+
+function widenWindow(window, timeMin, timeMax) {
+  if (!window) return { timeMin, timeMax };
+  const start = Math.min(new Date(window.timeMin).getTime(), new Date(timeMin).getTime());
+  const end = Math.max(new Date(window.timeMax).getTime(), new Date(timeMax).getTime());
+  if (end - start > MAX_WINDOW_DAYS * 86400000) return { timeMin, timeMax };
+  return { timeMin: new Date(start).toISOString(), timeMax: new Date(end).toISOString() };
+}
+
+module.exports = {
+  getEventStore,
+  setEventStore,
+  syncCalendarEvents,
+  applyEventChanges,
+};
@@ -1,9 +1,11 @@
 const { google } = require("googleapis");
+const { getSessionStore, createSessionId } = require("./sessionStore");
+const { zonedTimeToUtc, getDayTimeZone } = require("./time");
 
 const SCOPES = ["https://www.googleapis.com/auth/calendar"];
-const tokenStore = {
-  tokens: null,
-};
+const RECOVERY_PROPERTY = "cogcalRecovery";
+const RECOVERY_SOURCE_PROPERTY = "cogcalSourceEventId";
+const FOCUS_PROPERTY = "cogcalFocus";
 
 function getOAuthClient() {
   const clientId = process.env.GOOGLE_CLIENT_ID;
@@ -33,33 +35,165 @@ async function exchangeCodeForTokens(code) {
   if (!client) return null;
 
   const { tokens } = await client.getToken(code);
-  tokenStore.tokens = tokens;
-  return tokens;
+  client.setCredentials(tokens);
+  const userId = await fetchPrimaryCalendarId(client);
+
+  const sessionId = createSessionId();
+  const now = new Date().toISOString();
+  await getSessionStore().set(sessionId, { tokens, userId, createdAt: now, updatedAt: now });
+  return { sessionId, tokens };
 }
 
-function hasTokens() {
-  return Boolean(tokenStore.tokens?.access_token);
+// The primary calendar id is the account email, which gives a stable per-user key.
+async function fetchPrimaryCalendarId(client) {
+  try {
+    const calendar = google.calendar({ version: "v3", auth: client });
+    const response = await calendar.calendarList.get({ calendarId: "primary" });
+    return response.data?.id || null;
+  } catch (error) {
+    console.warn("Could not resolve the Google account id.", error.message);
+    return null;
+  }
 }
 
-async function fetchCalendarEvents({ timeMin, timeMax, calendarId = "primary" }) {
+async function getSessionUserId(sessionId) {
+  if (!sessionId) return null;
+  const session = await getSessionStore().get(sessionId);
+  return session?.userId || null;
+}
+
+async function getAuthorizedClient(sessionId) {
+  if (!sessionId) return null;
   const client = getOAuthClient();
-  if (!client || !tokenStore.tokens) {
-    return [];
+  const session = await getSessionStore().get(sessionId);
+  if (!client || !session?.tokens) {
+    return null;
+  }
+
+  client.setCredentials(session.tokens);
+  client.on("tokens", (tokens) => {
+    saveRefreshedTokens(sessionId, tokens).catch((error) => {
+      console.error("Failed to save refreshed Google tokens", error);
+    });
+  });
+  return client;
+}
+
+async function saveRefreshedTokens(sessionId, tokens) {
+  const store = getSessionStore();
+  const session = await store.get(sessionId);
+  if (!session) return;
+
+  // Google only sends a refresh_token on first consent, so keep the stored one.
+  await store.set(sessionId, {
+    ...session,
+    tokens: { ...session.tokens, ...tokens },
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+async function hasTokens(sessionId) {
+  if (!sessionId) return false;
+  const session = await getSessionStore().get(sessionId);
+  return Boolean(session?.tokens?.access_token || session?.tokens?.refresh_token);
+}
+
+async function revokeSession(sessionId) {
+  if (!sessionId) return false;
+  const store = getSessionStore();
+  const session = await store.get(sessionId);
+  if (!session) return false;
+
+  const client = getOAuthClient();
+  const token = session.tokens?.refresh_token || session.tokens?.access_token;
+  if (client && token) {
+    try {
+      await client.revokeToken(token);
+    } catch (error) {
+      console.warn("Google token revoke failed; clearing session anyway.", error.message);
+    }
+  }
+
+  await store.delete(sessionId);
+  return true;
+}
+
+function isAuthError(error) {
+  const status = error?.response?.status ?? error?.code;
+  return status === 401 || error?.response?.data?.error === "invalid_grant";
+}
+
+// One page loop of events.list. With a syncToken only what changed since that token comes back,
+// cancelled events included; without one it is a full listing of the window. Google answers 410
+// when a token has expired.
+async function listEventChanges({
+  calendarId = "primary",
+  syncToken,
+  timeMin,
+  timeMax,
+  sessionId,
+}) {
+  const client = await getAuthorizedClient(sessionId);
+  if (!client) {
+    return null;
   }
 
-  client.setCredentials(tokenStore.tokens);
   const calendar = google.calendar({ version: "v3", auth: client });
+  const items = [];
+  let pageToken;
+  let response;
+  do {
+    // A sync token rules out the window parameters; singleEvents must match the full sync.
+    response = await calendar.events.list({
+      calendarId,
+      singleEvents: true,
+      ...(syncToken ? { syncToken } : { timeMin, timeMax }),
+      pageToken,
+    });
+    items.push(...(response.data.items || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
 
-  const response = await calendar.events.list({
+  return {
+    items,
+    nextSyncToken: response.data.nextSyncToken || null,
+    timeZone: response.data.timeZone || null,
+  };
+}
+
+// Google posts to `address` whenever an event on the calendar changes, until `expiration`.
+async function watchCalendarEvents({
+  calendarId = "primary",
+  channelId,
+  token,
+  address,
+  ttlSeconds,
+  sessionId,
+}) {
+  const calendar = await getCalendarClient(sessionId);
+  const response = await calendar.events.watch({
     calendarId,
-    timeMin,
-    timeMax,
-    singleEvents: true,
-    orderBy: "startTime",
+    requestBody: {
+      id: channelId,
+      type: "web_hook",
+      address,
+      token,
+      params: { ttl: String(ttlSeconds) },
+    },
   });
+  return {
+    resourceId: response.data.resourceId,
+    expiration: new Date(Number(response.data.expiration)).toISOString(),
+  };
+}
 
-  const items = response.data.items || [];
-  return items.map((item) => mapGoogleEvent(item));
+async function stopWatchChannel({ channelId, resourceId, sessionId }) {
+  const calendar = await getCalendarClient(sessionId);
+  await calendar.channels.stop({ requestBody: { id: channelId, resourceId } });
+}
+
+function isSyncTokenExpired(error) {
+  return (error?.response?.status ?? error?.code) === 410;
 }
 
 async function createCalendarEvent({
@@ -69,13 +203,13 @@ async function createCalendarEvent({
   start,
   end,
   timeZone,
+  sessionId,
 }) {
-  const client = getOAuthClient();
-  if (!client || !tokenStore.tokens) {
+  const client = await getAuthorizedClient(sessionId);
+  if (!client) {
     return null;
   }
 
-  client.setCredentials(tokenStore.tokens);
   const calendar = google.calendar({ version: "v3", auth: client });
   const response = await calendar.events.insert({
     calendarId,
@@ -94,13 +228,164 @@ async function createCalendarEvent({
   return mapGoogleEvent(response.data);
 }
 
-async function listCalendars() {
-  const client = getOAuthClient();
-  if (!client || !tokenStore.tokens) {
+async function getCalendarClient(sessionId) {
+  const client = await getAuthorizedClient(sessionId);
+  if (!client) {
+    const error = new Error("Not authenticated with Google.");
+    error.code = 401;
+    throw error;
+  }
+  return google.calendar({ version: "v3", auth: client });
+}
+
+async function getCalendarEvent({ calendarId = "primary", eventId, sessionId }) {
+  const calendar = await getCalendarClient(sessionId);
+  const response = await calendar.events.get({ calendarId, eventId });
+  return response.data;
+}
+
+// Keeps the event's own time zone so recurring rules and invitations stay consistent.
+async function moveCalendarEvent({ calendarId = "primary", eventId, start, end, original, sessionId }) {
+  const calendar = await getCalendarClient(sessionId);
+  const response = await calendar.events.patch({
+    calendarId,
+    eventId,
+    sendUpdates: "all",
+    requestBody: {
+      start: buildEventTime(start, original?.start),
+      end: buildEventTime(end, original?.end),
+    },
+  });
+  return response.data;
+}
+
+async function restoreEventTimes({ calendarId = "primary", eventId, start, end, sessionId }) {
+  const calendar = await getCalendarClient(sessionId);
+  const response = await calendar.events.patch({
+    calendarId,
+    eventId,
+    sendUpdates: "all",
+    requestBody: { start, end },
+  });
+  return response.data;
+}
+
+async function deleteCalendarEvent({ calendarId = "primary", eventId, sessionId }) {
+  const calendar = await getCalendarClient(sessionId);
+  await calendar.events.delete({ calendarId, eventId, sendUpdates: "all" });
+}
+
+// Deleted events stay retrievable as cancelled, so undo flips them back to confirmed.
+async function restoreCalendarEvent({ calendarId = "primary", eventId, sessionId }) {
+  const calendar = await getCalendarClient(sessionId);
+  const response = await calendar.events.patch({
+    calendarId,
+    eventId,
+    sendUpdates: "all",
+    requestBody: { status: "confirmed" },
+  });
+  return response.data;
+}
+
+// Recovery blocks carry private extended properties so they can be found and reconciled later.
+async function insertRecoveryBlock({
+  calendarId = "primary",
+  start,
+  end,
+  title = "Recovery",
+  forEvent,
+  properties = {},
+  sessionId,
+}) {
+  const calendar = await getCalendarClient(sessionId);
+  const response = await calendar.events.insert({
+    calendarId,
+    requestBody: {
+      summary: title,
+      description: forEvent ? `Recovery time after "${forEvent.title}".` : "Recovery time.",
+      start: { dateTime: start },
+      end: { dateTime: end },
+      transparency: "opaque",
+      visibility: "private",
+      reminders: { useDefault: false },
+      extendedProperties: {
+        private: {
+          [RECOVERY_PROPERTY]: "1",
+          ...(forEvent?.id ? { [RECOVERY_SOURCE_PROPERTY]: forEvent.id } : {}),
+          ...properties,
+        },
+      },
+    },
+  });
+  return response.data;
+}
+
+async function insertFocusBlock({ calendarId = "primary", start, end, title = "Focus time", sessionId }) {
+  const calendar = await getCalendarClient(sessionId);
+  const response = await calendar.events.insert({
+    calendarId,
+    requestBody: {
+      summary: title,
+      description: "Protected focus time.",
+      start: { dateTime: start },
+      end: { dateTime: end },
+      transparency: "opaque",
+      extendedProperties: { private: { [FOCUS_PROPERTY]: "1" } },
+    },
+  });
+  return response.data;
+}
+
+async function listTaggedEvents({
+  calendarId = "primary",
+  timeMin,
+  timeMax,
+  properties = {},
+  sessionId,
+}) {
+  const calendar = await getCalendarClient(sessionId);
+  const items = [];
+  let pageToken;
+  do {
+    const response = await calendar.events.list({
+      calendarId,
+      timeMin,
+      timeMax,
+      singleEvents: true,
+      privateExtendedProperty: Object.entries(properties).map(([key, value]) => `${key}=${value}`),
+      pageToken,
+    });
+    items.push(...(response.data.items || []));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+  return items;
+}
+
+function buildEventTime(value, original) {
+  return original?.timeZone ? { dateTime: value, timeZone: original.timeZone } : { dateTime: value };
+}
+
+// 403 covers organizer-only edits; 404 means the event is not visible to this account.
+function isPermissionError(error) {
+  const status = error?.response?.status ?? error?.code;
+  return status === 403 || status === 404;
+}
+
+function describeGoogleError(error) {
+  return (
+    error?.response?.data?.error?.message ||
+    error?.errors?.[0]?.message ||
+    error?.message ||
+    "Google Calendar request failed."
+  );
+}
+
+async function listCalendars({ sessionId } = {}) {
+  const client = await getAuthorizedClient(sessionId);
+  if (!client) {
     return [];
   }
 
-  client.setCredentials(tokenStore.tokens);
   const calendar = google.calendar({ version: "v3", auth: client });
   const response = await calendar.calendarList.list();
   const items = response.data.items || [];
@@ -109,35 +394,107 @@ async function listCalendars() {
     id: item.id,
     summary: item.summary,
     primary: Boolean(item.primary),
+    backgroundColor: item.backgroundColor || null,
   }));
 }
 
-function mapGoogleEvent(item) {
+// All-day entries become a one-hour block at 09:00 in the zone the user is in that day.
+function mapGoogleEvent(item, zones = { timeZone: "UTC" }) {
   const start = item.start?.dateTime || item.start?.date;
   const end = item.end?.dateTime || item.end?.date;
 
-  const startDate = new Date(start);
+  let startDate = new Date(start);
   let endDate = end ? new Date(end) : new Date(startDate.getTime() + 3600000);
 
   if (item.start?.date && item.end?.date) {
-    startDate.setHours(9, 0, 0, 0);
+    const [year, month, day] = item.start.date.split("-").map(Number);
+    const timeZone = getDayTimeZone(item.start.date, zones);
+    startDate = zonedTimeToUtc({ year, month, day, hour: 9 }, timeZone);
     endDate = new Date(startDate.getTime() + 3600000);
   }
 
   return {
     id: item.id || `${startDate.getTime()}`,
+    iCalUID: item.iCalUID || null,
     title: item.summary || "Untitled Meeting",
     description: item.description || "",
     start: startDate.toISOString(),
     end: endDate.toISOString(),
-    attendeeCount: item.attendees?.length || 1,
-    userRole: "contributor",
+    allDay: Boolean(item.start?.date),
+    seriesId: item.recurringEventId || null,
+    recoveryBlock: item.extendedProperties?.private?.[RECOVERY_PROPERTY] === "1",
+    recoveryFor: item.extendedProperties?.private?.[RECOVERY_SOURCE_PROPERTY] || null,
+    focusBlock: item.extendedProperties?.private?.[FOCUS_PROPERTY] === "1",
+    ...mapAttendees(item),
     meetingType: "status",
-    emotionalIntensity: "routine",
     topicTags: buildTopicTags(item.summary || ""),
   };
 }
 
+const ATTENDING = ["accepted", "tentative"];
+
+// "Self" is the calendar this copy of the event came from. Meeting rooms and other resources
+// are not people and are left out.
+function mapAttendees(item) {
+  const attendees = (item.attendees || [])
+    .filter((attendee) => !attendee.resource)
+    .map((attendee) => ({
+      email: attendee.email || null,
+      displayName: attendee.displayName || null,
+      responseStatus: attendee.responseStatus || "needsAction",
+      optional: Boolean(attendee.optional),
+      organizer: Boolean(attendee.organizer),
+      self: Boolean(attendee.self),
+    }));
+  const self = attendees.find((attendee) => attendee.self);
+  // Events without a guest list are the user's own.
+  const isOrganizer = item.organizer ? Boolean(item.organizer.self) : !attendees.length;
+  const ownDomain = getEmailDomain(self?.email || (isOrganizer ? item.organizer?.email : null));
+  const invited = attendees.filter((attendee) => attendee.responseStatus !== "declined");
+  const externalDomains = ownDomain
+    ? [
+        ...new Set(
+          invited
+            .map((attendee) => getEmailDomain(attendee.email))
+            .filter((domain) => domain && domain !== ownDomain)
+        ),
+      ]
+    : [];
+  return {
+    organizer: item.organizer
+      ? { email: item.organizer.email || null, displayName: item.organizer.displayName || null }
+      : null,
+    attendees,
+    isOrganizer,
+    isOptional: Boolean(self?.optional),
+    responseStatus: self?.responseStatus || (isOrganizer ? "accepted" : null),
+    // Only people who said yes or maybe are expected in the room.
+    attendeeCount: Math.max(
+      1,
+      attendees.filter((attendee) => ATTENDING.includes(attendee.responseStatus)).length
+    ),
+    externalDomains,
+    userRole: getUserRole({
+      isOrganizer,
+      isOptional: Boolean(self?.optional),
+      hasGuests: invited.some((attendee) => !attendee.self && !attendee.organizer),
+    }),
+    emotionalIntensity: externalDomains.length ? "external" : "routine",
+  };
+}
+
+// The organizer runs a meeting with guests; an optional invitation means the user is there to
+// listen. An event the user holds alone has nobody to decide for.
+function getUserRole({ isOrganizer, isOptional, hasGuests }) {
+  if (isOrganizer && hasGuests) return "decision_maker";
+  return isOptional ? "listener" : "contributor";
+}
+
+function getEmailDomain(email) {
+  const domain = String(email || "").split("@")[1];
+  return domain ? domain.toLowerCase() : null;
+}
+
 function buildTopicTags(summary) {
   if (!summary) return ["general"];
   return summary
@@ -149,10 +506,31 @@ function buildTopicTags(summary) {
 }
 
 module.exports = {
+  RECOVERY_PROPERTY,
+  RECOVERY_SOURCE_PROPERTY,
+  FOCUS_PROPERTY,
   getAuthUrl,
   exchangeCodeForTokens,
   hasTokens,
-  fetchCalendarEvents,
+  getSessionUserId,
+  revokeSession,
+  isAuthError,
+  listEventChanges,
+  isSyncTokenExpired,
+  watchCalendarEvents,
+  stopWatchChannel,
   listCalendars,
   createCalendarEvent,
+  getCalendarEvent,
+  moveCalendarEvent,
+  restoreEventTimes,
+  deleteCalendarEvent,
+  restoreCalendarEvent,
+  insertRecoveryBlock,
+  insertFocusBlock,
+  listTaggedEvents,
+  isPermissionError,
+  describeGoogleError,
+  mapGoogleEvent,
+  buildTopicTags,
 };
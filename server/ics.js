@@ -0,0 +1,654 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { buildTopicTags } = require("./googleCalendar");
+const { isValidTimeZone, zonedTimeToUtc } = require("./time");
+
+const BUNDLED_ICS_PATH = path.join(__dirname, "..", "cognitive-calender.ics");
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, "data", "calendars");
+const MAX_RECURRENCE_PERIODS = 20000;
+const DAY_MS = 86400000;
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Outlook exports name zones the Windows way; map the common ones to IANA.
+const WINDOWS_TIME_ZONES = {
+  "Pacific Standard Time": "America/Los_Angeles",
+  "Mountain Standard Time": "America/Denver",
+  "Central Standard Time": "America/Chicago",
+  "Eastern Standard Time": "America/New_York",
+  "Atlantic Standard Time": "America/Halifax",
+  "GMT Standard Time": "Europe/London",
+  "W. Europe Standard Time": "Europe/Berlin",
+  "Romance Standard Time": "Europe/Paris",
+  "Central Europe Standard Time": "Europe/Budapest",
+  "E. Europe Standard Time": "Europe/Bucharest",
+  "India Standard Time": "Asia/Kolkata",
+  "China Standard Time": "Asia/Shanghai",
+  "Singapore Standard Time": "Asia/Singapore",
+  "Tokyo Standard Time": "Asia/Tokyo",
+  "AUS Eastern Standard Time": "Australia/Sydney",
+  "New Zealand Standard Time": "Pacific/Auckland",
+  UTC: "UTC",
+};
+
+// Each user (or signed-out session) gets their own upload. File names are hashed so ids never
+// reach the file system.
+function getUploadPath(owner) {
+  const name = crypto.createHash("sha256").update(String(owner)).digest("hex").slice(0, 32);
+  return path.join(process.env.ICS_UPLOAD_DIR || DEFAULT_UPLOAD_DIR, `${name}.ics`);
+}
+
+async function readIcsCalendar(owner) {
+  try {
+    return await fs.readFile(getUploadPath(owner), "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  return fs.readFile(process.env.ICS_PATH || BUNDLED_ICS_PATH, "utf8");
+}
+
+async function saveIcsCalendar(owner, text) {
+  const calendar = parseIcs(text);
+  const uploadPath = getUploadPath(owner);
+  await fs.mkdir(path.dirname(uploadPath), { recursive: true });
+  await fs.writeFile(uploadPath, text, "utf8");
+
+  return {
+    name: getPropertyValue(calendar, "X-WR-CALNAME") || null,
+    eventCount: calendar.components.filter((component) => component.name === "VEVENT").length,
+  };
+}
+
+async function fetchIcsEvents({ owner, timeMin, timeMax, timeZone }) {
+  const text = await readIcsCalendar(owner);
+  return expandIcsEvents(parseIcs(text), { timeMin, timeMax, timeZone });
+}
+
+function parseIcs(text) {
+  const root = { name: "ROOT", properties: [], components: [] };
+  const stack = [root];
+
+  for (const line of unfoldLines(text)) {
+    if (!line.trim()) continue;
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === "BEGIN") {
+      const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+      stack[stack.length - 1].components.push(component);
+      stack.push(component);
+    } else if (property.name === "END") {
+      if (stack.length > 1) stack.pop();
+    } else {
+      stack[stack.length - 1].properties.push(property);
+    }
+  }
+
+  const calendar = root.components.find((component) => component.name === "VCALENDAR");
+  if (!calendar) {
+    throw new IcsParseError("Not an iCalendar file: missing VCALENDAR.");
+  }
+  return calendar;
+}
+
+function unfoldLines(text) {
+  return String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n");
+}
+
+function parseContentLine(line) {
+  const [head, value] = splitOnce(line, ":");
+  if (value === undefined) return null;
+
+  const [name, ...rawParams] = splitOutsideQuotes(head, ";");
+  const params = {};
+  for (const raw of rawParams) {
+    const [key, paramValue] = splitOnce(raw, "=");
+    if (paramValue === undefined) continue;
+    params[key.toUpperCase()] = paramValue.replace(/^"|"$/g, "");
+  }
+
+  return { name: name.toUpperCase(), params, value };
+}
+
+function splitOnce(text, separator) {
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i += 1) {
+    if (text[i] === '"') inQuotes = !inQuotes;
+    if (text[i] === separator && !inQuotes) {
+      return [text.slice(0, i), text.slice(i + 1)];
+    }
+  }
+  return [text, undefined];
+}
+
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let rest = text;
+  while (rest !== undefined) {
+    const [part, remainder] = splitOnce(rest, separator);
+    parts.push(part);
+    rest = remainder;
+  }
+  return parts;
+}
+
+function getProperty(component, name) {
+  return component.properties.find((property) => property.name === name) || null;
+}
+
+function getProperties(component, name) {
+  return component.properties.filter((property) => property.name === name);
+}
+
+function getPropertyValue(component, name) {
+  const property = getProperty(component, name);
+  return property ? unescapeText(property.value) : "";
+}
+
+function unescapeText(value) {
+  return String(value || "")
+    .replace(/\\n/gi, "\n")
+    .replace(/\\([,;\\])/g, "$1");
+}
+
+function expandIcsEvents(calendar, { timeMin, timeMax, timeZone }) {
+  const rangeStart = new Date(timeMin).getTime();
+  const rangeEnd = new Date(timeMax).getTime();
+  const calendarZone = getPropertyValue(calendar, "X-WR-TIMEZONE");
+  const context = {
+    calendar,
+    floatingZone: isValidTimeZone(calendarZone) ? calendarZone : timeZone || "UTC",
+  };
+
+  const vevents = calendar.components.filter((component) => component.name === "VEVENT");
+  const overrides = new Map();
+  for (const vevent of vevents) {
+    const recurrenceId = getProperty(vevent, "RECURRENCE-ID");
+    if (!recurrenceId) continue;
+    const uid = getPropertyValue(vevent, "UID");
+    const instant = parseIcsDate(recurrenceId, context);
+    if (!instant) continue;
+    if (!overrides.has(uid)) overrides.set(uid, new Set());
+    overrides.get(uid).add(toInstant(instant).getTime());
+  }
+
+  const events = [];
+  for (const vevent of vevents) {
+    if (getPropertyValue(vevent, "STATUS").toUpperCase() === "CANCELLED") continue;
+
+    const start = parseIcsDate(getProperty(vevent, "DTSTART"), context);
+    if (!start) continue;
+
+    const durationMs = getEventDuration(vevent, start, context);
+    const uid = getPropertyValue(vevent, "UID") || `ics-${toInstant(start).getTime()}`;
+    const rrule = getProperty(vevent, "RRULE");
+    const recurrenceId = parseIcsDate(getProperty(vevent, "RECURRENCE-ID"), context);
+
+    if (recurrenceId) {
+      const window = getEventWindow(start, durationMs);
+      if (window.end.getTime() <= rangeStart || window.start.getTime() >= rangeEnd) continue;
+      events.push(
+        mapIcsEvent(vevent, {
+          id: `${uid}-${toInstant(recurrenceId).getTime()}`,
+          seriesId: uid,
+          allDay: start.allDay,
+          ...window,
+        })
+      );
+      continue;
+    }
+
+    const occurrences = rrule
+      ? expandRecurrence(vevent, start, parseRrule(rrule.value), context, rangeEnd)
+      : [start];
+    const overridden = overrides.get(uid) || new Set();
+
+    for (const occurrence of occurrences) {
+      const instant = toInstant(occurrence).getTime();
+      if (rrule && overridden.has(instant)) continue;
+      const window = getEventWindow(occurrence, durationMs);
+      if (window.end.getTime() <= rangeStart || window.start.getTime() >= rangeEnd) continue;
+
+      events.push(
+        mapIcsEvent(vevent, {
+          id: rrule ? `${uid}-${instant}` : uid,
+          seriesId: rrule ? uid : null,
+          allDay: occurrence.allDay,
+          ...window,
+        })
+      );
+    }
+  }
+
+  return events;
+}
+
+function mapIcsEvent(vevent, { id, seriesId, allDay, start, end }) {
+  const summary = getPropertyValue(vevent, "SUMMARY");
+  const attendees = getProperties(vevent, "ATTENDEE").filter(
+    (attendee) => (attendee.params.PARTSTAT || "").toUpperCase() !== "DECLINED"
+  );
+
+  return {
+    id,
+    seriesId,
+    title: summary || "Untitled Meeting",
+    description: getPropertyValue(vevent, "DESCRIPTION"),
+    start: start.toISOString(),
+    end: end.toISOString(),
+    allDay,
+    attendeeCount: attendees.length || 1,
+    userRole: "contributor",
+    meetingType: "status",
+    emotionalIntensity: "routine",
+    topicTags: buildTopicTags(summary),
+  };
+}
+
+function getEventWindow(occurrence, durationMs) {
+  if (occurrence.allDay) {
+    // Match mapGoogleEvent: all-day entries become a one-hour block at 09:00.
+    const wall = { ...occurrence.wall, hour: 9, minute: 0, second: 0 };
+    const start = toInstant({ ...occurrence, wall });
+    return { start, end: new Date(start.getTime() + 3600000) };
+  }
+  const start = toInstant(occurrence);
+  return { start, end: new Date(start.getTime() + durationMs) };
+}
+
+function getEventDuration(vevent, start, context) {
+  const end = parseIcsDate(getProperty(vevent, "DTEND"), context);
+  if (end) {
+    return Math.max(0, toInstant(end).getTime() - toInstant(start).getTime());
+  }
+  const duration = parseDuration(getPropertyValue(vevent, "DURATION"));
+  if (duration !== null) return duration;
+  return start.allDay ? DAY_MS : 3600000;
+}
+
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+    (value || "").trim()
+  );
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total =
+    Number(weeks || 0) * 7 * DAY_MS +
+    Number(days || 0) * DAY_MS +
+    Number(hours || 0) * 3600000 +
+    Number(minutes || 0) * 60000 +
+    Number(seconds || 0) * 1000;
+  return sign === "-" ? -total : total;
+}
+
+function parseIcsDate(property, context) {
+  if (!property) return null;
+  return parseIcsDateValue(property.value, property.params, context);
+}
+
+function parseIcsDateValue(value, params, context) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec((value || "").trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const allDay = params.VALUE === "DATE" || hour === undefined;
+  let zone = context.floatingZone;
+  if (utc) {
+    zone = "UTC";
+  } else if (params.TZID && !allDay) {
+    zone = resolveIcsZone(params.TZID, context);
+  }
+
+  return {
+    wall: {
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: Number(hour || 0),
+      minute: Number(minute || 0),
+      second: Number(second || 0),
+    },
+    zone,
+    allDay,
+  };
+}
+
+function resolveIcsZone(tzid, context) {
+  const pathName = tzid.match(/[A-Za-z]+\/[A-Za-z0-9_+-]+(?:\/[A-Za-z0-9_+-]+)?$/)?.[0];
+  const candidate = [tzid, WINDOWS_TIME_ZONES[tzid], pathName].find(isValidTimeZone);
+  if (candidate) return candidate;
+
+  // Unknown TZID: fall back to the fixed standard offset from its VTIMEZONE block.
+  const vtimezone = context.calendar.components.find(
+    (component) =>
+      component.name === "VTIMEZONE" && getPropertyValue(component, "TZID") === tzid
+  );
+  const standard = vtimezone?.components.find((component) => component.name === "STANDARD");
+  const offsetText = standard ? getPropertyValue(standard, "TZOFFSETTO") : "";
+  const offset = /^([+-])(\d{2})(\d{2})/.exec(offsetText);
+  if (offset) {
+    const minutes = Number(offset[2]) * 60 + Number(offset[3]);
+    return { offsetMinutes: offset[1] === "-" ? -minutes : minutes };
+  }
+
+  return context.floatingZone;
+}
+
+function toInstant({ wall, zone }) {
+  if (typeof zone === "object") {
+    return new Date(wallToMs(wall) - zone.offsetMinutes * 60000);
+  }
+  return zonedTimeToUtc(wall, zone);
+}
+
+function wallToMs({ year, month, day, hour, minute, second }) {
+  return Date.UTC(year, month - 1, day, hour, minute, second);
+}
+
+function msToWall(ms) {
+  const date = new Date(ms);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds(),
+  };
+}
+
+function parseRrule(value) {
+  const parts = {};
+  for (const pair of value.split(";")) {
+    const [key, partValue] = splitOnce(pair, "=");
+    if (partValue !== undefined) parts[key.toUpperCase()] = partValue.toUpperCase();
+  }
+
+  const list = (key) => (parts[key] ? parts[key].split(",").filter(Boolean) : []);
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, Number(parts.INTERVAL) || 1),
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+    until: parts.UNTIL || null,
+    byDay: list("BYDAY")
+      .map((entry) => /^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry))
+      .filter(Boolean)
+      .map(([, ordinal, weekday]) => ({
+        ordinal: ordinal ? Number(ordinal) : null,
+        weekday: WEEKDAYS.indexOf(weekday),
+      })),
+    byMonthDay: list("BYMONTHDAY").map(Number).filter(Boolean),
+    byMonth: list("BYMONTH").map(Number).filter(Boolean),
+  };
+}
+
+function expandRecurrence(vevent, start, rule, context, rangeEnd) {
+  const startMs = wallToMs(start.wall);
+  const untilMs = getUntilMs(rule.until, start, context);
+  // Wall-clock bound: no zone is more than 14 hours from UTC.
+  const limitMs = Math.min(rangeEnd + 14 * 3600000, untilMs ?? Infinity);
+  const excluded = getExcludedInstants(vevent, context);
+
+  const occurrences = [startMs];
+  let emitted = 1;
+
+  for (let period = 0; period < MAX_RECURRENCE_PERIODS; period += 1) {
+    if (rule.count && emitted >= rule.count) break;
+    const candidates = getPeriodCandidates(start.wall, rule, period);
+    if (!candidates) break;
+    if (candidates.periodStart > limitMs) break;
+
+    for (const candidate of candidates.values) {
+      if (candidate <= startMs) continue;
+      if (candidate > limitMs) break;
+      occurrences.push(candidate);
+      emitted += 1;
+      if (rule.count && emitted >= rule.count) break;
+    }
+  }
+
+  const expanded = occurrences.map((ms) => ({
+    wall: msToWall(ms),
+    zone: start.zone,
+    allDay: start.allDay,
+  }));
+  for (const rdate of getProperties(vevent, "RDATE")) {
+    for (const value of rdate.value.split(",")) {
+      // Each RDATE carries its own TZID, so keep its zone instead of borrowing DTSTART's.
+      const parsed = parseIcsDateValue(value, rdate.params, context);
+      if (parsed) expanded.push(parsed);
+    }
+  }
+
+  const byInstant = new Map();
+  for (const occurrence of expanded) {
+    const instant = toInstant(occurrence).getTime();
+    if (!excluded.has(instant) && !byInstant.has(instant)) byInstant.set(instant, occurrence);
+  }
+  return [...byInstant.entries()].sort(([a], [b]) => a - b).map(([, occurrence]) => occurrence);
+}
+
+function getUntilMs(until, start, context) {
+  if (!until) return null;
+  const parsed = parseIcsDateValue(until, {}, context);
+  if (!parsed) return null;
+  if (parsed.allDay) {
+    return wallToMs({ ...parsed.wall, hour: 23, minute: 59, second: 59 });
+  }
+  if (parsed.zone === "UTC" && start.zone !== "UTC") {
+    // UNTIL in UTC bounds the instant; convert it back into the event's wall clock.
+    const instant = toInstant(parsed).getTime();
+    const offset = toInstant({ wall: start.wall, zone: start.zone }).getTime() - wallToMs(start.wall);
+    return instant - offset;
+  }
+  return wallToMs(parsed.wall);
+}
+
+function getExcludedInstants(vevent, context) {
+  const excluded = new Set();
+  for (const exdate of getProperties(vevent, "EXDATE")) {
+    for (const value of exdate.value.split(",")) {
+      const parsed = parseIcsDateValue(value, exdate.params, context);
+      if (parsed) excluded.add(toInstant(parsed).getTime());
+    }
+  }
+  return excluded;
+}
+
+function getPeriodCandidates(startWall, rule, period) {
+  const { hour, minute, second } = startWall;
+  const at = (year, month, day) => Date.UTC(year, month - 1, day, hour, minute, second);
+  const startDay = Date.UTC(startWall.year, startWall.month - 1, startWall.day);
+  const weekdays = rule.byDay.map((entry) => entry.weekday);
+
+  if (rule.freq === "DAILY") {
+    const day = msToWall(startDay + period * rule.interval * DAY_MS);
+    const value = at(day.year, day.month, day.day);
+    const matches =
+      (!weekdays.length || weekdays.includes(new Date(value).getUTCDay())) &&
+      (!rule.byMonth.length || rule.byMonth.includes(day.month)) &&
+      (!rule.byMonthDay.length || rule.byMonthDay.includes(day.day));
+    return { periodStart: value, values: matches ? [value] : [] };
+  }
+
+  if (rule.freq === "WEEKLY") {
+    const mondayOffset = (new Date(startDay).getUTCDay() + 6) % 7;
+    const weekStart = startDay - mondayOffset * DAY_MS + period * rule.interval * 7 * DAY_MS;
+    const days = weekdays.length ? weekdays : [new Date(startDay).getUTCDay()];
+    const values = [];
+    for (let i = 0; i < 7; i += 1) {
+      const day = msToWall(weekStart + i * DAY_MS);
+      const weekday = new Date(weekStart + i * DAY_MS).getUTCDay();
+      if (!days.includes(weekday)) continue;
+      if (rule.byMonth.length && !rule.byMonth.includes(day.month)) continue;
+      values.push(at(day.year, day.month, day.day));
+    }
+    return { periodStart: weekStart, values };
+  }
+
+  if (rule.freq === "MONTHLY") {
+    const monthIndex = startWall.month - 1 + period * rule.interval;
+    const year = startWall.year + Math.floor(monthIndex / 12);
+    const month = (monthIndex % 12) + 1;
+    if (rule.byMonth.length && !rule.byMonth.includes(month)) {
+      return { periodStart: Date.UTC(year, month - 1, 1), values: [] };
+    }
+    const values = getMonthDays(year, month, rule, startWall.day).map((day) => at(year, month, day));
+    return { periodStart: Date.UTC(year, month - 1, 1), values };
+  }
+
+  if (rule.freq === "YEARLY") {
+    const year = startWall.year + period * rule.interval;
+    const months = rule.byMonth.length ? rule.byMonth : [startWall.month];
+    const values = [];
+    for (const month of [...months].sort((a, b) => a - b)) {
+      for (const day of getMonthDays(year, month, rule, startWall.day)) {
+        values.push(at(year, month, day));
+      }
+    }
+    return { periodStart: Date.UTC(year, 0, 1), values };
+  }
+
+  return null;
+}
+
+function getMonthDays(year, month, rule, defaultDay) {
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const weekdayOf = (day) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  let days;
+
+  if (rule.byMonthDay.length) {
+    days = rule.byMonthDay
+      .map((day) => (day > 0 ? day : lastDay + day + 1))
+      .filter((day) => day >= 1 && day <= lastDay);
+    if (rule.byDay.length) {
+      const weekdays = rule.byDay.map((entry) => entry.weekday);
+      days = days.filter((day) => weekdays.includes(weekdayOf(day)));
+    }
+  } else if (rule.byDay.length) {
+    days = [];
+    for (const { weekday, ordinal } of rule.byDay) {
+      const matching = [];
+      for (let day = 1; day <= lastDay; day += 1) {
+        if (weekdayOf(day) === weekday) matching.push(day);
+      }
+      if (ordinal === null) {
+        days.push(...matching);
+      } else {
+        const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (picked) days.push(picked);
+      }
+    }
+  } else {
+    days = defaultDay <= lastDay ? [defaultDay] : [];
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+function buildIcsExport(events, { includeRecovery = true } = {}) {
+  const stamp = formatIcsDate(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Cognitive Calendar//Load Export//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Cognitive Calendar",
+  ];
+
+  for (const event of events) {
+    const uid = `${event.id}@cognitive-calendar`;
+    const classification = event.classification || {};
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${escapeText(uid)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(new Date(event.start))}`,
+      `DTEND:${formatIcsDate(new Date(event.end))}`,
+      `SUMMARY:${escapeText(event.title)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push(
+      `X-COGCAL-TOTAL-LOAD:${event.totalLoad}`,
+      `X-COGCAL-MENTAL-LOAD:${event.mentalLoad}`,
+      `X-COGCAL-CONTEXT-SWITCH:${event.contextSwitchCost}`,
+      `X-COGCAL-RECOVERY-MINUTES:${Math.round(event.recoveryMinutes)}`,
+      `X-COGCAL-CAPACITY-REMAINING:${Math.round(event.capacityRemaining)}`,
+      `X-COGCAL-MEETING-TYPE:${escapeText(classification.meeting_type || "")}`,
+      `X-COGCAL-ROLE:${escapeText(classification.role || "")}`,
+      `X-COGCAL-EMOTIONAL-INTENSITY:${escapeText(classification.emotional_intensity || "")}`,
+      `X-COGCAL-TOPIC-TAGS:${(classification.topic_tags || []).map(escapeText).join(",")}`,
+      "END:VEVENT"
+    );
+
+    // All-day and display-only entries never get a recovery buffer, matching recoveryBlocks.js.
+    const earnsRecovery = !event.allDay && event.countsTowardCapacity !== false;
+    const recoveryMinutes = Math.round(event.recoveryMinutes);
+    if (includeRecovery && earnsRecovery && recoveryMinutes > 0) {
+      const start = new Date(event.end);
+      const end = new Date(start.getTime() + recoveryMinutes * 60000);
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${escapeText(`${event.id}-recovery@cognitive-calendar`)}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsDate(start)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        "SUMMARY:Recovery",
+        `DESCRIPTION:${escapeText(`Recovery buffer after ${event.title}.`)}`,
+        "TRANSP:OPAQUE",
+        `RELATED-TO:${escapeText(uid)}`,
+        `X-COGCAL-RECOVERY-FOR:${escapeText(uid)}`,
+        `X-COGCAL-RECOVERY-MINUTES:${recoveryMinutes}`,
+        "END:VEVENT"
+      );
+    }
+  }
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+function formatIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeText(value) {
+  return String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function foldLine(line) {
+  // RFC 5545 limits content lines to 75 octets; continuation lines start with a space.
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+class IcsParseError extends Error {}
+
+module.exports = {
+  parseIcs,
+  expandIcsEvents,
+  fetchIcsEvents,
+  saveIcsCalendar,
+  IcsParseError,
+  buildIcsExport,
+};
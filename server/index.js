@@ -1,22 +1,98 @@
 require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
-const { GoogleAuth } = require("google-auth-library");
 const { mockEvents } = require("./mockEvents");
 const {
   getAuthUrl,
   exchangeCodeForTokens,
   hasTokens,
-  fetchCalendarEvents,
+  getSessionUserId,
+  revokeSession,
+  isAuthError,
   listCalendars,
   createCalendarEvent,
 } = require("./googleCalendar");
+const { createLinkToken, readLinkToken } = require("./sessionStore");
+const { resolveCalendarSelection, fetchMergedCalendarEvents } = require("./calendars");
+const { fetchIcsEvents, saveIcsCalendar, buildIcsExport, IcsParseError } = require("./ics");
 const {
   BASELINES,
-  classifyWithGemini,
+  classifyEvents,
   computeEventLoads,
+  buildDaySummaries,
   buildDailySummary,
+  buildWeekSummaries,
 } = require("./logic");
+const {
+  resolveTimeZone,
+  getDayKey,
+  getTimeZoneAt,
+  getZonedParts,
+  zonedTimeToUtc,
+} = require("./time");
+const {
+  listOverrides,
+  saveOverride,
+  deleteOverride,
+  applyClassificationOverrides,
+  OverrideValidationError,
+} = require("./overrides");
+const {
+  getProfile,
+  replaceProfile,
+  patchProfile,
+  resetProfile,
+  ProfileValidationError,
+} = require("./profiles");
+const {
+  listCheckins,
+  recordEventCheckin,
+  recordDayCheckin,
+  runCalibration,
+  CheckinValidationError,
+} = require("./checkins");
+const { suggestReschedules, SuggestionError } = require("./optimizer");
+const {
+  listChangeBatches,
+  applyChangeBatch,
+  undoChangeBatch,
+  ChangeValidationError,
+} = require("./changes");
+const {
+  getRecoverySettings,
+  saveRecoverySettings,
+  syncRecoveryBlocks,
+  RecoverySettingsError,
+} = require("./recoveryBlocks");
+const { getTravelPlan, saveTravelPlan, TravelPlanError } = require("./travel");
+const {
+  ensureWatchChannel,
+  ensureSimulatedChannel,
+  buildNotificationHeaders,
+  handleWatchNotification,
+  subscribeToCalendarChanges,
+  WatchChannelError,
+} = require("./watchChannels");
+const {
+  detectVoiceIntent,
+  parseVoiceCommand,
+  planVoiceCommand,
+  confirmVoiceAction,
+  detectConfirmation,
+  discardVoiceAction,
+} = require("./voiceCommands");
+const {
+  loadConversation,
+  deleteConversation,
+  recordExchange,
+  updateConversationCard,
+  findPendingCard,
+  buildConversationContext,
+  formatConversationContext,
+} = require("./conversations");
+const { getLlmProvider, streamGenerate } = require("./llm");
+const { getTtsProvider, synthesizeVoice, createSpeechQueue } = require("./tts");
+const { transcribeAudio, TranscriptionError } = require("./stt");
 
 const app = express();
 app.use(cors());
@@ -30,6 +106,90 @@ app.get("/api/baselines", (_req, res) => {
   res.json(BASELINES);
 });
 
+app.get("/api/profile", async (req, res) => {
+  try {
+    res.json({ profile: await getProfile(await getUserId(req)) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Failed to load baseline profile." });
+  }
+});
+
+app.put("/api/profile", (req, res) =>
+  updateProfile(req, res, (userId) => replaceProfile(userId, req.body?.baselines))
+);
+
+app.patch("/api/profile", (req, res) =>
+  updateProfile(req, res, (userId) => patchProfile(userId, req.body?.baselines))
+);
+
+app.post("/api/profile/reset", (req, res) =>
+  updateProfile(req, res, resetProfile)
+);
+
+app.get("/api/checkins", async (req, res) => {
+  try {
+    const checkins = await listCheckins(await getUserId(req));
+    res.json({ checkins: checkins.map(({ targets: _targets, ...checkin }) => checkin) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Failed to load check-ins." });
+  }
+});
+
+app.post("/api/checkins", async (req, res) => {
+  const { eventId, day, rating } = req.body || {};
+  if (!eventId && !day) {
+    res.status(400).json({ error: "Provide an eventId or a day to check in." });
+    return;
+  }
+
+  const sessionId = getSessionId(req);
+  if (req.body.source === "google" && !(await hasTokens(sessionId))) {
+    res.status(401).json({ error: "Not authenticated with Google." });
+    return;
+  }
+
+  try {
+    const userId = await getUserId(req);
+    const { events, days } = await loadScoredEvents(req.body, sessionId);
+    let checkin;
+    if (eventId) {
+      const event = events.find((item) => item.id === eventId);
+      if (!event) {
+        res.status(404).json({ error: "Event not found in the loaded range." });
+        return;
+      }
+      checkin = await recordEventCheckin(userId, event, rating);
+    } else {
+      const summary = days.find((item) => item.date === day);
+      if (!summary) {
+        res.status(404).json({ error: "No events on that day." });
+        return;
+      }
+      checkin = await recordDayCheckin(userId, summary, events, rating);
+    }
+    const { targets: _targets, ...saved } = checkin;
+    res.json({ checkin: saved });
+  } catch (error) {
+    if (error instanceof CheckinValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    console.error(error);
+    res.status(500).json({ error: "Failed to save check-in." });
+  }
+});
+
+app.post("/api/calibration/run", async (req, res) => {
+  try {
+    res.json(await runCalibration(await getUserId(req)));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Failed to calibrate baselines." });
+  }
+});
+
 app.get("/api/google/oauth/start", (_req, res) => {
   const url = getAuthUrl();
   if (!url) {
@@ -47,99 +207,719 @@ app.get("/api/google/oauth/callback", async (req, res) => {
   }
 
   try {
-    await exchangeCodeForTokens(code);
+    const result = await exchangeCodeForTokens(code);
+    if (!result) {
+      res.status(400).json({ error: "Missing Google OAuth configuration." });
+      return;
+    }
     const redirectTo = process.env.WEB_BASE_URL || "http://localhost:3000";
-    res.redirect(redirectTo);
+    // The fragment keeps the session id out of server logs and Referer headers.
+    res.redirect(`${redirectTo}#session=${result.sessionId}`);
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: "Failed to exchange OAuth token." });
   }
 });
 
-app.get("/api/google/calendars", async (_req, res) => {
-  if (!hasTokens()) {
+app.post("/api/google/logout", async (req, res) => {
+  try {
+    await revokeSession(getSessionId(req));
+    res.json({ status: "ok" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Failed to sign out." });
+  }
+});
+
+// Live streams only check the token when they connect, so theirs can be short. Export links end
+// up in calendar subscriptions and last longer.
+const LINK_TOKEN_TTL_SECONDS = { live: 15 * 60, export: 30 * 24 * 3600 };
+
+app.post("/api/session/link-token", async (req, res) => {
+  const scope = req.body?.scope;
+  if (!LINK_TOKEN_TTL_SECONDS[scope]) {
+    res.status(400).json({ error: "scope must be live or export." });
+    return;
+  }
+  const sessionId = getSessionId(req);
+  if (!(await hasTokens(sessionId))) {
+    res.status(401).json({ error: "Not authenticated with Google." });
+    return;
+  }
+  res.json(createLinkToken(sessionId, scope, LINK_TOKEN_TTL_SECONDS[scope]));
+});
+
+app.get("/api/google/calendars", async (req, res) => {
+  const sessionId = getSessionId(req);
+  if (!(await hasTokens(sessionId))) {
     res.status(401).json({ error: "Not authenticated with Google." });
     return;
   }
 
   try {
-    const calendars = await listCalendars();
+    const calendars = await listCalendars({ sessionId });
     res.json({ calendars });
   } catch (error) {
     console.error(error);
+    if (isAuthError(error)) {
+      res.status(401).json({ error: "Google session expired. Please sign in again." });
+      return;
+    }
     res.status(500).json({ error: "Failed to load calendars." });
   }
 });
 
-app.get("/api/events", async (req, res) => {
+// Google posts here when a watched calendar changes. The body is empty; the headers say which
+// channel fired.
+app.post("/api/google/webhook", async (req, res) => {
+  try {
+    res.json(await handleWatchNotification((name) => req.get(name)));
+  } catch (error) {
+    if (error instanceof WatchChannelError) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+    console.error(error);
+    res.status(500).json({ error: "Failed to handle the notification." });
+  }
+});
+
+// For local testing: replays a notification for one of the user's calendars through the webhook
+// handler. Calendars Google is not watching get a stand-in channel. Off unless WATCH_SIMULATE=true.
+app.post("/api/google/webhook/simulate", async (req, res) => {
+  if (process.env.WATCH_SIMULATE !== "true") {
+    res.status(404).json({ error: "Not found." });
+    return;
+  }
+
+  try {
+    const channel = await ensureSimulatedChannel({
+      userId: await getUserId(req),
+      calendarId: req.body?.calendarId || "primary",
+    });
+    const headers = buildNotificationHeaders(channel, req.body?.resourceState);
+    // The channel token authenticates real notifications, so it never leaves the server.
+    res.json(await handleWatchNotification((name) => headers[name]));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Failed to simulate the notification." });
+  }
+});
+
+const LIVE_REFRESH_DELAY_MS = 1000;
+const LIVE_HEARTBEAT_MS = 25000;
+
+// Pushes rescored events to an open dashboard whenever one of its calendars changes. Takes the
+// same query as /api/events; EventSource cannot send headers, so it passes a "live" link token.
+app.get("/api/live", async (req, res) => {
+  const sessionId = getSessionId(req, "live");
+  const google = req.query.source === "google";
+  const openStream = () => {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+  };
+  let closed = false;
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let userId;
+  let selection;
+  let watching = false;
   try {
-    const source = req.query.source;
-    const calendarId = req.query.calendarId;
-    let events = [...mockEvents];
+    if (google && !(await hasTokens(sessionId))) {
+      res.status(401).json({ error: "Not authenticated with Google." });
+      return;
+    }
 
-    if (source === "google" && hasTokens()) {
-      const now = new Date();
-      const startOfRange = new Date(now.getFullYear(), now.getMonth(), 1);
-      const endOfRange = new Date(now.getFullYear(), now.getMonth() + 2, 0);
-      endOfRange.setHours(23, 59, 59, 999);
+    userId = (await getSessionUserId(sessionId)) || "local";
+    selection = resolveCalendarSelection(req.query);
+    if (google) {
+      const results = await Promise.allSettled(
+        selection.calendarIds.map((calendarId) =>
+          ensureWatchChannel({ userId, calendarId, sessionId })
+        )
+      );
+      for (const result of results) {
+        if (result.status === "rejected") {
+          console.error("Watch channel registration failed", result.reason);
+        }
+      }
+      watching = results.some((result) => result.status === "fulfilled" && result.value);
+    }
+  } catch (error) {
+    // The session lookup can fail too; the client hears about it on the stream it opened.
+    console.error("Live updates failed to start", error);
+    openStream();
+    send("error", { error: "Could not start live updates." });
+    res.end();
+    return;
+  }
 
-      events = await fetchCalendarEvents({
-        timeMin: startOfRange.toISOString(),
-        timeMax: endOfRange.toISOString(),
-        calendarId: calendarId || "primary",
+  openStream();
+
+  // Google often sends several notifications for one edit, so refreshes wait for a quiet moment
+  // and never overlap.
+  let timer = null;
+  let refreshing = Promise.resolve();
+  const refresh = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      refreshing = refreshing.then(async () => {
+        if (closed) return;
+        try {
+          const { events, summary, days, weeks, calendars, range } = await loadScoredEvents(
+            req.query,
+            sessionId
+          );
+          if (google) {
+            scheduleRecoveryBlocks({ userId, sessionId, events, range, selection });
+          }
+          send("events", { events, summary, days, weeks, calendars, range });
+        } catch (error) {
+          console.error("Live refresh failed", error);
+          send("error", { error: "Could not refresh events." });
+        }
       });
+    }, LIVE_REFRESH_DELAY_MS);
+  };
+
+  const unsubscribe = subscribeToCalendarChanges(
+    { userId, calendarIds: selection.calendarIds, sessionId: google ? sessionId : null },
+    refresh
+  );
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": ping\n\n");
+  }, LIVE_HEARTBEAT_MS);
+  res.on("close", () => {
+    closed = true;
+    clearTimeout(timer);
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  send("ready", { watching });
+});
+
+app.post(
+  "/api/ics/upload",
+  express.text({ type: ["text/calendar", "text/plain"], limit: "5mb" }),
+  async (req, res, next) => {
+    const text = typeof req.body === "string" ? req.body : req.body?.ics;
+    if (!text) {
+      res.status(400).json({ error: "Missing iCalendar content." });
+      return;
     }
 
-    events.sort((a, b) => new Date(a.start) - new Date(b.start));
+    try {
+      const owner = getIcsOwner(await getUserId(req), getSessionId(req));
+      const calendar = await saveIcsCalendar(owner, text);
+      res.json({ status: "ok", calendar });
+    } catch (error) {
+      if (error instanceof IcsParseError) {
+        res.status(400).json({ error: error.message });
+        return;
+      }
+      next(error);
+    }
+  }
+);
 
-    const classified = [];
-    for (const event of events) {
-      const classification = await classifyWithGemini(event);
-      classified.push({ ...event, classification });
+app.get("/api/overrides", async (req, res) => {
+  try {
+    const overrides = await listOverrides(await getUserId(req));
+    res.json({ overrides });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Failed to load overrides." });
+  }
+});
+
+app.post("/api/overrides", async (req, res) => {
+  try {
+    const override = await saveOverride(await getUserId(req), req.body);
+    res.json({ override });
+  } catch (error) {
+    if (error instanceof OverrideValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
     }
+    console.error(error);
+    res.status(500).json({ error: "Failed to save override." });
+  }
+});
+
+app.delete("/api/overrides/:id", async (req, res) => {
+  try {
+    const deleted = await deleteOverride(await getUserId(req), req.params.id);
+    if (!deleted) {
+      res.status(404).json({ error: "Override not found." });
+      return;
+    }
+    res.json({ status: "ok" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Failed to delete override." });
+  }
+});
 
-    const enriched = computeEventLoads(classified);
-    const summary = buildDailySummary(enriched);
+app.get("/api/events", async (req, res) => {
+  const sessionId = getSessionId(req);
+  if (req.query.source === "google" && !(await hasTokens(sessionId))) {
+    res.status(401).json({ error: "Not authenticated with Google." });
+    return;
+  }
 
-    res.json({ events: enriched, summary });
+  try {
+    const {
+      events,
+      summary,
+      days,
+      weeks,
+      classificationCache,
+      ledgerOptions,
+      range,
+      selection,
+      calendars,
+    } = await loadScoredEvents(req.query, sessionId);
+    if (req.query.source === "google") {
+      const userId = await getUserId(req);
+      scheduleRecoveryBlocks({ userId, sessionId, events, range, selection });
+    }
+    res.json({
+      events,
+      summary,
+      days,
+      weeks,
+      calendars,
+      range,
+      timeZone: ledgerOptions.timeZone,
+      travel: ledgerOptions.travel,
+      classificationCache,
+    });
   } catch (error) {
     console.error(error);
+    if (isAuthError(error)) {
+      res.status(401).json({ error: "Google session expired. Please sign in again." });
+      return;
+    }
     res.status(500).json({ error: "Failed to load events." });
   }
 });
 
+app.get("/api/suggestions", async (req, res) => {
+  const sessionId = getSessionId(req);
+  if (req.query.source === "google" && !(await hasTokens(sessionId))) {
+    res.status(401).json({ error: "Not authenticated with Google." });
+    return;
+  }
+
+  try {
+    const { events, ledgerOptions, recoveryBlocks } = await loadScoredEvents(req.query, sessionId);
+    const { horizon, proposals } = suggestReschedules(events, {
+      ...req.query,
+      ...ledgerOptions,
+      busy: recoveryBlocks,
+      // The mock calendar is fixed in the past, so only live calendars skip past slots.
+      notBefore: req.query.source === "google" || req.query.source === "ics" ? new Date() : null,
+    });
+    res.json({ horizon, proposals });
+  } catch (error) {
+    if (error instanceof SuggestionError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    console.error(error);
+    if (isAuthError(error)) {
+      res.status(401).json({ error: "Google session expired. Please sign in again." });
+      return;
+    }
+    res.status(500).json({ error: "Failed to build suggestions." });
+  }
+});
+
+app.get("/api/travel", async (req, res) => {
+  try {
+    res.json({ stops: await getTravelPlan(await getUserId(req)) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Failed to load the travel plan." });
+  }
+});
+
+app.put("/api/travel", async (req, res) => {
+  try {
+    res.json({ stops: await saveTravelPlan(await getUserId(req), req.body?.stops) });
+  } catch (error) {
+    if (error instanceof TravelPlanError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    console.error(error);
+    res.status(500).json({ error: "Failed to save the travel plan." });
+  }
+});
+
+app.get("/api/recovery-blocks/settings", async (req, res) => {
+  try {
+    res.json({ settings: await getRecoverySettings(await getUserId(req)) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Failed to load recovery block settings." });
+  }
+});
+
+app.put("/api/recovery-blocks/settings", async (req, res) => {
+  try {
+    res.json({ settings: await saveRecoverySettings(await getUserId(req), req.body) });
+  } catch (error) {
+    if (error instanceof RecoverySettingsError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    console.error(error);
+    res.status(500).json({ error: "Failed to save recovery block settings." });
+  }
+});
+
+app.post("/api/recovery-blocks/sync", async (req, res) => {
+  const sessionId = getSessionId(req);
+  if (!(await hasTokens(sessionId))) {
+    res.status(401).json({ error: "Not authenticated with Google." });
+    return;
+  }
+
+  try {
+    const query = { ...req.body, source: "google" };
+    const { events, range, selection } = await loadScoredEvents(query, sessionId);
+    const userId = await getUserId(req);
+    res.json({
+      recoveryBlocks: await scheduleRecoveryBlocks({ userId, sessionId, events, range, selection }),
+    });
+  } catch (error) {
+    console.error(error);
+    if (isAuthError(error)) {
+      res.status(401).json({ error: "Google session expired. Please sign in again." });
+      return;
+    }
+    res.status(500).json({ error: "Failed to sync recovery blocks." });
+  }
+});
+
+app.get("/api/changes", async (req, res) => {
+  try {
+    res.json({ batches: await listChangeBatches(await getUserId(req)) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Failed to load the change journal." });
+  }
+});
+
+app.post("/api/changes/apply", async (req, res) => {
+  const sessionId = getSessionId(req);
+  if (!(await hasTokens(sessionId))) {
+    res.status(401).json({ error: "Not authenticated with Google." });
+    return;
+  }
+
+  const { calendarId, changes, label } = req.body || {};
+  try {
+    const batch = await applyChangeBatch({
+      userId: await getUserId(req),
+      sessionId,
+      calendarId: calendarId || "primary",
+      changes,
+      label,
+    });
+    res.json({ batch });
+  } catch (error) {
+    sendChangeError(res, error, "Failed to apply changes.");
+  }
+});
+
+app.post("/api/changes/:id/undo", async (req, res) => {
+  const sessionId = getSessionId(req);
+  if (!(await hasTokens(sessionId))) {
+    res.status(401).json({ error: "Not authenticated with Google." });
+    return;
+  }
+
+  try {
+    const batch = await undoChangeBatch({
+      userId: await getUserId(req),
+      sessionId,
+      batchId: req.params.id,
+    });
+    res.json({ batch });
+  } catch (error) {
+    sendChangeError(res, error, "Failed to undo changes.");
+  }
+});
+
+app.get("/api/export.ics", async (req, res) => {
+  const sessionId = getSessionId(req, "export");
+  if (req.query.source === "google" && !(await hasTokens(sessionId))) {
+    res.status(401).json({ error: "Not authenticated with Google." });
+    return;
+  }
+
+  try {
+    const { events } = await loadScoredEvents(req.query, sessionId);
+    const calendar = buildIcsExport(events, {
+      includeRecovery: req.query.recovery !== "false",
+    });
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'inline; filename="cognitive-calendar.ics"');
+    res.send(calendar);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Failed to export events." });
+  }
+});
+
+// Recorded audio for browsers without the Web Speech API. The body is the raw recording and
+// `?language=` a BCP 47 tag such as de-DE (blank or "auto" to detect it).
+app.post(
+  "/api/voice/transcribe",
+  express.raw({ type: "audio/*", limit: "10mb" }),
+  async (req, res) => {
+    try {
+      const result = await transcribeAudio({
+        audio: Buffer.isBuffer(req.body) ? req.body : null,
+        mimeType: req.get("Content-Type"),
+        language: req.query.language,
+      });
+      res.json(result);
+    } catch (error) {
+      if (error instanceof TranscriptionError) {
+        res.status(error.status).json({ error: error.message });
+        return;
+      }
+      console.error("Transcription failed", error);
+      res.status(500).json({ error: "Failed to transcribe the recording." });
+    }
+  }
+);
+
 app.post("/api/voice/query", async (req, res) => {
-  const { query, summary, events, source, calendarId, tone } = req.body || {};
+  if (!req.body?.query) {
+    res.status(400).json({ error: "Missing query." });
+    return;
+  }
 
-  if (!query) {
+  let answer;
+  try {
+    answer = await answerVoiceQuery(req);
+  } catch (error) {
+    sendChangeError(res, error, "Failed to apply the voice action.");
+    return;
+  }
+
+  const { result, conversation } = answer;
+  const voice = await synthesizeVoice(result.text, {
+    tone: result.tone,
+    cache: !result.generated,
+  });
+  res.json({
+    text: result.text,
+    audio: voice,
+    warning: result.warning,
+    action: result.action,
+    event: result.event,
+    card: result.card,
+    conversation: { id: conversation.id, turns: conversation.turns },
+  });
+});
+
+// Server-sent events: `text` deltas as the answer is generated, `done` with the same payload
+// as /api/voice/query, then `audio` MP3 chunks sentence by sentence, and finally `end`.
+app.post("/api/voice/stream", async (req, res) => {
+  if (!req.body?.query) {
     res.status(400).json({ error: "Missing query." });
     return;
   }
 
-  const actionResult = await handleVoiceAction({
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const { mimeType } = getTtsProvider();
+  const speech = createSpeechQueue({
+    onChunk: (chunk, sentence) =>
+      send("audio", { sentence, mimeType, chunk: chunk.toString("base64") }),
+    onError: (error) =>
+      send("audio-error", { status: error.status || "error", reason: error.message }),
+    isClosed: () => closed,
+  });
+
+  try {
+    let streamed = "";
+    const { result, conversation } = await answerVoiceQuery(req, (delta, tone) => {
+      streamed += delta;
+      send("text", { delta });
+      speech.push(delta, { tone });
+    });
+    if (streamed && !result.generated) {
+      // The model failed part way through and the reply fell back to the rule-based answer,
+      // so the client drops the partial text before it arrives.
+      send("reset", {});
+      speech.reset();
+      streamed = "";
+    }
+    if (!streamed) {
+      send("text", { delta: result.text });
+      speech.push(result.text, { tone: result.tone, cache: true });
+    }
+    send("done", {
+      text: result.text,
+      warning: result.warning,
+      action: result.action,
+      event: result.event,
+      card: result.card,
+      conversation: { id: conversation.id, turns: conversation.turns },
+    });
+    await speech.finish();
+  } catch (error) {
+    console.error("Voice stream failed", error);
+    send("error", { error: error.batch ? error.message : "Voice request failed." });
+  }
+
+  send("end", {});
+  res.end();
+});
+
+// Shared by the one-shot and streaming endpoints. `onDelta` receives model text as it arrives,
+// along with the tone it should be spoken in.
+async function answerVoiceQuery(req, onDelta) {
+  const {
     query,
+    summary,
+    events,
     source,
-    calendarId,
+    tone,
+    language,
+    timeZone,
+    conversationId,
+  } = req.body;
+  const selection = resolveCalendarSelection(req.body);
+  const sessionId = getSessionId(req);
+  const userId = await getUserId(req);
+  let conversation = await loadConversation(userId, conversationId);
+
+  // Events are scored here rather than trusted from the client so follow-ups can refer back.
+  let context = null;
+  try {
+    context = await loadVoiceContext({ source, selection, timeZone, sessionId });
+    context.discussedEvents = conversation.discussedEvents;
+    context.conversationId = conversation.id;
+  } catch (error) {
+    console.error("Voice query could not load events", error);
+  }
+  const voiceTone = getVoiceTone({
+    query: query.toLowerCase(),
+    summary: context?.summary || summary || {},
+    override: tone,
+  });
+
+  let result = await handleVoiceAction({
+    query,
+    source,
+    calendarId: selection.defaultCalendarId,
+    sessionId,
+    userId,
+    conversationId: conversation.id,
+    context,
+    pendingCard: findPendingCard(conversation),
   });
 
-  if (actionResult) {
-    const responseText = actionResult.text;
-    const voice = await synthesizeVoice(responseText);
+  if (!result) {
+    const response = await buildVoiceResponseWithGemini(
+      query,
+      context?.summary || summary,
+      context?.events || events,
+      tone,
+      language,
+      context?.timeZone || resolveTimeZone(timeZone),
+      buildConversationContext(conversation),
+      onDelta && ((delta) => onDelta(delta, voiceTone))
+    );
+    result = { text: response.text, warning: response.warning, generated: response.generated };
+  }
+  result = { ...result, tone: voiceTone };
+
+  const pending = findPendingCard(conversation);
+  if (result.card && pending && pending.id !== result.card.id) {
+    discardVoiceAction({ userId, conversationId: conversation.id }, pending.id);
+  }
+  conversation = await recordExchange(conversation, {
+    query,
+    reply: result.text,
+    card: result.card,
+    events: context?.events,
+  });
+  return { result, conversation };
+}
+
+app.post("/api/voice/actions/:id", async (req, res) => {
+  try {
+    const userId = await getUserId(req);
+    const result = await confirmVoiceAction({
+      userId,
+      conversationId: req.body?.conversationId,
+      sessionId: getSessionId(req),
+      actionId: req.params.id,
+      confirm: req.body?.confirm === true,
+    });
+
+    let conversation = null;
+    if (req.body?.conversationId) {
+      conversation = await updateConversationCard(
+        await loadConversation(userId, req.body.conversationId),
+        result.card,
+        result.text
+      );
+    }
+    // Confirmations are short and to the point, so they default to the practical voice.
+    const tone = req.body?.tone && req.body.tone !== "auto" ? req.body.tone : "practical";
     res.json({
-      text: responseText,
-      audio: voice,
-      warning: actionResult.warning,
-      action: actionResult.action,
-      event: actionResult.event,
+      ...result,
+      audio: await synthesizeVoice(result.text, { tone: normalizeVoiceTone(tone) }),
+      conversation: conversation && { id: conversation.id, turns: conversation.turns },
     });
-    return;
+  } catch (error) {
+    sendChangeError(res, error, "Failed to apply the voice action.");
   }
+});
 
-  const response = await buildVoiceResponseWithGemini(query, summary, events, tone);
-  const responseText = response.text;
-  const voice = await synthesizeVoice(responseText);
-
-  res.json({ text: responseText, audio: voice, warning: response.warning });
+app.delete("/api/voice/conversations/:id", async (req, res) => {
+  try {
+    const deleted = await deleteConversation(await getUserId(req), req.params.id);
+    if (!deleted) {
+      res.status(404).json({ error: "Conversation not found." });
+      return;
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Failed to end the conversation." });
+  }
 });
 
 const PORT = process.env.PORT || 5050;
@@ -147,7 +927,177 @@ app.listen(PORT, () => {
   console.log(`Cognitive Calendar API running on :${PORT}`);
 });
 
-function buildVoiceResponse(query, summary, toneOverride) {
+// `linkScope` names a route that cannot send headers; it also accepts a link token for that
+// scope as ?token=. The session id itself never goes in a URL.
+function getSessionId(req, linkScope) {
+  const header = req.get("authorization") || "";
+  if (header.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length).trim();
+  }
+  if (linkScope && req.query.token) {
+    return readLinkToken(req.query.token, linkScope);
+  }
+  return req.get("x-session-id") || null;
+}
+
+// Signed-in users are keyed by their Google account; everyone else shares a local profile.
+async function getUserId(req) {
+  return (await getSessionUserId(getSessionId(req))) || "local";
+}
+
+// Signed-out uploads belong to the session that made them.
+function getIcsOwner(userId, sessionId) {
+  return userId !== "local" ? userId : sessionId || "local";
+}
+
+function sendChangeError(res, error, fallback) {
+  if (error instanceof ChangeValidationError) {
+    res.status(error.status).json({ error: error.message });
+    return;
+  }
+  console.error(error);
+  if (isAuthError(error.cause || error)) {
+    res.status(401).json({ error: "Google session expired. Please sign in again." });
+    return;
+  }
+  // A rolled-back batch is still journaled; return it so the client can show what happened.
+  res.status(502).json({ error: error.batch ? error.message : fallback, batch: error.batch });
+}
+
+// Writing blocks is best effort: a failure here should never hide the user's events.
+// Recovery blocks are written by one job per user at a time, so overlapping loads cannot insert
+// the same block twice. Loads only schedule a run. While one runs, the next waits with the newest
+// schedule, and every caller that scheduled it gets its result.
+const recoveryJobs = new Map();
+
+function scheduleRecoveryBlocks(context) {
+  let queue = recoveryJobs.get(context.userId);
+  if (!queue) {
+    queue = { tail: Promise.resolve(), waiting: null };
+    recoveryJobs.set(context.userId, queue);
+  }
+  if (queue.waiting) {
+    queue.waiting.context = context;
+    return queue.waiting.result;
+  }
+
+  const waiting = { context };
+  waiting.result = queue.tail.then(() => {
+    queue.waiting = null;
+    return reconcileRecoveryBlocks(waiting.context);
+  });
+  queue.waiting = waiting;
+  queue.tail = waiting.result;
+  waiting.result.then(() => {
+    if (queue.tail === waiting.result) recoveryJobs.delete(context.userId);
+  });
+  return waiting.result;
+}
+
+async function reconcileRecoveryBlocks({ userId, sessionId, events, range, selection }) {
+  try {
+    const settings = await getRecoverySettings(userId);
+    if (!settings.enabled) return { enabled: false };
+    const result = await syncRecoveryBlocks({
+      sessionId,
+      settings,
+      events,
+      sourceCalendarIds: selection.calendarIds,
+      ...range,
+    });
+    return { enabled: true, ...result };
+  } catch (error) {
+    console.error("Recovery block sync failed", error);
+    return { enabled: true, error: "Recovery blocks could not be synced." };
+  }
+}
+
+async function updateProfile(req, res, update) {
+  try {
+    res.json({ profile: await update(await getUserId(req)) });
+  } catch (error) {
+    if (error instanceof ProfileValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    console.error(error);
+    res.status(500).json({ error: "Failed to save baseline profile." });
+  }
+}
+
+async function loadScoredEvents(query, sessionId) {
+  const source = query.source;
+  const selection = resolveCalendarSelection(query);
+  const userId = (await getSessionUserId(sessionId)) || "local";
+  const ledgerOptions = {
+    timeZone: resolveTimeZone(query.timeZone),
+    dayStartHour: query.dayStartHour,
+    travel: await getTravelPlan(userId),
+    profile: await getProfile(userId),
+  };
+  const range = resolveEventRange(query, ledgerOptions.timeZone);
+  let events = [...mockEvents];
+  let calendars = [];
+
+  if (source === "google" && (await hasTokens(sessionId))) {
+    ({ events, calendars } = await fetchMergedCalendarEvents({
+      ...range,
+      ...selection,
+      sessionId,
+      ledger: ledgerOptions,
+    }));
+  } else if (source === "ics") {
+    events = await fetchIcsEvents({
+      owner: getIcsOwner(userId, sessionId),
+      ...range,
+      timeZone: ledgerOptions.timeZone,
+    });
+  }
+
+  // Our own recovery blocks are not meetings and must not be scored as load, and neither are
+  // meetings the user declined. The blocks still take up time, so they are kept aside.
+  const recoveryBlocks = events.filter((event) => event.recoveryBlock);
+  events = events.filter((event) => !event.recoveryBlock && event.responseStatus !== "declined");
+  events.sort((a, b) => new Date(a.start) - new Date(b.start));
+
+  const { events: classified, stats } = await classifyEvents(events);
+  const corrected = applyClassificationOverrides(classified, await listOverrides(userId));
+
+  const enriched = computeEventLoads(corrected, ledgerOptions);
+  const days = buildDaySummaries(enriched);
+  const summary = buildDailySummary(enriched, ledgerOptions);
+
+  return {
+    events: enriched,
+    summary,
+    days,
+    weeks: buildWeekSummaries(days),
+    classificationCache: stats,
+    ledgerOptions,
+    recoveryBlocks,
+    range,
+    selection,
+    calendars,
+  };
+}
+
+// `timeMin` and `timeMax` follow the calendar view. Without them the range is this month and
+// next, in the user's time zone.
+function resolveEventRange(query, timeZone) {
+  const { year, month } = getZonedParts(new Date(), timeZone);
+  const startOfRange = zonedTimeToUtc({ year, month, day: 1 }, timeZone);
+  const endOfRange = new Date(zonedTimeToUtc({ year, month: month + 2, day: 1 }, timeZone) - 1);
+
+  const timeMin = query.timeMin ? new Date(query.timeMin) : startOfRange;
+  const timeMax = query.timeMax ? new Date(query.timeMax) : endOfRange;
+  if (Number.isNaN(timeMin.valueOf()) || Number.isNaN(timeMax.valueOf()) || timeMax <= timeMin) {
+    return { timeMin: startOfRange.toISOString(), timeMax: endOfRange.toISOString() };
+  }
+
+  return { timeMin: timeMin.toISOString(), timeMax: timeMax.toISOString() };
+}
+
+function buildVoiceResponse(query, summary, toneOverride, focusEvent) {
   const normalized = query.toLowerCase();
   const safeSummary = summary || {};
   const capacity = safeSummary.capacityRemaining ?? 100;
@@ -168,6 +1118,9 @@ function buildVoiceResponse(query, summary, toneOverride) {
   }
 
   if (normalized.includes("why")) {
+    if (focusEvent?.explanation) {
+      return explainEventLoad(focusEvent);
+    }
     if (tone === "supportive") {
       return "That meeting takes more out of you because the mental demand, emotional intensity, and context switching stack up. We can look at the specific signals together in the explanation panel.";
     }
@@ -190,6 +1143,37 @@ function buildVoiceResponse(query, summary, toneOverride) {
   return "I’m here to help you notice patterns in your capacity. Ask about today’s load, recovery buffers, or why a meeting feels costly.";
 }
 
+function explainEventLoad(event) {
+  const { explanation, classification } = event;
+  const factors = [
+    ["its complexity", explanation.complexity, classification.meeting_type],
+    ["your role", explanation.roleLoad, classification.role],
+    ["its emotional intensity", explanation.emotionalLoad, classification.emotional_intensity],
+    ["the social load", explanation.socialLoad, `${event.attendeeCount || 1} people`],
+    ["context switching", explanation.contextSwitchCost, null],
+  ]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 2)
+    .map(([label, , detail]) =>
+      detail ? `${label} (${String(detail).replace(/_/g, " ")})` : label
+    );
+  return `"${event.title}" carries a load of ${Math.round(
+    event.totalLoad * 100
+  )}%, mostly from ${factors.join(" and ")}. It needs about ${Math.round(
+    event.recoveryMinutes
+  )} minutes of recovery.`;
+}
+
+// English needs no instruction; rule-based answers are always English.
+function getLanguageName(language) {
+  if (!language || /^en(-|$)/i.test(language) || language === "auto") return null;
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(language) || null;
+  } catch {
+    return null;
+  }
+}
+
 function getVoiceTone({ query, summary, override }) {
   if (override && override !== "auto") {
     return normalizeVoiceTone(override);
@@ -246,28 +1230,6 @@ function buildPracticalResponse({ totalLoad, capacity, highRisk }) {
   return `You have about ${capacityLeft} capacity points left. Moving one meeting could create a clean break. I can suggest which one, if you’d like.`;
 }
 
-function looksLikeCreateEvent(query) {
-  const normalized = query.toLowerCase();
-  return (
-    normalized.includes("add event") ||
-    normalized.includes("create event") ||
-    normalized.includes("schedule") ||
-    normalized.includes("book") ||
-    normalized.includes("add meeting") ||
-    normalized.includes("create meeting")
-  );
-}
-
-function parseJsonResponse(text) {
-  if (!text) return null;
-  const cleaned = text.trim().replace(/^```json/i, "").replace(/^```/, "").replace(/```$/, "");
-  try {
-    return JSON.parse(cleaned);
-  } catch (_error) {
-    return null;
-  }
-}
-
 function formatEventConfirmation(event, timeZone) {
   const start = new Date(event.start);
   const end = new Date(event.end);
@@ -288,25 +1250,102 @@ function hasTimeZoneOffset(value) {
   return /[zZ]|[+-]\d{2}:?\d{2}$/.test(value || "");
 }
 
-async function handleVoiceAction({ query, source, calendarId }) {
-  if (!looksLikeCreateEvent(query)) {
+async function handleVoiceAction({
+  query,
+  source,
+  calendarId,
+  sessionId,
+  userId,
+  conversationId,
+  context,
+  pendingCard,
+}) {
+  const reply = pendingCard ? detectConfirmation(query) : null;
+  if (reply) {
+    const result = await confirmVoiceAction({
+      userId,
+      conversationId,
+      sessionId,
+      actionId: pendingCard.id,
+      confirm: reply === "confirm",
+    });
+    return { action: reply === "confirm" ? pendingCard.intent : "dismiss", ...result };
+  }
+
+  const intent = detectVoiceIntent(query);
+  if (!intent) {
     return null;
   }
 
-  if (!process.env.GCP_PROJECT_ID || !process.env.GCP_LOCATION) {
+  const provider = getLlmProvider();
+  if (intent === "create_event" && !provider.isConfigured()) {
     return {
       action: "create_event",
-      text: "Event creation needs Gemini configured. Set GCP_PROJECT_ID and GCP_LOCATION.",
-      warning: "Gemini is not configured for event creation.",
+      text: `Event creation needs ${provider.label} configured. ${provider.configHint}`,
+      warning: `${provider.label} is not configured for event creation.`,
     };
   }
 
-  const parsed = await parseEventRequestWithGemini(query);
-  if (!parsed || parsed.action !== "create_event") {
+  if (!context) {
+    return {
+      action: intent,
+      text: "I couldn't read your calendar just now. Please try again.",
+      warning: "Loading events for the voice command failed.",
+    };
+  }
+
+  const parsed = await parseVoiceCommand(query, {
+    intent,
+    timeZone: context.timeZone,
+    referenceDay: context.referenceDay,
+    recentEvents: context.discussedEvents,
+  });
+  // The model decided this is a question after all; let the advice path answer it.
+  if (parsed?.intent === "none") return null;
+  if (!parsed && intent !== "create_event") {
+    return {
+      action: intent,
+      text: "I couldn't work out that calendar change. Please try again.",
+      warning: "The model did not return a valid command.",
+    };
+  }
+  if (!parsed || parsed.intent === "create_event") {
+    return createEventFromVoice(parsed, { source, calendarId, sessionId });
+  }
+
+  const plan = planVoiceCommand(parsed, context);
+  return { action: parsed.intent, text: plan.text, card: plan.card };
+}
+
+// Live calendars resolve "today" against the clock; the mock data has its own day.
+async function loadVoiceContext({ source, selection, timeZone, sessionId }) {
+  const { events, summary, ledgerOptions } = await loadScoredEvents(
+    { source, ...selection, timeZone },
+    sessionId
+  );
+  const live = source === "ics" || (source === "google" && (await hasTokens(sessionId)));
+  const now = new Date();
+  const today = getDayKey(now, ledgerOptions);
+
+  // Voice commands work in the zone the user is in now, even during a trip.
+  return {
+    events,
+    summary,
+    timeZone: getTimeZoneAt(now, ledgerOptions),
+    referenceDay: live ? today : summary.date,
+    notBefore: live ? now : null,
+    source: live ? source : "mock",
+    calendarId: selection.defaultCalendarId,
+    userId: (await getSessionUserId(sessionId)) || "local",
+  };
+}
+
+async function createEventFromVoice(parsed, { source, calendarId, sessionId }) {
+  if (!parsed) {
     return {
       action: "create_event",
       text: "I couldn't read the event details. Try: Add event on Dec 31, 2025 from 1pm to 2pm for Meeting with Investors.",
-      warning: "Gemini did not return a valid event.",
+      warning: "The model did not return a valid event.",
     };
   }
 
@@ -337,7 +1376,7 @@ async function handleVoiceAction({ query, source, calendarId }) {
   };
 
   if (source === "google") {
-    if (!hasTokens()) {
+    if (!(await hasTokens(sessionId))) {
       return {
         action: "create_event",
         text: "You're not connected to Google Calendar yet. Please sign in first.",
@@ -347,6 +1386,7 @@ async function handleVoiceAction({ query, source, calendarId }) {
 
     const created = await createCalendarEvent({
       calendarId: calendarId || "primary",
+      sessionId,
       ...eventPayload,
     });
 
@@ -389,25 +1429,31 @@ async function handleVoiceAction({ query, source, calendarId }) {
   };
 }
 
-async function buildVoiceResponseWithGemini(query, summary, events, toneOverride) {
-  if (!process.env.GCP_PROJECT_ID || !process.env.GCP_LOCATION) {
+async function buildVoiceResponseWithGemini(
+  query,
+  summary,
+  events,
+  toneOverride,
+  language,
+  timeZone,
+  conversation,
+  onDelta
+) {
+  const provider = getLlmProvider();
+  const sourceEvents = Array.isArray(events) ? events : [];
+  const focusEvent = conversation?.discussedEvents
+    .map((item) => sourceEvents.find((event) => event.id === item.id))
+    .find(Boolean);
+  if (!provider.isConfigured()) {
     return {
-      text: buildVoiceResponse(query, summary, toneOverride),
-      warning: "Gemini is not configured. Set GCP_PROJECT_ID and GCP_LOCATION.",
+      text: buildVoiceResponse(query, summary, toneOverride, focusEvent),
+      warning: `${provider.label} is not configured. ${provider.configHint}`,
     };
   }
 
   try {
     const debug = process.env.GEMINI_DEBUG === "true";
-    const auth = new GoogleAuth({
-      scopes: ["https://www.googleapis.com/auth/cloud-platform"],
-    });
-    const client = await auth.getClient();
-    const token = await client.getAccessToken();
-
-    const model = process.env.GEMINI_MODEL || "gemini-1.5-flash";
     const maxOutputTokens = Number(process.env.GEMINI_MAX_OUTPUT_TOKENS || 300);
-    const endpoint = `https://${process.env.GCP_LOCATION}-aiplatform.googleapis.com/v1/projects/${process.env.GCP_PROJECT_ID}/locations/${process.env.GCP_LOCATION}/publishers/google/models/${model}:generateContent`;
     const summaryText = JSON.stringify(summary || {});
     const now = new Date();
     const normalizedQuery = query.toLowerCase();
@@ -422,23 +1468,20 @@ async function buildVoiceResponseWithGemini(query, summary, events, toneOverride
         : tone === "practical"
         ? "Tone: Practical. Calm, clear, slightly more direct, gentle and non-urgent."
         : "Tone: Reflective. Calm, observational, non-directive, slightly slower pacing.";
+    const languageName = getLanguageName(language);
     const wantsToday =
       normalizedQuery.includes("today") ||
       normalizedQuery.includes("current date") ||
       normalizedQuery.includes("today's date") ||
       normalizedQuery.includes("current day");
 
-    const sourceEvents = Array.isArray(events) ? events : [];
+    const today = getDayKey(now, { timeZone });
     const todayEvents = sourceEvents.filter((event) => {
       const start = new Date(event.start);
       if (Number.isNaN(start.valueOf())) {
         return false;
       }
-      return (
-        start.getFullYear() === now.getFullYear() &&
-        start.getMonth() === now.getMonth() &&
-        start.getDate() === now.getDate()
-      );
+      return getDayKey(start, { timeZone }) === today;
     });
     const filteredEvents = wantsToday ? todayEvents : sourceEvents;
 
@@ -475,161 +1518,65 @@ Use the calendar summary and events to answer the user's question.
 If the data is insufficient, say what is missing.
 Always use the provided current date/time as the source of truth for "today".
 If the user asks about today, rely on the "Today's events" list.
+Follow-up questions ("why?", "what about that one?") refer to the conversation below.
 Keep the response concise (1-3 sentences).
 ${toneGuidance}
-
-Current date/time: ${now.toISOString()} (local: ${now.toString()})
+${languageName ? `Respond in ${languageName}, whatever language the data is in.\n` : ""}
+Current date/time: ${now.toISOString()} (local: ${now.toLocaleString("en-US", { timeZone })})
+User time zone: ${timeZone}
 Calendar summary JSON: ${summaryText}
 Today's events (max 10):
 ${todayLines.join("\n")}
 Upcoming events (max 10):
 ${eventLines.join("\n")}
+${conversation ? formatConversationContext(conversation) : ""}
 
 User question: ${query}`;
 
-    const response = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${token.token || token}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig: { temperature: 0.3, maxOutputTokens },
-      }),
-    });
+    const request = {
+      purpose: "voice",
+      prompt,
+      fixtureKey: languageName ? `${tone}\n${language}\n${query}` : `${tone}\n${query}`,
+      temperature: 0.3,
+      maxOutputTokens,
+    };
+    const response = onDelta
+      ? await streamGenerate(provider, request, onDelta)
+      : await provider.generate(request);
 
     if (!response.ok) {
-      const errorBody = await response.text().catch(() => "");
       console.error("Gemini voice request failed", {
         status: response.status,
         statusText: response.statusText,
-        body: errorBody,
+        body: response.error,
       });
       return {
-        text: buildVoiceResponse(query, summary, toneOverride),
+        text: buildVoiceResponse(query, summary, toneOverride, focusEvent),
         warning: debug
-          ? `Gemini request failed (${response.status} ${response.statusText}). ${errorBody}`
-          : "Gemini request failed. Check Vertex AI API and credentials.",
+          ? `${provider.label} request failed (${response.status} ${response.statusText}). ${response.error}`
+          : `${provider.label} request failed. Check the provider endpoint and credentials.`,
       };
     }
 
-    const data = await response.json();
-    const candidate = data?.candidates?.[0];
-    const text = candidate?.content?.parts?.[0]?.text;
+    const text = response.text;
     if (!text) {
       return {
-        text: buildVoiceResponse(query, summary, toneOverride),
-        warning: "Gemini returned no content. Check model and request format.",
+        text: buildVoiceResponse(query, summary, toneOverride, focusEvent),
+        warning: `${provider.label} returned no content. Check model and request format.`,
       };
     }
 
-    const finishReason = candidate?.finishReason;
     const warning =
-      finishReason === "MAX_TOKENS"
-        ? "Gemini response may be truncated. Increase GEMINI_MAX_OUTPUT_TOKENS."
+      response.finishReason === "MAX_TOKENS"
+        ? `${provider.label} response may be truncated. Increase GEMINI_MAX_OUTPUT_TOKENS.`
         : "";
 
-    return { text: text.trim(), warning };
+    return { text: text.trim(), warning, generated: true };
   } catch (error) {
     console.error("Gemini voice response failed", error);
     return {
-      text: buildVoiceResponse(query, summary, toneOverride),
-      warning: "Gemini error. Verify credentials and Vertex AI permissions.",
+      text: buildVoiceResponse(query, summary, toneOverride, focusEvent),
+      warning: `${provider.label} error. Verify credentials and provider permissions.`,
     };
   }
 }
-
-async function parseEventRequestWithGemini(query) {
-  const auth = new GoogleAuth({
-    scopes: ["https://www.googleapis.com/auth/cloud-platform"],
-  });
-  const client = await auth.getClient();
-  const token = await client.getAccessToken();
-
-  const model = process.env.GEMINI_MODEL || "gemini-1.5-flash";
-  const endpoint = `https://${process.env.GCP_LOCATION}-aiplatform.googleapis.com/v1/projects/${process.env.GCP_PROJECT_ID}/locations/${process.env.GCP_LOCATION}/publishers/google/models/${model}:generateContent`;
-
-  const now = new Date();
-  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
-  const prompt = `You extract event creation details from user requests.
-Return JSON only with keys: action, title, description, start, end, timeZone.
-- action must be "create_event" or "none".
-- start and end must be ISO-8601 date-time strings with timezone offsets.
-- Use the provided timeZone if the user does not specify one.
-- If the request is not to create an event, return {"action":"none"}.
-
-Current date/time: ${now.toISOString()} (local: ${now.toString()})
-Default timeZone: ${timeZone}
-User request: ${query}`;
-
-  const response = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${token.token || token}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
-      generationConfig: { temperature: 0.1, maxOutputTokens: 256 },
-    }),
-  });
-
-  if (!response.ok) {
-    const errorBody = await response.text().catch(() => "");
-    console.error("Gemini event parse failed", {
-      status: response.status,
-      statusText: response.statusText,
-      body: errorBody,
-    });
-    return null;
-  }
-
-  const data = await response.json();
-  const text = data?.candidates?.[0]?.content?.parts?.[0]?.text || "";
-  return parseJsonResponse(text);
-}
-
-async function synthesizeVoice(text) {
-  const apiKey = process.env.ELEVENLABS_API_KEY;
-  const voiceId = process.env.ELEVENLABS_VOICE_ID;
-
-  if (!apiKey || !voiceId) {
-    return { status: "skipped", reason: "Missing ElevenLabs credentials." };
-  }
-
-  const response = await fetch(
-    `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
-    {
-      method: "POST",
-      headers: {
-        "xi-api-key": apiKey,
-        "Content-Type": "application/json",
-        Accept: "audio/mpeg",
-      },
-      body: JSON.stringify({
-        text,
-        model_id: "eleven_multilingual_v2",
-        voice_settings: {
-          stability: 0.5,
-          similarity_boost: 0.75,
-        },
-      }),
-    }
-  );
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error("ElevenLabs error:", response.status, errorText);
-    return {
-      status: "error",
-      reason: `ElevenLabs request failed (${response.status}).`,
-      details: errorText,
-    };
-  }
-
-  const arrayBuffer = await response.arrayBuffer();
-  const base64Audio = Buffer.from(arrayBuffer).toString("base64");
-
-  return { status: "ok", audioBase64: base64Audio };
-}
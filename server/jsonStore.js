@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+function createMemoryStore() {
+  const entries = new Map();
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async set(key, value) {
+      entries.set(key, value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async keys() {
+      return [...entries.keys()];
+    },
+  };
+}
+
+function createJsonFileStore(filePath) {
+  let cache = null;
+  let loading = null;
+  let writeQueue = Promise.resolve();
+
+  // Callers that arrive before the first read finishes share it.
+  function load() {
+    if (cache) return Promise.resolve(cache);
+    if (!loading) {
+      loading = readEntries().then((entries) => {
+        cache = entries;
+        loading = null;
+        return cache;
+      });
+    }
+    return loading;
+  }
+
+  async function readEntries() {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Failed to read ${path.basename(filePath)}; starting empty.`, error);
+      }
+      return {};
+    }
+  }
+
+  function persist() {
+    // Chain writes so concurrent updates never interleave, and swap the file in atomically.
+    const next = writeQueue.then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(cache, null, 2), { mode: 0o600 });
+      await fs.rename(tempPath, filePath);
+    });
+    // A failed write is reported to its caller but must not block the writes queued after it.
+    writeQueue = next.catch(() => {});
+    return next;
+  }
+
+  return {
+    async get(key) {
+      const entries = await load();
+      return entries[key] || null;
+    },
+    async set(key, value) {
+      const entries = await load();
+      entries[key] = value;
+      await persist();
+    },
+    async delete(key) {
+      const entries = await load();
+      delete entries[key];
+      await persist();
+    },
+    async keys() {
+      return Object.keys(await load());
+    },
+  };
+}
+
+// One file per key, so large entries are read and rewritten on their own. File names are
+// hashed keys; each file holds its key so `keys()` can list them.
+function createJsonDirectoryStore(dirPath) {
+  const files = new Map();
+
+  function getFile(key) {
+    if (!files.has(key)) {
+      const name = crypto.createHash("sha256").update(String(key)).digest("hex").slice(0, 32);
+      files.set(key, createJsonFileStore(path.join(dirPath, `${name}.json`)));
+    }
+    return files.get(key);
+  }
+
+  return {
+    async get(key) {
+      return getFile(key).get(key);
+    },
+    async set(key, value) {
+      await getFile(key).set(key, value);
+    },
+    async delete(key) {
+      await getFile(key).delete(key);
+    },
+    async keys() {
+      let names = [];
+      try {
+        names = (await fs.readdir(dirPath)).filter((name) => name.endsWith(".json"));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+      const keys = await Promise.all(
+        names.map((name) => createJsonFileStore(path.join(dirPath, name)).keys())
+      );
+      return keys.flat();
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createJsonFileStore,
+  createJsonDirectoryStore,
+};
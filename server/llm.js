@@ -0,0 +1,336 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { GoogleAuth } = require("google-auth-library");
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, "fixtures", "llm");
+
+let activeProvider = null;
+
+function getLlmProvider() {
+  if (!activeProvider) {
+    activeProvider = createProviderFromEnv();
+  }
+  return activeProvider;
+}
+
+function setLlmProvider(provider) {
+  activeProvider = provider;
+}
+
+function createProviderFromEnv(name = process.env.LLM_PROVIDER || "vertex") {
+  if (name === "openai") return createOpenAiCompatibleProvider();
+  if (name === "fixture") {
+    const upstreamName = process.env.LLM_FIXTURE_RECORD;
+    return createFixtureProvider({
+      dir: process.env.LLM_FIXTURE_DIR || DEFAULT_FIXTURE_DIR,
+      upstream: upstreamName ? createProviderFromEnv(upstreamName) : null,
+    });
+  }
+  return createVertexGeminiProvider();
+}
+
+function createVertexGeminiProvider() {
+  const projectId = process.env.GCP_PROJECT_ID;
+  const location = process.env.GCP_LOCATION;
+  const model = process.env.GEMINI_MODEL || "gemini-1.5-flash";
+
+  return {
+    name: "vertex",
+    label: "Gemini",
+    model,
+    configHint: "Set GCP_PROJECT_ID and GCP_LOCATION.",
+    isConfigured() {
+      return Boolean(projectId && location);
+    },
+    async generate(request) {
+      const response = await postGemini("generateContent", request);
+
+      if (!response.ok) {
+        return {
+          ok: false,
+          status: response.status,
+          statusText: response.statusText,
+          error: await response.text().catch(() => ""),
+        };
+      }
+
+      const data = await response.json();
+      const candidate = data?.candidates?.[0];
+      return {
+        ok: true,
+        text: candidate?.content?.parts?.[0]?.text || "",
+        finishReason: candidate?.finishReason || null,
+      };
+    },
+    async stream(request, onDelta) {
+      const response = await postGemini("streamGenerateContent?alt=sse", request);
+
+      if (!response.ok) {
+        return {
+          ok: false,
+          status: response.status,
+          statusText: response.statusText,
+          error: await response.text().catch(() => ""),
+        };
+      }
+
+      let text = "";
+      let finishReason = null;
+      for await (const data of readServerSentData(response)) {
+        const candidate = JSON.parse(data)?.candidates?.[0];
+        const delta = candidate?.content?.parts?.[0]?.text || "";
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+        finishReason = candidate?.finishReason || finishReason;
+      }
+      return { ok: true, text, finishReason };
+    },
+  };
+
+  async function postGemini(method, { prompt, temperature, maxOutputTokens, responseSchema }) {
+    const auth = new GoogleAuth({
+      scopes: ["https://www.googleapis.com/auth/cloud-platform"],
+    });
+    const client = await auth.getClient();
+    const token = await client.getAccessToken();
+
+    const endpoint = `https://${location}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${location}/publishers/google/models/${model}:${method}`;
+    const generationConfig = { temperature, maxOutputTokens };
+    if (responseSchema) {
+      generationConfig.responseMimeType = "application/json";
+      generationConfig.responseSchema = responseSchema;
+    }
+
+    return fetch(endpoint, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token.token || token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        contents: [{ role: "user", parts: [{ text: prompt }] }],
+        generationConfig,
+      }),
+    });
+  }
+}
+
+function createOpenAiCompatibleProvider() {
+  const baseUrl = (process.env.OPENAI_BASE_URL || "").replace(/\/$/, "");
+  const apiKey = process.env.OPENAI_API_KEY;
+  const model = process.env.OPENAI_MODEL || "";
+  const jsonMode = process.env.OPENAI_JSON_MODE !== "false";
+
+  return {
+    name: "openai",
+    label: "The language model",
+    model,
+    configHint: "Set OPENAI_BASE_URL and OPENAI_MODEL.",
+    isConfigured() {
+      return Boolean(baseUrl && model);
+    },
+    async generate(request) {
+      const response = await postCompletion(request, false);
+
+      if (!response.ok) {
+        return {
+          ok: false,
+          status: response.status,
+          statusText: response.statusText,
+          error: await response.text().catch(() => ""),
+        };
+      }
+
+      const data = await response.json();
+      const choice = data?.choices?.[0];
+      return {
+        ok: true,
+        text: choice?.message?.content || "",
+        finishReason: mapFinishReason(choice?.finish_reason),
+      };
+    },
+    async stream(request, onDelta) {
+      const response = await postCompletion(request, true);
+
+      if (!response.ok) {
+        return {
+          ok: false,
+          status: response.status,
+          statusText: response.statusText,
+          error: await response.text().catch(() => ""),
+        };
+      }
+
+      let text = "";
+      let finishReason = null;
+      for await (const data of readServerSentData(response)) {
+        if (data === "[DONE]") break;
+        const choice = JSON.parse(data)?.choices?.[0];
+        const delta = choice?.delta?.content || "";
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+        finishReason = mapFinishReason(choice?.finish_reason) || finishReason;
+      }
+      return { ok: true, text, finishReason };
+    },
+  };
+
+  function postCompletion({ prompt, temperature, maxOutputTokens, responseSchema }, stream) {
+    const body = {
+      model,
+      messages: [{ role: "user", content: prompt }],
+      temperature,
+      max_tokens: maxOutputTokens,
+      stream,
+    };
+    if (responseSchema && jsonMode) {
+      body.response_format = { type: "json_object" };
+    }
+
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    return fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+    });
+  }
+}
+
+function mapFinishReason(reason) {
+  return reason === "length" ? "MAX_TOKENS" : reason || null;
+}
+
+function createFixtureProvider({ dir = DEFAULT_FIXTURE_DIR, upstream = null } = {}) {
+  return {
+    name: "fixture",
+    label: "The fixture provider",
+    model: upstream ? `fixture+${upstream.model}` : "fixture",
+    configHint: `Add fixtures under ${dir}.`,
+    isConfigured() {
+      return true;
+    },
+    async generate(request) {
+      if (upstream) {
+        const result = await upstream.generate(request);
+        if (result.ok) await recordFixture(request, result);
+        return result;
+      }
+      return readRecording(request);
+    },
+    // Replays the recording a few words at a time so streaming clients behave as they would live.
+    async stream(request, onDelta) {
+      if (upstream) {
+        const result = await streamGenerate(upstream, request, onDelta);
+        if (result.ok) await recordFixture(request, result);
+        return result;
+      }
+
+      const result = await readRecording(request);
+      if (result.ok) {
+        for (const chunk of result.text.match(/(\S+\s*){1,4}/g) || []) {
+          onDelta(chunk);
+        }
+      }
+      return result;
+    },
+  };
+
+  function getFixturePath(request) {
+    return path.join(dir, request.purpose || "default", `${getFixtureKey(request)}.json`);
+  }
+
+  async function readRecording(request) {
+    const purpose = request.purpose || "default";
+    const fixture =
+      (await readFixture(getFixturePath(request))) ||
+      (await readFixture(path.join(dir, purpose, "default.json")));
+    if (!fixture) {
+      return {
+        ok: false,
+        status: 404,
+        statusText: "Fixture Not Found",
+        error: `No fixture for ${purpose}/${getFixtureKey(request)}.json`,
+      };
+    }
+    return { ok: true, text: fixture.text || "", finishReason: fixture.finishReason || "STOP" };
+  }
+
+  async function recordFixture(request, result) {
+    const fixturePath = getFixturePath(request);
+    await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+    const fixture = {
+      input: request.fixtureKey ?? request.prompt,
+      text: result.text,
+      finishReason: result.finishReason,
+    };
+    await fs.writeFile(fixturePath, `${JSON.stringify(fixture, null, 2)}\n`);
+  }
+}
+
+// Providers without a streaming API deliver the whole answer as a single chunk.
+async function streamGenerate(provider, request, onDelta) {
+  if (provider.stream) {
+    return provider.stream(request, onDelta);
+  }
+  const result = await provider.generate(request);
+  if (result.ok && result.text) onDelta(result.text);
+  return result;
+}
+
+// Yields the data payload of each server-sent event in a fetch response.
+async function* readServerSentData(response) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    for (const event of events) {
+      const data = event
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trimStart())
+        .join("\n");
+      if (data) yield data;
+    }
+  }
+}
+
+// Prompts embed the current time, so callers pass a stable fixtureKey when they have one.
+function getFixtureKey({ purpose, prompt, fixtureKey }) {
+  return crypto
+    .createHash("sha256")
+    .update(`${purpose || "default"}\n${fixtureKey ?? prompt}`)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+async function readFixture(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Invalid LLM fixture ${filePath}`, error);
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  getLlmProvider,
+  setLlmProvider,
+  createVertexGeminiProvider,
+  createOpenAiCompatibleProvider,
+  createFixtureProvider,
+  getFixtureKey,
+  streamGenerate,
+};
@@ -1,4 +1,19 @@
-const { GoogleAuth } = require("google-auth-library");
+const crypto = require("crypto");
+const { getClassificationCache, buildClassificationKey } = require("./classificationCache");
+const { getLlmProvider } = require("./llm");
+const { classifyWithRules } = require("./ruleClassifier");
+const { MEETING_TYPES, ROLES, EMOTIONAL_INTENSITIES } = require("./taxonomy");
+const {
+  getDayKey,
+  getDayTimeZone,
+  getTimeZoneAt,
+  getZonedParts,
+  resolveTimeZone,
+  resolveDayStartHour,
+} = require("./time");
+
+const DAILY_CAPACITY = 100;
+const HIGH_RISK_CAPACITY = 20;
 
 const BASELINES = {
   meetingType: {
@@ -12,6 +27,8 @@ const BASELINES = {
     conflict: 1.0,
     sync: 0.15,
     social: 0.05,
+    focus: 0.8,
+    break: 0.05,
   },
   meetingTypeScalar: {
     standup: 1.0,
@@ -24,6 +41,8 @@ const BASELINES = {
     conflict: 1.0,
     sync: 0.3,
     social: 0.12,
+    focus: 0.6,
+    break: 0.1,
   },
   roleLoad: {
     listener: 0.3,
@@ -63,7 +82,35 @@ const BASELINES = {
     afternoon: 1.2,
     evening: 1.4,
   },
+  weights: {
+    complexity: 0.35,
+    role: 0.25,
+    emotional: 0.25,
+    social: 0.15,
+  },
+  recoveryMinutesPerLoad: 20,
+  // Solo focus work: demanding, but with no audience and no role to play. A meeting right
+  // next to a focus block adds `interruption_cost` to the context switch.
+  focus: {
+    role_load: 0,
+    social_load: 0,
+    interruption_cost: 0.4,
+  },
+  // Share of the daily capacity given back per hour. Breaks and social time restore while they
+  // last; `gap` applies to free time of at least `restorativeGapMinutes` between two events.
+  restoration: {
+    break: 0.3,
+    social: 0.1,
+    gap: 0.1,
+  },
+  restorativeGapMinutes: 30,
+  // Capacity the next day starts without after a day that ends fully depleted. A day ending
+  // between empty and the high-risk line carries a proportional part.
+  depletionDebt: 30,
 };
+// Meetings further than this from a focus block do not interrupt it.
+const FOCUS_INTERRUPTION_MINUTES = 30;
+const RESTORATIVE_TAG = /#(restore|recharge)\b/i;
 
 const GEMINI_PROMPT = `You are classifying work meetings for cognitive load estimation.
 
@@ -74,9 +121,12 @@ Title: {{title}}
 Description: {{description}}
 Attendees: {{attendee_count}}
 User role: {{user_role}}
+Organizer: {{organizer}}
+Optional for the user: {{optional}}
+External attendees: {{external_attendees}}
 
 Return JSON with:
-- meeting_type: one of [standup, status, demo, planning, brainstorming, design_review, decision, conflict, sync, social]
+- meeting_type: one of [standup, status, demo, planning, brainstorming, design_review, decision, conflict, sync, social, focus, break]
 - role: one of [listener, occasional_contributor, contributor, decision_maker]
 - emotional_intensity: one of [routine, external, feedback, performance, conflict]
 - topic_tags: up to 3 short tags
@@ -84,6 +134,10 @@ Return JSON with:
 Guidance:
 - Use "social" for birthdays, celebrations, team bonding, or non-work gatherings.
 - Use "sync" for routine project syncs, weekly check-ins, or coordination meetings.
+- Use "focus" for solo work blocks with no other attendees, such as deep work or focus time.
+- Use "break" for lunch, walks, workouts or other time set aside to rest.
+- The organizer usually leads or decides; attendees marked optional are usually listeners.
+- Use "external" when people from other organizations attend, unless a stronger intensity fits.
 
 Respond with JSON only. No explanations. Do not wrap the response in backticks or code fences.
 Return only the JSON object and nothing else. Any additional text will break the system.`;
@@ -93,26 +147,15 @@ const GEMINI_RESPONSE_SCHEMA = {
   properties: {
     meeting_type: {
       type: "STRING",
-      enum: [
-        "standup",
-        "status",
-        "demo",
-        "planning",
-        "brainstorming",
-        "design_review",
-        "decision",
-        "conflict",
-        "sync",
-        "social",
-      ],
+      enum: MEETING_TYPES,
     },
     role: {
       type: "STRING",
-      enum: ["listener", "occasional_contributor", "contributor", "decision_maker"],
+      enum: ROLES,
     },
     emotional_intensity: {
       type: "STRING",
-      enum: ["routine", "external", "feedback", "performance", "conflict"],
+      enum: EMOTIONAL_INTENSITIES,
     },
     topic_tags: {
       type: "ARRAY",
@@ -123,56 +166,117 @@ const GEMINI_RESPONSE_SCHEMA = {
 };
 
 async function classifyWithGemini(event) {
-  if (!process.env.GCP_PROJECT_ID || !process.env.GCP_LOCATION) {
-    console.warn("Gemini not configured; using fallback classification.");
-    return fallbackClassification(event);
+  const result = await requestGeminiClassification(event);
+  return result.classification;
+}
+
+async function classifyEvents(events, { concurrency } = {}) {
+  const cache = getClassificationCache();
+  const version = getClassifierVersion();
+  const limit = Math.max(1, Number(concurrency ?? process.env.CLASSIFY_CONCURRENCY) || 4);
+  const stats = { hits: 0, misses: 0, fallbacks: 0 };
+
+  const classified = await mapWithConcurrency(events, limit, async (event) => {
+    // Focus blocks we created ourselves need no model to tell what they are.
+    if (event.focusBlock) {
+      return {
+        ...event,
+        classification: { ...classifyWithRules(event), meeting_type: "focus" },
+      };
+    }
+
+    const key = buildClassificationKey(event, version);
+    const cached = await cache.get(key);
+    if (cached?.classification) {
+      stats.hits += 1;
+      return { ...event, classification: cached.classification };
+    }
+
+    stats.misses += 1;
+    const result = await requestGeminiClassification(event);
+    if (result.fromModel) {
+      await cache.set(key, {
+        classification: result.classification,
+        version,
+        cachedAt: new Date().toISOString(),
+      });
+    } else {
+      // Heuristic fallbacks are not cached so the next request retries Gemini.
+      stats.fallbacks += 1;
+    }
+    return { ...event, classification: result.classification };
+  });
+
+  return { events: classified, stats };
+}
+
+function getClassifierVersion() {
+  const provider = getLlmProvider();
+  const promptHash = crypto
+    .createHash("sha256")
+    .update(GEMINI_PROMPT + JSON.stringify(GEMINI_RESPONSE_SCHEMA))
+    .digest("hex")
+    .slice(0, 12);
+  return `${provider.name}:${provider.model}:${promptHash}`;
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await fn(items[index], index);
+    }
   }
 
-  try {
-    const auth = new GoogleAuth({
-      scopes: ["https://www.googleapis.com/auth/cloud-platform"],
-    });
-    const client = await auth.getClient();
-    const token = await client.getAccessToken();
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Calendar files carry no organizer, so the prompt says so instead of guessing.
+function describeOrganizer(event) {
+  if (event.isOrganizer === undefined) return "unknown";
+  return event.isOrganizer ? "the user" : "someone else";
+}
 
-    const model = process.env.GEMINI_MODEL || "gemini-1.5-flash";
-    const endpoint = `https://${process.env.GCP_LOCATION}-aiplatform.googleapis.com/v1/projects/${process.env.GCP_PROJECT_ID}/locations/${process.env.GCP_LOCATION}/publishers/google/models/${model}:generateContent`;
+async function requestGeminiClassification(event) {
+  const provider = getLlmProvider();
+  if (!provider.isConfigured()) {
+    console.warn(`${provider.label} not configured; using fallback classification.`);
+    return buildFallbackResult(event);
+  }
 
+  try {
     const prompt = GEMINI_PROMPT.replace("{{title}}", event.title)
       .replace("{{description}}", event.description || "")
       .replace("{{attendee_count}}", event.attendeeCount)
-      .replace("{{user_role}}", event.userRole || "contributor");
-
-    const response = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${token.token || token}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.2,
-          maxOutputTokens: 256,
-          responseMimeType: "application/json",
-          responseSchema: GEMINI_RESPONSE_SCHEMA,
-        },
-      }),
+      .replace("{{user_role}}", event.userRole || "contributor")
+      .replace("{{organizer}}", describeOrganizer(event))
+      .replace("{{optional}}", event.isOptional ? "yes" : "no")
+      .replace("{{external_attendees}}", event.externalDomains?.join(", ") || "none");
+
+    const response = await provider.generate({
+      purpose: "classify",
+      prompt,
+      temperature: 0.2,
+      maxOutputTokens: 256,
+      responseSchema: GEMINI_RESPONSE_SCHEMA,
     });
 
     if (!response.ok) {
-      const errorBody = await response.text().catch(() => "");
       console.error("Gemini classification request failed", {
         status: response.status,
         statusText: response.statusText,
-        body: errorBody,
+        body: response.error,
       });
       console.warn("Falling back to heuristic classification.");
-      return fallbackClassification(event);
+      return buildFallbackResult(event);
     }
 
-    const data = await response.json();
-    const text = data?.candidates?.[0]?.content?.parts?.[0]?.text || "";
+    const text = response.text;
     if (process.env.GEMINI_DEBUG === "true") {
       console.log("Gemini raw response:", {
         title: event.title,
@@ -182,7 +286,7 @@ async function classifyWithGemini(event) {
 
     let parsedResult = parseGeminiOutput(text, event);
     if (!parsedResult.ok && shouldRetryGemini(text)) {
-      const retry = await retryGeminiClassification(event, prompt, token);
+      const retry = await retryGeminiClassification(event, prompt);
       if (retry.text) {
         parsedResult = parseGeminiOutput(retry.text, event);
       }
@@ -195,14 +299,22 @@ async function classifyWithGemini(event) {
         classification: finalClassification,
       });
     }
-    return finalClassification;
+    return { classification: finalClassification, fromModel: parsedResult.ok };
   } catch (error) {
     console.error("Gemini classification failed", error);
     console.warn("Falling back to heuristic classification.");
-    return applyTitleOverrides(event, fallbackClassification(event));
+    return buildFallbackResult(event);
   }
 }
 
+// Every path that gives up on the model lands here so fallbacks get the same title overrides.
+function buildFallbackResult(event) {
+  return {
+    classification: applyTitleOverrides(event, fallbackClassification(event)),
+    fromModel: false,
+  };
+}
+
 function parseGeminiOutput(text, event) {
   const cleaned = (text || "")
     .trim()
@@ -226,6 +338,7 @@ function parseGeminiOutput(text, event) {
         role: parsed.role,
         emotional_intensity: parsed.emotional_intensity,
         topic_tags: Array.isArray(parsed.topic_tags) ? parsed.topic_tags : [],
+        source: "llm",
       },
     };
   } catch (_error) {
@@ -249,40 +362,26 @@ function shouldRetryGemini(text) {
   return hasOpenBrace && !hasCloseBrace;
 }
 
-async function retryGeminiClassification(event, prompt, token) {
+async function retryGeminiClassification(event, prompt) {
   try {
-    const model = process.env.GEMINI_MODEL || "gemini-1.5-flash";
-    const endpoint = `https://${process.env.GCP_LOCATION}-aiplatform.googleapis.com/v1/projects/${process.env.GCP_PROJECT_ID}/locations/${process.env.GCP_LOCATION}/publishers/google/models/${model}:generateContent`;
-
-    const response = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${token.token || token}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0,
-          maxOutputTokens: 128,
-          responseMimeType: "application/json",
-          responseSchema: GEMINI_RESPONSE_SCHEMA,
-        },
-      }),
+    const response = await getLlmProvider().generate({
+      purpose: "classify-retry",
+      prompt,
+      temperature: 0,
+      maxOutputTokens: 128,
+      responseSchema: GEMINI_RESPONSE_SCHEMA,
     });
 
     if (!response.ok) {
-      const errorBody = await response.text().catch(() => "");
       console.error("Gemini retry failed", {
         status: response.status,
         statusText: response.statusText,
-        body: errorBody,
+        body: response.error,
       });
       return { text: "" };
     }
 
-    const data = await response.json();
-    const text = data?.candidates?.[0]?.content?.parts?.[0]?.text || "";
+    const text = response.text;
     if (process.env.GEMINI_DEBUG === "true") {
       console.log("Gemini retry raw response:", {
         title: event.title,
@@ -319,59 +418,166 @@ function applyTitleOverrides(event, classification) {
 }
 
 function fallbackClassification(event) {
-  return {
-    meeting_type: event.meetingType || "status",
-    role: event.userRole || "contributor",
-    emotional_intensity: event.emotionalIntensity || "routine",
-    topic_tags: event.topicTags || ["general"],
-  };
+  return classifyWithRules(event);
 }
 
-function computeEventLoads(events) {
-  let runningCapacity = 100;
+// Capacity is a running balance per day: events spend it, restorative time and long gaps give
+// it back up to the daily maximum. Debt rolls forward through days without events, and
+// `options.recoveryDebt` supplies it for days with no earlier day in `events`.
+function computeEventLoads(events, options = {}) {
+  const ledger = resolveLedgerOptions(options);
+  const profile = options.profile || { version: 0, baselines: BASELINES };
+  const { baselines } = profile;
+  const days = new Map();
   const enriched = [];
 
-  for (let i = 0; i < events.length; i += 1) {
-    const event = events[i];
-    const prev = enriched[i - 1];
-    const computed = computeSingleEvent(event, prev);
+  for (const event of events) {
+    const day = getDayKey(new Date(event.start), ledger);
+    let ledgerDay = days.get(day);
+    if (!ledgerDay) {
+      const recoveryDebt =
+        computeRecoveryDebt(findPreviousLedgerDay(days, day), baselines) ??
+        options.recoveryDebt?.[day] ??
+        0;
+      ledgerDay = {
+        balance: DAILY_CAPACITY - recoveryDebt,
+        recoveryDebt,
+        lastEnd: null,
+        timeZone: getDayTimeZone(day, ledger),
+      };
+      days.set(day, ledgerDay);
+    }
+
+    // Display-only calendars are scored on their own and leave the day's ledger untouched.
+    if (event.countsTowardCapacity === false) {
+      enriched.push({
+        ...computeSingleEvent(event, null, baselines, ledger),
+        day,
+        timeZone: ledgerDay.timeZone,
+        capacityBefore: ledgerDay.balance,
+        capacityRemaining: ledgerDay.balance,
+        recoveryDebt: ledgerDay.recoveryDebt,
+        profileVersion: profile.version,
+      });
+      continue;
+    }
+
+    const computed = computeSingleEvent(event, ledgerDay.prev, baselines, ledger);
+    const gapRestored = computeGapRestoration(event, ledgerDay.lastEnd, baselines);
+    const capacityBefore = Math.min(DAILY_CAPACITY, ledgerDay.balance + gapRestored);
+    ledgerDay.balance = Math.max(
+      0,
+      Math.min(DAILY_CAPACITY, capacityBefore - computed.capacityCost + computed.restoredCapacity)
+    );
+    // Restorative time sits between two events without being a switch between them.
+    if (!computed.restorative) ledgerDay.prev = computed;
+    if (!event.allDay) {
+      const end = new Date(event.end).getTime();
+      ledgerDay.lastEnd = Math.max(ledgerDay.lastEnd ?? end, end);
+    }
 
-    runningCapacity = Math.max(0, runningCapacity - computed.capacityCost);
     enriched.push({
       ...computed,
-      capacityRemaining: runningCapacity,
+      day,
+      timeZone: ledgerDay.timeZone,
+      restoredCapacity: computed.restoredCapacity + gapRestored,
+      capacityBefore,
+      capacityRemaining: ledgerDay.balance,
+      recoveryDebt: ledgerDay.recoveryDebt,
+      profileVersion: profile.version,
     });
   }
 
   return enriched;
 }
 
-function computeSingleEvent(event, prev) {
+// The debt a day without events of its own would start with, taken from scored `events`.
+function getCarriedRecoveryDebt(events, day, options = {}) {
+  let previous = null;
+  for (const event of events) {
+    if (event.day < day && (!previous || event.day >= previous.day)) previous = event;
+  }
+  if (!previous) return options.recoveryDebt?.[day] ?? 0;
+  const { baselines } = options.profile || { baselines: BASELINES };
+  return computeRecoveryDebt({ balance: previous.capacityRemaining }, baselines);
+}
+
+// Only a day that ends below the high-risk line leaves debt for the next one.
+function computeRecoveryDebt(previousDay, baselines) {
+  if (!previousDay) return null;
+  const shortfall = Math.max(0, HIGH_RISK_CAPACITY - previousDay.balance) / HIGH_RISK_CAPACITY;
+  return shortfall * baselines.depletionDebt;
+}
+
+function computeGapRestoration(event, lastEnd, baselines) {
+  if (event.allDay || lastEnd === null) return 0;
+  const gapMinutes = (new Date(event.start).getTime() - lastEnd) / 60000;
+  if (gapMinutes < baselines.restorativeGapMinutes) return 0;
+  return (gapMinutes / 60) * baselines.restoration.gap * DAILY_CAPACITY;
+}
+
+// Breaks and social time restore at their own rate; anything tagged #restore or #recharge
+// restores like a break.
+function getRestorationRate(event, baselines) {
+  if (event.allDay) return 0;
+  const text = `${event.title || ""} ${event.description || ""}`;
+  if (RESTORATIVE_TAG.test(text)) return baselines.restoration.break;
+  return baselines.restoration[event.classification.meeting_type] ?? 0;
+}
+
+function resolveLedgerOptions(options) {
+  return {
+    timeZone: resolveTimeZone(options.timeZone),
+    dayStartHour: resolveDayStartHour(options.dayStartHour),
+    travel: options.travel || [],
+  };
+}
+
+function computeSingleEvent(event, prev, baselines, ledger) {
   const start = new Date(event.start);
   const end = new Date(event.end);
   const durationMinutes = Math.max(15, (end - start) / 60000);
 
-  const complexity = BASELINES.meetingType[event.classification.meeting_type] ?? 0.3;
-  const roleLoad = BASELINES.roleLoad[event.classification.role] ?? 0.5;
+  const focus = isFocusEvent(event);
+  const complexity = baselines.meetingType[event.classification.meeting_type] ?? 0.3;
+  const roleLoad = focus
+    ? baselines.focus.role_load
+    : baselines.roleLoad[event.classification.role] ?? 0.5;
   const emotionalLoad =
-    BASELINES.emotionalLoad[event.classification.emotional_intensity] ?? 0.4;
+    baselines.emotionalLoad[event.classification.emotional_intensity] ?? 0.4;
 
-  const socialLoad = mapSocialLoad(event.attendeeCount || 1);
+  const socialLoad = focus
+    ? baselines.focus.social_load
+    : mapSocialLoad(event.attendeeCount || 1, baselines);
+  const { weights } = baselines;
   const mentalLoadRaw =
     (durationMinutes / 60) *
-    (0.35 * complexity + 0.25 * roleLoad + 0.25 * emotionalLoad + 0.15 * socialLoad);
+    (weights.complexity * complexity +
+      weights.role * roleLoad +
+      weights.emotional * emotionalLoad +
+      weights.social * socialLoad);
   const meetingTypeScalar =
-    BASELINES.meetingTypeScalar[event.classification.meeting_type] ?? 1.0;
-  const mentalLoad = clamp(mentalLoadRaw * meetingTypeScalar);
-
-  const contextSwitchCost = computeContextSwitch(event, prev);
+    baselines.meetingTypeScalar[event.classification.meeting_type] ?? 1.0;
+  // Restorative time costs nothing; it gives capacity back instead.
+  const restorationRate = getRestorationRate(event, baselines);
+  const restorative = restorationRate > 0;
+  const mentalLoad = restorative ? 0 : clamp(mentalLoadRaw * meetingTypeScalar);
+
+  const focusInterruptionCost = restorative ? 0 : computeFocusInterruption(event, prev, baselines);
+  // Whichever of the pair is the focus block is the one broken up.
+  let interruptedFocusBlockId = null;
+  if (focusInterruptionCost) interruptedFocusBlockId = isFocusEvent(event) ? event.id : prev.id;
+  const contextSwitchCost = restorative
+    ? 0
+    : clamp(computeContextSwitch(event, prev, baselines) + focusInterruptionCost);
   const totalLoad = clamp(mentalLoad + contextSwitchCost);
 
-  const timeOfDay = getTimeOfDay(start);
-  const recoveryMinutes =
-    totalLoad * 20 * (BASELINES.timeOfDayMultiplier[timeOfDay] || 1.0);
+  const timeOfDay = getTimeOfDay(start, ledger);
+  const timeOfDayMultiplier = baselines.timeOfDayMultiplier[timeOfDay] || 1.0;
+  const recoveryMinutes = totalLoad * baselines.recoveryMinutesPerLoad * timeOfDayMultiplier;
 
   const capacityCost = totalLoad * 100;
+  const restoredCapacity = (durationMinutes / 60) * restorationRate * DAILY_CAPACITY;
 
   return {
     ...event,
@@ -383,6 +589,8 @@ function computeSingleEvent(event, prev) {
     timeOfDay,
     socialLoad,
     capacityCost,
+    restorative,
+    restoredCapacity,
     explanation: {
       complexity,
       roleLoad,
@@ -390,49 +598,72 @@ function computeSingleEvent(event, prev) {
       socialLoad,
       mentalLoad,
       meetingTypeScalar,
+      weights,
       contextSwitchCost,
-      timeOfDayMultiplier: BASELINES.timeOfDayMultiplier[timeOfDay] || 1.0,
+      focusInterruptionCost,
+      interruptedFocusBlockId,
+      restorationRate,
+      timeOfDayMultiplier,
       topicTags: event.classification.topic_tags,
+      classifier: {
+        source: event.classification.source || "llm",
+        confidence: event.classification.confidence ?? null,
+        matchedRules: event.classification.matchedRules || [],
+      },
     },
   };
 }
 
-function computeContextSwitch(event, prev) {
+function computeContextSwitch(event, prev, baselines) {
   if (!prev) return 0;
 
   const overlap = event.classification.topic_tags?.some((tag) =>
     prev.classification.topic_tags?.includes(tag)
   );
   const topicCost = overlap
-    ? BASELINES.topicChangeCost.related_domain
-    : BASELINES.topicChangeCost.unrelated;
+    ? baselines.topicChangeCost.related_domain
+    : baselines.topicChangeCost.unrelated;
 
   const gapMinutes = Math.max(
     0,
     (new Date(event.start) - new Date(prev.end)) / 60000
   );
-  const gapDampener = mapGapDampener(gapMinutes);
+  const gapDampener = mapGapDampener(gapMinutes, baselines);
 
   return clamp(topicCost * gapDampener);
 }
 
-function mapGapDampener(minutes) {
-  if (minutes <= 5) return BASELINES.gapTimeDampener["0-5"];
-  if (minutes <= 15) return BASELINES.gapTimeDampener["5-15"];
-  if (minutes <= 30) return BASELINES.gapTimeDampener["15-30"];
-  return BASELINES.gapTimeDampener["30+"];
+// A meeting just before or after a focus block breaks it up. The later of the two pays for it.
+function computeFocusInterruption(event, prev, baselines) {
+  if (!prev || isFocusEvent(event) === isFocusEvent(prev)) return 0;
+
+  const gapMinutes = Math.max(0, (new Date(event.start) - new Date(prev.end)) / 60000);
+  if (gapMinutes > FOCUS_INTERRUPTION_MINUTES) return 0;
+  return clamp(baselines.focus.interruption_cost * mapGapDampener(gapMinutes, baselines));
 }
 
-function mapSocialLoad(attendees) {
-  if (attendees <= 2) return BASELINES.socialLoad["1-2"];
-  if (attendees <= 5) return BASELINES.socialLoad["3-5"];
-  if (attendees <= 10) return BASELINES.socialLoad["6-10"];
-  if (attendees <= 20) return BASELINES.socialLoad["11-20"];
-  return BASELINES.socialLoad["20+"];
+function isFocusEvent(event) {
+  return event.classification?.meeting_type === "focus";
 }
 
-function getTimeOfDay(date) {
-  const hour = date.getHours();
+function mapGapDampener(minutes, baselines) {
+  if (minutes <= 5) return baselines.gapTimeDampener["0-5"];
+  if (minutes <= 15) return baselines.gapTimeDampener["5-15"];
+  if (minutes <= 30) return baselines.gapTimeDampener["15-30"];
+  return baselines.gapTimeDampener["30+"];
+}
+
+function mapSocialLoad(attendees, baselines) {
+  if (attendees <= 2) return baselines.socialLoad["1-2"];
+  if (attendees <= 5) return baselines.socialLoad["3-5"];
+  if (attendees <= 10) return baselines.socialLoad["6-10"];
+  if (attendees <= 20) return baselines.socialLoad["11-20"];
+  return baselines.socialLoad["20+"];
+}
+
+// Buckets use the wall clock where the user is, not the server's clock.
+function getTimeOfDay(date, ledger) {
+  const { hour } = getZonedParts(date, getTimeZoneAt(date, ledger));
   if (hour < 12) return "morning";
   if (hour < 15) return "midday";
   if (hour < 18) return "afternoon";
@@ -443,22 +674,175 @@ function clamp(value) {
   return Math.max(0, Math.min(1, Number(value.toFixed(3))));
 }
 
-function buildDailySummary(events) {
+function buildDaySummaries(events) {
+  const byDay = new Map();
+  for (const event of events) {
+    if (!byDay.has(event.day)) {
+      byDay.set(event.day, []);
+    }
+    byDay.get(event.day).push(event);
+  }
+
+  return [...byDay.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, dayEvents]) => summarizeDay(date, dayEvents));
+}
+
+function buildDailySummary(events, options = {}) {
+  const ledger = resolveLedgerOptions(options);
+  const days = buildDaySummaries(events);
+  const today = options.date || getDayKey(new Date(), ledger);
+
+  let match = days.find((day) => day.date === today);
+  if (!match && !options.date) {
+    // Nothing scheduled today: describe the next busy day, or the latest one in range.
+    match = days.find((day) => day.date > today) || days[days.length - 1];
+  }
+
+  return match || summarizeDay(today, [], getDayTimeZone(today, ledger));
+}
+
+function summarizeDay(date, allEvents, timeZone = allEvents[0]?.timeZone ?? null) {
+  const dayEvents = allEvents.filter((event) => event.countsTowardCapacity !== false);
+  const loaded = dayEvents.filter((event) => !event.restorative);
   const totalLoad = clamp(
-    events.reduce((sum, event) => sum + event.totalLoad, 0) / Math.max(events.length, 1)
+    loaded.reduce((sum, event) => sum + event.totalLoad, 0) / Math.max(loaded.length, 1)
+  );
+  const capacityCost = dayEvents.reduce((sum, event) => sum + event.capacityCost, 0);
+  const restoredCapacity = dayEvents.reduce(
+    (sum, event) => sum + (event.restoredCapacity || 0),
+    0
   );
-  const capacityRemaining = Math.max(0, 100 - events.reduce((sum, e) => sum + e.capacityCost, 0));
+  const recoveryDebt = dayEvents[0]?.recoveryDebt || 0;
+
+  let peak = null;
+  for (const event of dayEvents) {
+    if (!peak || event.capacityRemaining < peak.capacityRemaining) {
+      peak = event;
+    }
+  }
+
+  const capacityRemaining = dayEvents.length
+    ? dayEvents[dayEvents.length - 1].capacityRemaining
+    : DAILY_CAPACITY;
 
   return {
+    date,
+    timeZone,
+    eventCount: dayEvents.length,
+    displayOnlyCount: allEvents.length - dayEvents.length,
     totalLoad,
+    capacityCost: Number(capacityCost.toFixed(1)),
+    restoredCapacity: Number(restoredCapacity.toFixed(1)),
+    recoveryDebt: Number(recoveryDebt.toFixed(1)),
+    startingCapacity: Number((DAILY_CAPACITY - recoveryDebt).toFixed(1)),
     capacityRemaining,
-    highRisk: capacityRemaining < 20,
+    minCapacityRemaining: peak ? peak.capacityRemaining : DAILY_CAPACITY,
+    peakDepletionAt: peak ? peak.end : null,
+    highRisk: (peak ? peak.capacityRemaining : DAILY_CAPACITY) < HIGH_RISK_CAPACITY,
+    capacityCurve: buildCapacityCurve(dayEvents),
+    ...summarizeFocus(dayEvents),
+  };
+}
+
+// Capacity over the day as points at each event's start and end, so the curve falls during
+// load and rises through breaks and long gaps.
+function buildCapacityCurve(dayEvents) {
+  return dayEvents
+    .filter((event) => !event.allDay)
+    .flatMap((event) => [
+      { at: event.start, capacity: Number(event.capacityBefore.toFixed(1)) },
+      { at: event.end, capacity: Number(event.capacityRemaining.toFixed(1)) },
+    ]);
+}
+
+// Protected focus is focus-block time that no meeting overlaps. A block counts as interrupted
+// when a meeting overlaps it or charged it an interruption penalty.
+function summarizeFocus(dayEvents) {
+  const blocks = dayEvents.filter(isFocusEvent);
+  const meetings = dayEvents.filter(
+    (event) => !isFocusEvent(event) && !event.allDay && !event.restorative
+  );
+  const interrupted = new Set(
+    dayEvents.map((event) => event.explanation?.interruptedFocusBlockId).filter(Boolean)
+  );
+
+  let focusMinutes = 0;
+  for (const block of blocks) {
+    const start = new Date(block.start).getTime();
+    const end = new Date(block.end).getTime();
+    const overlaps = meetings
+      .map((meeting) => [
+        Math.max(start, new Date(meeting.start).getTime()),
+        Math.min(end, new Date(meeting.end).getTime()),
+      ])
+      .filter(([from, to]) => to > from);
+    if (overlaps.length) interrupted.add(block.id);
+    focusMinutes += (end - start - measureUnion(overlaps)) / 60000;
+  }
+
+  return {
+    focusMinutes: Math.round(focusMinutes),
+    focusBlocks: blocks.length,
+    interruptedFocusBlocks: blocks.filter((block) => interrupted.has(block.id)).length,
   };
 }
 
+// Total length of possibly overlapping [start, end] ranges.
+function measureUnion(ranges) {
+  let total = 0;
+  let coveredUntil = -Infinity;
+  for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+    const from = Math.max(start, coveredUntil);
+    if (end > from) total += end - from;
+    coveredUntil = Math.max(coveredUntil, end);
+  }
+  return total;
+}
+
+// Weeks start on Monday and add up the focus figures of their days.
+function buildWeekSummaries(days) {
+  const byWeek = new Map();
+  for (const day of days) {
+    const weekStart = getWeekStart(day.date);
+    const week = byWeek.get(weekStart) || {
+      weekStart,
+      focusMinutes: 0,
+      focusBlocks: 0,
+      interruptedFocusBlocks: 0,
+    };
+    week.focusMinutes += day.focusMinutes;
+    week.focusBlocks += day.focusBlocks;
+    week.interruptedFocusBlocks += day.interruptedFocusBlocks;
+    byWeek.set(weekStart, week);
+  }
+  return [...byWeek.values()].sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+}
+
+function findPreviousLedgerDay(days, dayKey) {
+  let previous = null;
+  for (const key of days.keys()) {
+    if (key < dayKey && (!previous || key > previous)) previous = key;
+  }
+  return previous ? days.get(previous) : null;
+}
+
+function getWeekStart(dayKey) {
+  const [year, month, day] = dayKey.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
 module.exports = {
   BASELINES,
+  DAILY_CAPACITY,
+  HIGH_RISK_CAPACITY,
   classifyWithGemini,
+  classifyEvents,
   computeEventLoads,
+  getCarriedRecoveryDebt,
+  buildDaySummaries,
   buildDailySummary,
+  buildWeekSummaries,
 };
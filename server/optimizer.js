@@ -0,0 +1,353 @@
+const {
+  DAILY_CAPACITY,
+  HIGH_RISK_CAPACITY,
+  computeEventLoads,
+  getCarriedRecoveryDebt,
+  buildDaySummaries,
+} = require("./logic");
+const { resolveTimeZone, zonedTimeToUtc, getDayKey, getDayTimeZone } = require("./time");
+
+const DEFAULT_OPTIONS = {
+  days: 5,
+  workStartHour: 9,
+  workEndHour: 18,
+  slotMinutes: 30,
+  maxProposals: 5,
+  maxMovableAttendees: 8,
+};
+// Ignore proposals that barely change anything.
+const MIN_IMPROVEMENT = 0.02;
+const OVERLOAD_WEIGHT = 2;
+// Each evaluation rescores whole days, so the search stops after this many candidates.
+const MAX_EVALUATIONS = 300;
+
+function suggestReschedules(events, options = {}) {
+  const settings = resolveOptions(options);
+  const horizon = buildHorizon(events, settings);
+  const horizonSet = new Set(horizon);
+
+  const byDay = new Map(horizon.map((day) => [day, []]));
+  for (const event of events) {
+    if (byDay.has(event.day)) byDay.get(event.day).push(event);
+  }
+
+  const baseline = new Map();
+  for (const [day, dayEvents] of byDay) {
+    baseline.set(day, scoreDay(dayEvents, getCarriedRecoveryDebt(events, day, settings.ledger)));
+  }
+
+  // Meetings only leave days at least as heavy as the average, for a lighter day or another
+  // hour of the same day. Candidates between the most uneven days are tried first.
+  const costOf = (day) => baseline.get(day).cost;
+  const average = horizon.reduce((sum, day) => sum + costOf(day), 0) / horizon.length;
+  const isSourceDay = (day) => costOf(day) >= average;
+  const swappable = events.filter(
+    (event) => horizonSet.has(event.day) && isMovable(event, settings)
+  );
+  const movable = swappable.filter((event) => isSourceDay(event.day));
+  const candidates = [];
+
+  for (const event of movable) {
+    const duration = new Date(event.end) - new Date(event.start);
+    for (const day of horizon) {
+      if (day !== event.day && costOf(day) >= costOf(event.day)) continue;
+      for (const start of listFreeSlots(day, duration, byDay.get(day), [event.id], settings)) {
+        if (start.getTime() === new Date(event.start).getTime()) continue;
+        candidates.push({
+          changes: [{ event, start, end: new Date(start.getTime() + duration), day }],
+          priority: costOf(event.day) - costOf(day),
+        });
+      }
+    }
+  }
+
+  for (let i = 0; i < swappable.length; i += 1) {
+    for (let j = i + 1; j < swappable.length; j += 1) {
+      const [a, b] = [swappable[i], swappable[j]];
+      if (!isSourceDay(a.day) && !isSourceDay(b.day)) continue;
+      const swap = buildSwap(a, b, byDay, settings);
+      if (!swap) continue;
+      candidates.push({ changes: swap, priority: Math.abs(costOf(a.day) - costOf(b.day)) });
+    }
+  }
+
+  const evaluated = candidates
+    .sort((a, b) => b.priority - a.priority)
+    .slice(0, MAX_EVALUATIONS)
+    .map(({ changes }) => evaluateCandidate(changes, byDay, baseline, settings))
+    .filter((proposal) => proposal.improvement >= MIN_IMPROVEMENT)
+    .sort((a, b) => b.improvement - a.improvement);
+
+  // Keep the best proposal per meeting so the list offers real alternatives.
+  const proposals = [];
+  const used = new Set();
+  for (const proposal of evaluated) {
+    const ids = proposal.changes.map((change) => change.eventId);
+    if (ids.some((id) => used.has(id))) continue;
+    ids.forEach((id) => used.add(id));
+    proposals.push({ ...proposal, summary: describeProposal(proposal, settings) });
+    if (proposals.length >= settings.maxProposals) break;
+  }
+
+  return { horizon, proposals };
+}
+
+function findFreeSlots(day, durationMinutes, events, options = {}) {
+  const settings = resolveOptions(options);
+  const dayEvents = events.filter((event) => event.day === day && !event.allDay);
+  return listFreeSlots(day, durationMinutes * 60000, dayEvents, [], settings);
+}
+
+function resolveOptions(options) {
+  if (options.from !== undefined && !isDayKey(options.from)) {
+    throw new SuggestionError("from must be a date as YYYY-MM-DD.");
+  }
+  const settings = { ...DEFAULT_OPTIONS };
+  for (const key of Object.keys(DEFAULT_OPTIONS)) {
+    const value = Number(options[key]);
+    if (options[key] !== undefined && Number.isFinite(value)) settings[key] = value;
+  }
+  settings.workStartHour = Math.max(0, Math.min(23, settings.workStartHour));
+  settings.workEndHour = Math.max(settings.workStartHour + 1, Math.min(24, settings.workEndHour));
+  settings.days = Math.max(1, Math.min(14, Math.round(settings.days)));
+  settings.slotMinutes = Math.max(5, settings.slotMinutes);
+
+  return {
+    ...settings,
+    from: options.from,
+    notBefore: options.notBefore ? new Date(options.notBefore) : null,
+    workingWindows: new Map(),
+    busy: options.busy || [],
+    ledger: {
+      timeZone: resolveTimeZone(options.timeZone),
+      dayStartHour: options.dayStartHour,
+      travel: options.travel || [],
+      profile: options.profile,
+    },
+  };
+}
+
+// Working days starting at `from`, or today, or the first day with events after today.
+function buildHorizon(events, settings) {
+  const today = getDayKey(new Date(), settings.ledger);
+  let from = settings.from;
+  if (!from) {
+    const upcoming = events.find((event) => event.day >= today);
+    from = upcoming ? (upcoming.day > today ? upcoming.day : today) : events[0]?.day || today;
+  }
+
+  const days = [];
+  const [year, month, day] = from.split("-").map(Number);
+  const cursor = new Date(Date.UTC(year, month - 1, day));
+  while (days.length < settings.days) {
+    const weekday = cursor.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) {
+      days.push(cursor.toISOString().slice(0, 10));
+    }
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return days;
+}
+
+function isMovable(event, settings) {
+  if (event.allDay || event.locked || event.restorative) return false;
+  // Display-only calendars are someone else's to arrange; they only block slots.
+  if (event.countsTowardCapacity === false) return false;
+  if (event.isOrganizer === false) return false;
+  return (event.attendeeCount || 1) <= settings.maxMovableAttendees;
+}
+
+function isDayKey(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.valueOf()) && date.toISOString().slice(0, 10) === value;
+}
+
+function listFreeSlots(day, duration, dayEvents, ignoreIds, settings) {
+  const { workStart, workEnd } = getWorkingWindow(day, settings);
+  const slots = [];
+  const step = settings.slotMinutes * 60000;
+  for (let start = workStart; start + duration <= workEnd; start += step) {
+    if (fitsSlot(day, start, start + duration, dayEvents, ignoreIds, settings)) {
+      slots.push(new Date(start));
+    }
+  }
+  return slots;
+}
+
+// Working hours follow the zone the user is in on that day. Every slot check needs them, so
+// they are worked out once per day.
+function getWorkingWindow(day, settings) {
+  if (!settings.workingWindows.has(day)) {
+    const [year, month, date] = day.split("-").map(Number);
+    const timeZone = getDayTimeZone(day, settings.ledger);
+    const toUtc = (hour) => zonedTimeToUtc({ year, month, day: date, hour }, timeZone).getTime();
+    settings.workingWindows.set(day, {
+      workStart: toUtc(settings.workStartHour),
+      workEnd: toUtc(settings.workEndHour),
+    });
+  }
+  return settings.workingWindows.get(day);
+}
+
+function fitsSlot(day, start, end, dayEvents, ignoreIds, settings) {
+  const { workStart, workEnd } = getWorkingWindow(day, settings);
+  if (start < workStart || end > workEnd) return false;
+  if (settings.notBefore && start < settings.notBefore.getTime()) return false;
+  const overlaps = (event) =>
+    start < new Date(event.end).getTime() && end > new Date(event.start).getTime();
+  if (dayEvents.some((event) => !ignoreIds.includes(event.id) && overlaps(event))) return false;
+  // Recovery blocks are busy time, except the ones that follow a meeting being moved.
+  return !settings.busy.some((block) => !ignoreIds.includes(block.recoveryFor) && overlaps(block));
+}
+
+function buildSwap(a, b, byDay, settings) {
+  const aStart = new Date(b.start).getTime();
+  const bStart = new Date(a.start).getTime();
+  const aEnd = aStart + (new Date(a.end) - new Date(a.start));
+  const bEnd = bStart + (new Date(b.end) - new Date(b.start));
+
+  // Different lengths on the same day can make the swapped pair collide with each other.
+  if (a.day === b.day && aStart < bEnd && bStart < aEnd) return null;
+
+  const ignore = [a.id, b.id];
+  if (!fitsSlot(b.day, aStart, aEnd, byDay.get(b.day), ignore, settings)) return null;
+  if (!fitsSlot(a.day, bStart, bEnd, byDay.get(a.day), ignore, settings)) return null;
+
+  return [
+    { event: a, start: new Date(aStart), end: new Date(aEnd), day: b.day },
+    { event: b, start: new Date(bStart), end: new Date(bEnd), day: a.day },
+  ];
+}
+
+function evaluateCandidate(changes, byDay, baseline, settings) {
+  const movedIds = new Set(changes.map((change) => change.event.id));
+  const affected = new Set(changes.flatMap((change) => [change.event.day, change.day]));
+
+  const days = [];
+  let before = 0;
+  let after = 0;
+  for (const day of affected) {
+    const moved = changes
+      .filter((change) => change.day === day)
+      .map((change) => ({
+        ...change.event,
+        start: change.start.toISOString(),
+        end: change.end.toISOString(),
+      }));
+    const dayEvents = [...byDay.get(day).filter((event) => !movedIds.has(event.id)), ...moved].sort(
+      (x, y) => new Date(x.start) - new Date(y.start)
+    );
+    // Keep the debt the day already carries; only the day's own events change.
+    const rescored = computeEventLoads(dayEvents, {
+      ...settings.ledger,
+      recoveryDebt: { [day]: baseline.get(day).summary.recoveryDebt },
+    });
+    const score = scoreDay(rescored);
+    const previous = baseline.get(day);
+
+    before += previous.cost;
+    after += score.cost;
+    days.push({ date: day, before: previous.summary, after: score.summary });
+  }
+
+  const improvement = Number((before - after).toFixed(3));
+  return {
+    id: changes
+      .map((change) => `${change.event.id}@${change.start.toISOString()}`)
+      .join("+"),
+    type: changes.length > 1 ? "swap" : "move",
+    improvement,
+    changes: changes.map((change) => ({
+      eventId: change.event.id,
+      calendarId: change.event.calendarId,
+      title: change.event.title,
+      from: { start: change.event.start, end: change.event.end, day: change.event.day },
+      to: { start: change.start.toISOString(), end: change.end.toISOString(), day: change.day },
+    })),
+    days: days.sort((a, b) => a.date.localeCompare(b.date)),
+  };
+}
+
+// Lower is better: load, recovery that runs into the next meeting, and overload past the risk line.
+// A day without events still starts with the debt the ledger carries into it.
+function scoreDay(allEvents, carriedDebt = 0) {
+  const dayEvents = allEvents.filter((event) => event.countsTowardCapacity !== false);
+  const summary = buildDaySummaries(allEvents)[0] || {
+    eventCount: 0,
+    capacityCost: 0,
+    restoredCapacity: 0,
+    recoveryDebt: carriedDebt,
+    capacityRemaining: DAILY_CAPACITY - carriedDebt,
+    minCapacityRemaining: DAILY_CAPACITY - carriedDebt,
+    highRisk: DAILY_CAPACITY - carriedDebt < HIGH_RISK_CAPACITY,
+  };
+
+  let load = 0;
+  let recoveryOverlapMinutes = 0;
+  for (let i = 0; i < dayEvents.length; i += 1) {
+    const event = dayEvents[i];
+    load += event.totalLoad;
+    const next = dayEvents[i + 1];
+    // A break right after an event is recovery, not an intrusion on it.
+    if (next && !next.restorative) {
+      const recoveryEnd = new Date(event.end).getTime() + event.recoveryMinutes * 60000;
+      const overlap =
+        Math.min(recoveryEnd, new Date(next.start).getTime()) - new Date(event.end).getTime();
+      recoveryOverlapMinutes += Math.max(0, overlap / 60000);
+    }
+  }
+  const spent = summary.capacityCost - summary.restoredCapacity + summary.recoveryDebt;
+  const overload = Math.max(0, spent - (DAILY_CAPACITY - HIGH_RISK_CAPACITY)) / 100;
+
+  return {
+    cost: load + recoveryOverlapMinutes / 60 + OVERLOAD_WEIGHT * overload,
+    summary: {
+      eventCount: summary.eventCount,
+      capacityCost: summary.capacityCost,
+      recoveryDebt: summary.recoveryDebt,
+      capacityRemaining: Number(summary.capacityRemaining.toFixed(1)),
+      minCapacityRemaining: Number(summary.minCapacityRemaining.toFixed(1)),
+      recoveryOverlapMinutes: Math.round(recoveryOverlapMinutes),
+      highRisk: summary.highRisk,
+    },
+  };
+}
+
+function describeProposal({ changes, days }, settings) {
+  const format = (date, day) =>
+    new Date(date).toLocaleString("en-US", {
+      timeZone: getDayTimeZone(day, settings.ledger),
+      weekday: "short",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+  const moves = changes.map(
+    (change) => `"${change.title}" to ${format(change.to.start, change.to.day)}`
+  );
+  const lowest = Math.min(...days.map((day) => day.before.minCapacityRemaining));
+  const lowestAfter = Math.min(...days.map((day) => day.after.minCapacityRemaining));
+  const busiest = days.reduce((max, day) =>
+    day.before.capacityCost > max.before.capacityCost ? day : max
+  );
+
+  let effect;
+  if (lowestAfter > lowest) {
+    effect = `raises the lowest capacity from ${Math.round(lowest)} to ${Math.round(lowestAfter)}`;
+  } else if (busiest.after.capacityCost < busiest.before.capacityCost) {
+    effect = `cuts ${busiest.date} from ${Math.round(busiest.before.capacityCost)} to ${Math.round(
+      busiest.after.capacityCost
+    )} capacity points`;
+  } else {
+    effect = "leaves more room to recover between meetings";
+  }
+  return `Move ${moves.join(" and ")}; ${effect}.`;
+}
+
+class SuggestionError extends Error {}
+
+module.exports = {
+  suggestReschedules,
+  findFreeSlots,
+  SuggestionError,
+};
@@ -0,0 +1,154 @@
+const crypto = require("crypto");
+const path = require("path");
+const { createMemoryStore, createJsonFileStore } = require("./jsonStore");
+const { MEETING_TYPES, ROLES, EMOTIONAL_INTENSITIES } = require("./taxonomy");
+
+const DEFAULT_OVERRIDES_PATH = path.join(__dirname, "data", "overrides.json");
+const SCOPES = ["event", "series", "pattern"];
+// Broader scopes apply first so narrower ones win: pattern < series < event.
+const SCOPE_PRECEDENCE = { pattern: 0, series: 1, event: 2 };
+const FIELD_VALUES = {
+  meeting_type: MEETING_TYPES,
+  role: ROLES,
+  emotional_intensity: EMOTIONAL_INTENSITIES,
+};
+
+let activeStore = null;
+
+function getOverrideStore() {
+  if (!activeStore) {
+    activeStore =
+      process.env.OVERRIDE_STORE === "memory"
+        ? createMemoryStore()
+        : createJsonFileStore(process.env.OVERRIDE_STORE_PATH || DEFAULT_OVERRIDES_PATH);
+  }
+  return activeStore;
+}
+
+function setOverrideStore(store) {
+  activeStore = store;
+}
+
+async function listOverrides(userId) {
+  return (await getOverrideStore().get(userId)) || [];
+}
+
+async function saveOverride(userId, input) {
+  const { scope, target, fields } = validateOverride(input);
+  const overrides = await listOverrides(userId);
+  const existing = overrides.find(
+    (override) => override.scope === scope && override.target === target
+  );
+  const now = new Date().toISOString();
+
+  let saved;
+  if (existing) {
+    saved = { ...existing, fields: { ...existing.fields, ...fields }, updatedAt: now };
+    overrides.splice(overrides.indexOf(existing), 1, saved);
+  } else {
+    saved = {
+      id: crypto.randomUUID(),
+      scope,
+      target,
+      fields,
+      createdAt: now,
+      updatedAt: now,
+    };
+    overrides.push(saved);
+  }
+
+  await getOverrideStore().set(userId, overrides);
+  return saved;
+}
+
+async function deleteOverride(userId, overrideId) {
+  const overrides = await listOverrides(userId);
+  const remaining = overrides.filter((override) => override.id !== overrideId);
+  if (remaining.length === overrides.length) return false;
+  await getOverrideStore().set(userId, remaining);
+  return true;
+}
+
+function validateOverride(input) {
+  const { scope, target, fields } = input || {};
+  if (!SCOPES.includes(scope)) {
+    throw new OverrideValidationError(`scope must be one of ${SCOPES.join(", ")}.`);
+  }
+  if (!target || typeof target !== "string") {
+    throw new OverrideValidationError("target is required.");
+  }
+  if (scope === "pattern") {
+    try {
+      new RegExp(target, "i");
+    } catch (_error) {
+      throw new OverrideValidationError("target is not a valid title pattern.");
+    }
+  }
+
+  const cleaned = {};
+  for (const [field, allowed] of Object.entries(FIELD_VALUES)) {
+    if (fields?.[field] === undefined) continue;
+    if (!allowed.includes(fields[field])) {
+      throw new OverrideValidationError(`${field} must be one of ${allowed.join(", ")}.`);
+    }
+    cleaned[field] = fields[field];
+  }
+  if (fields?.topic_tags !== undefined) {
+    if (!Array.isArray(fields.topic_tags) || fields.topic_tags.some((tag) => typeof tag !== "string")) {
+      throw new OverrideValidationError("topic_tags must be an array of strings.");
+    }
+    cleaned.topic_tags = fields.topic_tags.map((tag) => tag.trim()).filter(Boolean).slice(0, 5);
+  }
+  if (!Object.keys(cleaned).length) {
+    throw new OverrideValidationError("fields must pin at least one value.");
+  }
+
+  return { scope, target, fields: cleaned };
+}
+
+function applyClassificationOverrides(events, overrides) {
+  if (!overrides.length) return events;
+
+  const ordered = [...overrides].sort(
+    (a, b) => SCOPE_PRECEDENCE[a.scope] - SCOPE_PRECEDENCE[b.scope]
+  );
+  const patterns = new Map(
+    ordered
+      .filter((override) => override.scope === "pattern")
+      .map((override) => [override.id, new RegExp(override.target, "i")])
+  );
+
+  return events.map((event) => {
+    const matching = ordered.filter((override) => {
+      if (override.scope === "event") return override.target === event.id;
+      if (override.scope === "series") return Boolean(event.seriesId) && override.target === event.seriesId;
+      return patterns.get(override.id).test(event.title || "");
+    });
+    if (!matching.length) return event;
+
+    const classification = { ...event.classification };
+    const inferred = {};
+    const overridden = {};
+    for (const override of matching) {
+      for (const [field, value] of Object.entries(override.fields)) {
+        if (!(field in inferred)) inferred[field] = event.classification[field];
+        classification[field] = value;
+        overridden[field] = { scope: override.scope, overrideId: override.id };
+      }
+    }
+
+    return { ...event, classification: { ...classification, inferred, overridden } };
+  });
+}
+
+class OverrideValidationError extends Error {}
+
+module.exports = {
+  getOverrideStore,
+  setOverrideStore,
+  listOverrides,
+  saveOverride,
+  deleteOverride,
+  applyClassificationOverrides,
+  OverrideValidationError,
+};
@@ -0,0 +1,124 @@
+const path = require("path");
+const { createMemoryStore, createJsonFileStore } = require("./jsonStore");
+const { BASELINES } = require("./logic");
+
+const DEFAULT_PROFILES_PATH = path.join(__dirname, "data", "profiles.json");
+
+// Load tables and weights are 0–1. Multipliers and minutes have their own bounds.
+const RANGES = {
+  timeOfDayMultiplier: [0.5, 2],
+  recoveryMinutesPerLoad: [0, 60],
+  restorativeGapMinutes: [0, 240],
+  depletionDebt: [0, 100],
+};
+
+let activeStore = null;
+
+function getProfileStore() {
+  if (!activeStore) {
+    activeStore =
+      process.env.PROFILE_STORE === "memory"
+        ? createMemoryStore()
+        : createJsonFileStore(process.env.PROFILE_STORE_PATH || DEFAULT_PROFILES_PATH);
+  }
+  return activeStore;
+}
+
+function setProfileStore(store) {
+  activeStore = store;
+}
+
+function getDefaultProfile() {
+  return { version: 0, isDefault: true, baselines: structuredClone(BASELINES) };
+}
+
+async function getProfile(userId) {
+  const stored = await getProfileStore().get(userId);
+  if (!stored) return getDefaultProfile();
+  // Fill in tables added since the profile was saved.
+  return { ...stored, baselines: mergeBaselines(BASELINES, stored.baselines) };
+}
+
+// PUT semantics: anything not supplied falls back to the defaults.
+async function replaceProfile(userId, input) {
+  validateBaselines(input);
+  return saveProfile(userId, mergeBaselines(BASELINES, input), false);
+}
+
+// PATCH semantics: only the supplied values change.
+async function patchProfile(userId, input) {
+  validateBaselines(input);
+  const current = await getProfile(userId);
+  return saveProfile(userId, mergeBaselines(current.baselines, input), false);
+}
+
+// Resetting still bumps the version so earlier scores stay distinguishable.
+async function resetProfile(userId) {
+  return saveProfile(userId, structuredClone(BASELINES), true);
+}
+
+async function saveProfile(userId, baselines, isDefault) {
+  const current = await getProfile(userId);
+  const profile = {
+    version: current.version + 1,
+    isDefault,
+    baselines,
+    updatedAt: new Date().toISOString(),
+  };
+  await getProfileStore().set(userId, profile);
+  return profile;
+}
+
+function validateBaselines(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new ProfileValidationError("Baselines must be an object.");
+  }
+
+  for (const [key, value] of Object.entries(input)) {
+    if (!(key in BASELINES)) {
+      throw new ProfileValidationError(`Unknown baseline "${key}".`);
+    }
+    const [min, max] = RANGES[key] || [0, 1];
+
+    if (typeof BASELINES[key] === "number") {
+      assertInRange(key, value, min, max);
+      continue;
+    }
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw new ProfileValidationError(`${key} must be an object.`);
+    }
+    for (const [entry, entryValue] of Object.entries(value)) {
+      if (!(entry in BASELINES[key])) {
+        throw new ProfileValidationError(`Unknown ${key} entry "${entry}".`);
+      }
+      assertInRange(`${key}.${entry}`, entryValue, min, max);
+    }
+  }
+}
+
+function assertInRange(label, value, min, max) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+    throw new ProfileValidationError(`${label} must be a number between ${min} and ${max}.`);
+  }
+}
+
+function mergeBaselines(base, input) {
+  const merged = structuredClone(base);
+  for (const [key, value] of Object.entries(input)) {
+    merged[key] = typeof value === "number" ? value : { ...merged[key], ...value };
+  }
+  return merged;
+}
+
+class ProfileValidationError extends Error {}
+
+module.exports = {
+  getProfileStore,
+  setProfileStore,
+  getDefaultProfile,
+  getProfile,
+  replaceProfile,
+  patchProfile,
+  resetProfile,
+  ProfileValidationError,
+};
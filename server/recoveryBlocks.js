@@ -0,0 +1,222 @@
+const path = require("path");
+const { createMemoryStore, createJsonFileStore } = require("./jsonStore");
+const {
+  RECOVERY_PROPERTY,
+  RECOVERY_SOURCE_PROPERTY,
+  insertRecoveryBlock,
+  listTaggedEvents,
+  moveCalendarEvent,
+  deleteCalendarEvent,
+  describeGoogleError,
+} = require("./googleCalendar");
+
+const DEFAULT_SETTINGS_PATH = path.join(__dirname, "data", "recoveryBlocks.json");
+const MODE_PROPERTY = "cogcalMode";
+const SOURCE_CALENDAR_PROPERTY = "cogcalSourceCalendarId";
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  calendarId: "primary",
+  minTotalLoad: 0.6,
+  minMinutes: 10,
+  dailyCapMinutes: 60,
+};
+const LIMITS = {
+  minTotalLoad: [0, 1],
+  minMinutes: [0, 120],
+  dailyCapMinutes: [0, 480],
+};
+
+let activeStore = null;
+
+function getRecoverySettingsStore() {
+  if (!activeStore) {
+    activeStore =
+      process.env.RECOVERY_SETTINGS_STORE === "memory"
+        ? createMemoryStore()
+        : createJsonFileStore(process.env.RECOVERY_SETTINGS_PATH || DEFAULT_SETTINGS_PATH);
+  }
+  return activeStore;
+}
+
+function setRecoverySettingsStore(store) {
+  activeStore = store;
+}
+
+async function getRecoverySettings(userId) {
+  return { ...DEFAULT_SETTINGS, ...((await getRecoverySettingsStore().get(userId)) || {}) };
+}
+
+async function saveRecoverySettings(userId, input) {
+  const current = await getRecoverySettings(userId);
+  const next = { ...current };
+
+  if (input?.enabled !== undefined) {
+    if (typeof input.enabled !== "boolean") {
+      throw new RecoverySettingsError("enabled must be true or false.");
+    }
+    next.enabled = input.enabled;
+  }
+  if (input?.calendarId !== undefined) {
+    if (!input.calendarId || typeof input.calendarId !== "string") {
+      throw new RecoverySettingsError("calendarId must be a calendar id.");
+    }
+    next.calendarId = input.calendarId;
+  }
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    if (input?.[key] === undefined) continue;
+    const value = input[key];
+    if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+      throw new RecoverySettingsError(`${key} must be a number between ${min} and ${max}.`);
+    }
+    next[key] = value;
+  }
+
+  await getRecoverySettingsStore().set(userId, next);
+  return next;
+}
+
+// Heavy meetings get a block right after them, trimmed to the next meeting and capped per day.
+function planRecoveryBlocks(events, settings) {
+  const usedByDay = new Map();
+  const planned = [];
+  const timed = events.filter((event) => !event.allDay && !event.recoveryBlock);
+
+  for (let i = 0; i < timed.length; i += 1) {
+    const event = timed[i];
+    // Display-only meetings never earn a block but still cut the ones before them short.
+    if (event.countsTowardCapacity === false) continue;
+    if (event.totalLoad < settings.minTotalLoad) continue;
+
+    const start = new Date(event.end).getTime();
+    const next = timed.slice(i + 1).find((item) => new Date(item.start).getTime() >= start);
+    const gapMinutes =
+      next && next.day === event.day ? (new Date(next.start).getTime() - start) / 60000 : Infinity;
+    const used = usedByDay.get(event.day) || 0;
+    const minutes = Math.floor(
+      Math.min(event.recoveryMinutes, gapMinutes, settings.dailyCapMinutes - used)
+    );
+    if (minutes <= 0 || minutes < settings.minMinutes) continue;
+
+    usedByDay.set(event.day, used + minutes);
+    planned.push({
+      sourceEventId: event.id,
+      sourceCalendarId: event.calendarId || "primary",
+      title: event.title,
+      start: new Date(start).toISOString(),
+      end: new Date(start + minutes * 60000).toISOString(),
+    });
+  }
+
+  return planned;
+}
+
+async function syncRecoveryBlocks({
+  sessionId,
+  settings,
+  events,
+  sourceCalendarIds = ["primary"],
+  timeMin,
+  timeMax,
+}) {
+  const result = { created: 0, updated: 0, removed: 0, unchanged: 0, errors: [] };
+  if (!settings.enabled) return result;
+
+  // Event ids are only unique within a calendar, so blocks are keyed by both.
+  const existing = await Promise.all(
+    sourceCalendarIds.map((sourceCalendarId) =>
+      listTaggedEvents({
+        calendarId: settings.calendarId,
+        timeMin,
+        timeMax,
+        properties: {
+          [RECOVERY_PROPERTY]: "1",
+          [MODE_PROPERTY]: "auto",
+          [SOURCE_CALENDAR_PROPERTY]: sourceCalendarId,
+        },
+        sessionId,
+      })
+    )
+  );
+  const bySource = new Map();
+  const duplicates = [];
+  existing.forEach((blocks, index) => {
+    for (const block of blocks) {
+      const sourceId = block.extendedProperties?.private?.[RECOVERY_SOURCE_PROPERTY];
+      const key = `${sourceCalendarIds[index]}:${sourceId}`;
+      if (bySource.has(key)) {
+        duplicates.push(block);
+      } else {
+        bySource.set(key, block);
+      }
+    }
+  });
+
+  const run = async (label, action) => {
+    try {
+      await action();
+      result[label] += 1;
+    } catch (error) {
+      console.error(`Recovery block ${label} failed`, error);
+      result.errors.push(describeGoogleError(error));
+    }
+  };
+
+  for (const plan of planRecoveryBlocks(events, settings)) {
+    const key = `${plan.sourceCalendarId}:${plan.sourceEventId}`;
+    const block = bySource.get(key);
+    bySource.delete(key);
+
+    if (!block) {
+      await run("created", () =>
+        insertRecoveryBlock({
+          calendarId: settings.calendarId,
+          start: plan.start,
+          end: plan.end,
+          forEvent: { id: plan.sourceEventId, title: plan.title },
+          properties: {
+            [MODE_PROPERTY]: "auto",
+            [SOURCE_CALENDAR_PROPERTY]: plan.sourceCalendarId,
+          },
+          sessionId,
+        })
+      );
+    } else if (!sameInstant(block.start, plan.start) || !sameInstant(block.end, plan.end)) {
+      await run("updated", () =>
+        moveCalendarEvent({
+          calendarId: settings.calendarId,
+          eventId: block.id,
+          start: plan.start,
+          end: plan.end,
+          sessionId,
+        })
+      );
+    } else {
+      result.unchanged += 1;
+    }
+  }
+
+  // Whatever is left belongs to meetings that moved out of range, got lighter or were cancelled.
+  for (const block of [...bySource.values(), ...duplicates]) {
+    await run("removed", () =>
+      deleteCalendarEvent({ calendarId: settings.calendarId, eventId: block.id, sessionId })
+    );
+  }
+
+  return result;
+}
+
+function sameInstant(eventTime, iso) {
+  return new Date(eventTime?.dateTime).getTime() === new Date(iso).getTime();
+}
+
+class RecoverySettingsError extends Error {}
+
+module.exports = {
+  getRecoverySettingsStore,
+  setRecoverySettingsStore,
+  getRecoverySettings,
+  saveRecoverySettings,
+  planRecoveryBlocks,
+  syncRecoveryBlocks,
+  RecoverySettingsError,
+};
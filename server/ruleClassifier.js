@@ -0,0 +1,157 @@
+const fs = require("fs");
+const path = require("path");
+const { MEETING_TYPES, ROLES, EMOTIONAL_INTENSITIES } = require("./taxonomy");
+
+const DEFAULT_RULES_PATH = path.join(__dirname, "classifierRules.json");
+const DIMENSIONS = {
+  meeting_type: MEETING_TYPES,
+  role: ROLES,
+  emotional_intensity: EMOTIONAL_INTENSITIES,
+};
+// Source-provided values (e.g. curated mock data) are used when no rule fires.
+const SOURCE_HINTS = {
+  meeting_type: "meetingType",
+  role: "userRole",
+  emotional_intensity: "emotionalIntensity",
+};
+
+// Rules can also match on what the calendar says about the invitation.
+const FLAGS = {
+  organizer: "isOrganizer",
+  optional: "isOptional",
+  external: "hasExternalAttendees",
+};
+
+let loaded = { path: null, mtimeMs: 0, rules: null };
+
+function loadRules() {
+  const rulesPath = process.env.CLASSIFIER_RULES_PATH || DEFAULT_RULES_PATH;
+  try {
+    // Re-read only when the file changes so edits apply without a restart.
+    const { mtimeMs } = fs.statSync(rulesPath);
+    if (loaded.rules && loaded.path === rulesPath && loaded.mtimeMs === mtimeMs) {
+      return loaded.rules;
+    }
+    const raw = JSON.parse(fs.readFileSync(rulesPath, "utf8"));
+    loaded = { path: rulesPath, mtimeMs, rules: compileRules(raw) };
+  } catch (error) {
+    console.error(`Failed to load classifier rules from ${rulesPath}`, error);
+    if (!loaded.rules) {
+      loaded = { path: rulesPath, mtimeMs: 0, rules: compileRules({}) };
+    }
+  }
+  return loaded.rules;
+}
+
+function compileRules(raw) {
+  const defaults = {
+    meeting_type: "status",
+    role: "contributor",
+    emotional_intensity: "routine",
+    confidence: 0.3,
+    ...(raw.defaults || {}),
+  };
+  const compiled = {
+    defaults,
+    descriptionWeight: raw.descriptionWeight ?? 0.7,
+  };
+
+  for (const [dimension, allowed] of Object.entries(DIMENSIONS)) {
+    compiled[dimension] = (raw[dimension] || [])
+      .filter((rule) => {
+        if (allowed.includes(rule.value)) return true;
+        console.warn(`Ignoring classifier rule "${rule.id}": unknown ${dimension} "${rule.value}".`);
+        return false;
+      })
+      .map((rule) => ({
+        ...rule,
+        weight: rule.weight ?? 0.5,
+        patterns: (rule.patterns || []).map((pattern) => compilePattern(rule.id, pattern)).filter(Boolean),
+      }));
+  }
+
+  return compiled;
+}
+
+function compilePattern(ruleId, pattern) {
+  try {
+    return new RegExp(pattern, "i");
+  } catch (_error) {
+    console.warn(`Ignoring invalid pattern in classifier rule "${ruleId}": ${pattern}`);
+    return null;
+  }
+}
+
+function classifyWithRules(event) {
+  const rules = loadRules();
+  const context = {
+    title: event.title || "",
+    description: event.description || "",
+    attendees: event.attendeeCount || 1,
+    isOrganizer: event.isOrganizer,
+    isOptional: event.isOptional,
+    hasExternalAttendees: Boolean(event.externalDomains?.length),
+  };
+
+  const classification = {};
+  const matchedRules = [];
+  const confidences = [];
+
+  for (const dimension of Object.keys(DIMENSIONS)) {
+    const match = findBestRule(rules[dimension], context, rules.descriptionWeight);
+    if (match) {
+      classification[dimension] = match.value;
+      confidences.push(match.confidence);
+      matchedRules.push({ dimension, ...match });
+    } else {
+      classification[dimension] = event[SOURCE_HINTS[dimension]] || rules.defaults[dimension];
+      confidences.push(rules.defaults.confidence);
+    }
+  }
+
+  const confidence = confidences.reduce((sum, value) => sum + value, 0) / confidences.length;
+  return {
+    ...classification,
+    topic_tags: event.topicTags || ["general"],
+    source: "rules",
+    confidence: Number(confidence.toFixed(2)),
+    matchedRules,
+  };
+}
+
+function findBestRule(rules, context, descriptionWeight) {
+  let best = null;
+
+  for (const rule of rules) {
+    const flags = Object.keys(FLAGS).filter((flag) => rule[flag] !== undefined);
+    if (flags.some((flag) => Boolean(context[FLAGS[flag]]) !== rule[flag])) continue;
+    if (rule.attendees?.min !== undefined && context.attendees < rule.attendees.min) continue;
+    if (rule.attendees?.max !== undefined && context.attendees > rule.attendees.max) continue;
+
+    let matchedOn = flags[0] || "attendees";
+    let factor = 1;
+    if (rule.patterns.length) {
+      if (rule.patterns.some((pattern) => pattern.test(context.title))) {
+        matchedOn = "title";
+      } else if (rule.patterns.some((pattern) => pattern.test(context.description))) {
+        matchedOn = "description";
+        factor = descriptionWeight;
+      } else {
+        continue;
+      }
+    } else if (!flags.length && !rule.attendees) {
+      continue;
+    }
+
+    const confidence = Number((rule.weight * factor).toFixed(2));
+    if (!best || confidence > best.confidence) {
+      best = { rule: rule.id, value: rule.value, matchedOn, confidence };
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  classifyWithRules,
+};
@@ -0,0 +1,74 @@
+const crypto = require("crypto");
+const path = require("path");
+const { createMemoryStore, createJsonFileStore } = require("./jsonStore");
+
+const DEFAULT_SESSION_PATH = path.join(__dirname, "data", "sessions.json");
+
+let activeStore = null;
+let linkKey = null;
+
+function getSessionStore() {
+  if (!activeStore) {
+    activeStore =
+      process.env.SESSION_STORE === "memory"
+        ? createMemoryStore()
+        : createJsonFileStore(process.env.SESSION_STORE_PATH || DEFAULT_SESSION_PATH);
+  }
+  return activeStore;
+}
+
+function setSessionStore(store) {
+  activeStore = store;
+}
+
+function createSessionId() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+// URLs that cannot carry headers (live streams, calendar subscriptions) get a link token instead
+// of the session id: it is sealed with a server key, names one scope and expires. Without
+// SESSION_TOKEN_SECRET the key is random, so links last until the server restarts.
+function createLinkToken(sessionId, scope, ttlSeconds) {
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getLinkKey(), iv);
+  const payload = JSON.stringify({ sessionId, scope, expiresAt });
+  const sealed = Buffer.concat([cipher.update(payload, "utf8"), cipher.final()]);
+  return {
+    token: Buffer.concat([iv, cipher.getAuthTag(), sealed]).toString("base64url"),
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+// Returns the session id, or null for a token that is forged, expired or for another scope.
+function readLinkToken(token, scope) {
+  try {
+    const raw = Buffer.from(String(token), "base64url");
+    const decipher = crypto.createDecipheriv("aes-256-gcm", getLinkKey(), raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    const payload = JSON.parse(
+      Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString("utf8")
+    );
+    return payload.scope === scope && payload.expiresAt > Date.now() ? payload.sessionId : null;
+  } catch {
+    return null;
+  }
+}
+
+function getLinkKey() {
+  if (!linkKey) {
+    const secret = process.env.SESSION_TOKEN_SECRET;
+    linkKey = secret
+      ? crypto.createHash("sha256").update(secret).digest()
+      : crypto.randomBytes(32);
+  }
+  return linkKey;
+}
+
+module.exports = {
+  getSessionStore,
+  setSessionStore,
+  createSessionId,
+  createLinkToken,
+  readLinkToken,
+};
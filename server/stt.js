@@ -0,0 +1,182 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { runCommand } = require("./commands");
+
+// Browsers record Opus in WebM (Chrome, Edge) or Ogg (Firefox); WAV comes from other tools.
+const AUDIO_EXTENSIONS = {
+  "audio/webm": "webm",
+  "audio/ogg": "ogg",
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+  "audio/wave": "wav",
+};
+const DEFAULT_OPENAI_MODEL = "whisper-1";
+const LOCAL_TIMEOUT_MS = 60000;
+
+let activeProvider = null;
+
+function getSttProvider() {
+  if (!activeProvider) {
+    activeProvider = createSttProviderFromEnv();
+  }
+  return activeProvider;
+}
+
+function setSttProvider(provider) {
+  activeProvider = provider;
+}
+
+function createSttProviderFromEnv(name = process.env.STT_PROVIDER || "openai") {
+  if (name === "local") return createLocalTranscriptionProvider();
+  if (name === "none") return createNullTranscriptionProvider();
+  return createOpenAiTranscriptionProvider();
+}
+
+// Any server with an OpenAI-compatible /audio/transcriptions endpoint, hosted or self-hosted.
+function createOpenAiTranscriptionProvider() {
+  const baseUrl = process.env.STT_BASE_URL || process.env.OPENAI_BASE_URL || "";
+  const apiKey = process.env.STT_API_KEY || process.env.OPENAI_API_KEY;
+  const model = process.env.STT_MODEL || DEFAULT_OPENAI_MODEL;
+
+  return {
+    name: "openai",
+    unavailableReason: "Transcription is not configured. Set STT_BASE_URL or OPENAI_BASE_URL.",
+    isConfigured() {
+      return Boolean(baseUrl);
+    },
+    async transcribe({ audio, mimeType, language }) {
+      const form = new FormData();
+      const filename = `recording.${AUDIO_EXTENSIONS[mimeType]}`;
+      form.append("file", new Blob([audio], { type: mimeType }), filename);
+      form.append("model", model);
+      if (language) form.append("language", language);
+
+      const headers = {};
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+      const response = await fetch(`${baseUrl.replace(/\/$/, "")}/audio/transcriptions`, {
+        method: "POST",
+        headers,
+        body: form,
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => "");
+        console.error("Transcription error:", response.status, errorText);
+        throw new TranscriptionError(`Transcription request failed (${response.status}).`, 502);
+      }
+      const data = await response.json();
+      return data.text || "";
+    },
+  };
+}
+
+// whisper.cpp only reads 16 kHz mono WAV, so every upload is converted with ffmpeg first.
+function createLocalTranscriptionProvider() {
+  const command = process.env.STT_LOCAL_COMMAND || "whisper-cli";
+  const model = process.env.STT_LOCAL_MODEL;
+  const ffmpeg = process.env.STT_FFMPEG_COMMAND || "ffmpeg";
+
+  return {
+    name: "local",
+    unavailableReason: "Transcription is not configured. Set STT_LOCAL_MODEL.",
+    isConfigured() {
+      return Boolean(model);
+    },
+    async transcribe({ audio, mimeType, language }) {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), "cogcal-stt-"));
+      try {
+        const input = path.join(dir, `recording.${AUDIO_EXTENSIONS[mimeType]}`);
+        const wav = path.join(dir, "recording-16k.wav");
+        await fs.writeFile(input, audio);
+        await runTool(ffmpeg, ["-loglevel", "error", "-i", input, "-ar", "16000", "-ac", "1", wav]);
+        // -nt drops timestamps and -np the progress output, leaving only the transcript.
+        const args = ["-m", model, "-f", wav, "-l", language || "auto", "-nt", "-np"];
+        const output = await runTool(command, args);
+        return output.toString("utf8").replace(/\s+/g, " ").trim();
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    },
+  };
+}
+
+function createNullTranscriptionProvider() {
+  return {
+    name: "none",
+    unavailableReason: "Transcription is turned off.",
+    isConfigured() {
+      return false;
+    },
+    async transcribe() {
+      throw new TranscriptionError("Transcription is turned off.", 503);
+    },
+  };
+}
+
+async function runTool(command, args) {
+  try {
+    return await runCommand(command, args, { timeoutMs: LOCAL_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new TranscriptionError(`Transcription needs ${command} installed.`, 503);
+    }
+    console.error(`${command} failed:`, error.message, error.stderr || "");
+    throw new TranscriptionError(`${command} could not transcribe the recording.`, 502);
+  }
+}
+
+async function transcribeAudio({ audio, mimeType, language }) {
+  const type = String(mimeType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (!AUDIO_EXTENSIONS[type]) {
+    throw new TranscriptionError("Upload WebM, Ogg or WAV audio.", 415);
+  }
+  if (!audio?.length) {
+    throw new TranscriptionError("The recording is empty.", 400);
+  }
+  const code = toTranscriptionLanguage(language);
+
+  const provider = getSttProvider();
+  if (!provider.isConfigured()) {
+    throw new TranscriptionError(provider.unavailableReason, 503);
+  }
+
+  const text = await provider.transcribe({
+    audio,
+    mimeType: type,
+    language: code,
+  });
+  return { text, language: language || "auto" };
+}
+
+// Speech engines take ISO 639-1 codes, so "pt-BR" is sent as "pt". Blank or "auto" detects it.
+function toTranscriptionLanguage(language) {
+  if (!language || language === "auto") return null;
+  const match = String(language).match(/^([a-z]{2,3})(-[a-z0-9]{2,8})*$/i);
+  if (!match) {
+    throw new TranscriptionError(`Unsupported language "${language}".`, 400);
+  }
+  return match[1].toLowerCase();
+}
+
+class TranscriptionError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = {
+  getSttProvider,
+  setSttProvider,
+  createOpenAiTranscriptionProvider,
+  createLocalTranscriptionProvider,
+  createNullTranscriptionProvider,
+  transcribeAudio,
+  TranscriptionError,
+};
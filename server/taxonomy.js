@@ -0,0 +1,24 @@
+const MEETING_TYPES = [
+  "standup",
+  "status",
+  "demo",
+  "planning",
+  "brainstorming",
+  "design_review",
+  "decision",
+  "conflict",
+  "sync",
+  "social",
+  "focus",
+  "break",
+];
+
+const ROLES = ["listener", "occasional_contributor", "contributor", "decision_maker"];
+
+const EMOTIONAL_INTENSITIES = ["routine", "external", "feedback", "performance", "conflict"];
+
+module.exports = {
+  MEETING_TYPES,
+  ROLES,
+  EMOTIONAL_INTENSITIES,
+};
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const googleCalendar = require("../googleCalendar");
+const { createMemoryStore } = require("../jsonStore");
+
+// changes.js reads these when it loads, so the fakes go in first.
+const calls = [];
+// Event ids whose move throws the mapped error, and ids whose restore fails.
+const failures = { move: new Map(), restore: new Set() };
+Object.assign(googleCalendar, {
+  getCalendarEvent: async ({ eventId }) => ({
+    summary: eventId,
+    start: { dateTime: "2026-10-19T09:00:00Z" },
+    end: { dateTime: "2026-10-19T10:00:00Z" },
+  }),
+  moveCalendarEvent: async ({ eventId, start, end }) => {
+    calls.push(`move ${eventId}`);
+    if (failures.move.has(eventId)) throw failures.move.get(eventId);
+    return { start: { dateTime: start }, end: { dateTime: end } };
+  },
+  restoreEventTimes: async ({ eventId }) => {
+    calls.push(`restore ${eventId}`);
+    if (failures.restore.has(eventId)) throw new Error("restore failed");
+  },
+  isPermissionError: (error) => error.code === 403,
+  describeGoogleError: (error) => error.message,
+});
+const {
+  applyChangeBatch,
+  undoChangeBatch,
+  setJournalStore,
+  ChangeValidationError,
+} = require("../changes");
+
+function move(eventId) {
+  return { type: "move", eventId, start: "2026-10-20T09:00:00Z", end: "2026-10-20T10:00:00Z" };
+}
+
+test.beforeEach((t) => {
+  setJournalStore(createMemoryStore());
+  calls.length = 0;
+  failures.move.clear();
+  failures.restore.clear();
+  t.mock.method(console, "error", () => {});
+});
+
+test("a failure part way through rolls back what was applied", async () => {
+  failures.move.set("c", new Error("backend error"));
+  const error = await applyChangeBatch({
+    userId: "u1",
+    changes: [move("a"), move("b"), move("c")],
+  }).catch((caught) => caught);
+
+  assert.equal(error.batch.status, "rolled_back");
+  assert.deepEqual(calls, ["move a", "move b", "move c", "restore b", "restore a"]);
+  assert.deepEqual(
+    error.batch.operations.map((operation) => operation.status),
+    ["undone", "undone", "failed"]
+  );
+});
+
+test("a rollback that cannot revert everything can be retried", async () => {
+  failures.move.set("c", new Error("backend error"));
+  failures.restore.add("a");
+  const { batch } = await applyChangeBatch({
+    userId: "u1",
+    changes: [move("a"), move("b"), move("c")],
+  }).catch((caught) => caught);
+  assert.equal(batch.status, "rollback_failed");
+
+  failures.restore.delete("a");
+  calls.length = 0;
+  const retried = await undoChangeBatch({ userId: "u1", batchId: batch.id });
+
+  assert.deepEqual(calls, ["restore a"]);
+  assert.equal(retried.status, "rolled_back");
+  assert.ok(retried.undoneAt);
+});
+
+test("permission failures skip one event and undo retries only what failed", async () => {
+  failures.move.set("b", Object.assign(new Error("forbidden"), { code: 403 }));
+  const batch = await applyChangeBatch({
+    userId: "u1",
+    changes: [move("a"), move("b"), move("c")],
+  });
+  assert.equal(batch.status, "partial");
+
+  failures.restore.add("c");
+  const partial = await undoChangeBatch({ userId: "u1", batchId: batch.id });
+  assert.equal(partial.status, "partially_undone");
+  assert.equal(partial.undoneAt, null);
+
+  failures.restore.clear();
+  calls.length = 0;
+  const done = await undoChangeBatch({ userId: "u1", batchId: batch.id });
+  assert.deepEqual(calls, ["restore c"]);
+  assert.equal(done.status, "undone");
+
+  await assert.rejects(
+    undoChangeBatch({ userId: "u1", batchId: batch.id }),
+    (error) => error instanceof ChangeValidationError && error.status === 409
+  );
+});
+
+test("batches belong to the user who applied them", async () => {
+  const batch = await applyChangeBatch({ userId: "u1", changes: [move("a")] });
+  await assert.rejects(
+    undoChangeBatch({ userId: "u2", batchId: batch.id }),
+    (error) => error instanceof ChangeValidationError && error.status === 404
+  );
+});
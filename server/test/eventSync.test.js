@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const googleCalendar = require("../googleCalendar");
+const { createMemoryStore, createJsonDirectoryStore } = require("../jsonStore");
+
+// Each session's calendar, plus the changes its next incremental sync returns.
+const calendars = new Map();
+Object.assign(googleCalendar, {
+  getSessionUserId: async (sessionId) => `user-${sessionId}`,
+  listEventChanges: async ({ sessionId, syncToken }) => {
+    const calendar = calendars.get(sessionId);
+    if (syncToken) return { items: calendar.changes, nextSyncToken: "next", timeZone: "UTC" };
+    return { items: calendar.items, nextSyncToken: "first", timeZone: "UTC" };
+  },
+});
+const { syncCalendarEvents, setEventStore } = require("../eventSync");
+
+function item(id, start, end) {
+  return {
+    id,
+    status: "confirmed",
+    summary: id,
+    start: { dateTime: start },
+    end: { dateTime: end },
+  };
+}
+
+const range = { timeMin: "2026-10-19T00:00:00Z", timeMax: "2026-10-24T00:00:00Z" };
+
+test("each user's calendar is stored in its own file", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "events-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const store = createJsonDirectoryStore(dir);
+  setEventStore(store);
+  calendars.set("a", { items: [item("standup", "2026-10-20T09:00:00Z", "2026-10-20T09:30:00Z")] });
+  calendars.set("b", { items: [item("review", "2026-10-21T14:00:00Z", "2026-10-21T15:00:00Z")] });
+
+  const a = await syncCalendarEvents({ ...range, sessionId: "a" });
+  const b = await syncCalendarEvents({ ...range, sessionId: "b" });
+
+  assert.deepEqual(a.events.map((event) => event.id), ["standup"]);
+  assert.deepEqual(b.events.map((event) => event.id), ["review"]);
+  assert.equal((await fs.readdir(dir)).length, 2);
+  assert.deepEqual((await store.keys()).sort(), ["user-a:primary", "user-b:primary"]);
+});
+
+test("events moved outside the window leave the store", async () => {
+  const store = createMemoryStore();
+  setEventStore(store);
+  calendars.set("c", {
+    items: [
+      item("planning", "2026-10-20T10:00:00Z", "2026-10-20T11:00:00Z"),
+      item("retro", "2026-10-22T10:00:00Z", "2026-10-22T11:00:00Z"),
+    ],
+    changes: [
+      item("retro", "2026-11-20T10:00:00Z", "2026-11-20T11:00:00Z"),
+      item("offsite", "2026-12-01T10:00:00Z", "2026-12-01T11:00:00Z"),
+    ],
+  });
+
+  await syncCalendarEvents({ ...range, sessionId: "c" });
+  const { sync } = await syncCalendarEvents({ ...range, sessionId: "c" });
+
+  assert.equal(sync.mode, "incremental");
+  const saved = await store.get("user-c:primary");
+  assert.deepEqual(Object.keys(saved.items), ["planning"]);
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mapGoogleEvent } = require("../googleCalendar");
+
+function meeting({ organizerSelf = true, attendees = [] }) {
+  return {
+    id: "evt",
+    summary: "Roadmap",
+    start: { dateTime: "2026-10-20T09:00:00Z" },
+    end: { dateTime: "2026-10-20T10:00:00Z" },
+    organizer: { email: organizerSelf ? "me@acme.com" : "lead@acme.com", self: organizerSelf },
+    attendees,
+  };
+}
+
+test("only guests who accepted or said maybe count", () => {
+  const event = mapGoogleEvent(
+    meeting({
+      attendees: [
+        { email: "me@acme.com", self: true, organizer: true, responseStatus: "accepted" },
+        { email: "a@acme.com", responseStatus: "tentative" },
+        { email: "b@acme.com", responseStatus: "needsAction" },
+        { email: "c@partner.io", responseStatus: "declined" },
+        { email: "d@vendor.io", responseStatus: "needsAction" },
+      ],
+    })
+  );
+
+  assert.equal(event.attendeeCount, 2);
+  assert.deepEqual(event.externalDomains, ["vendor.io"]);
+  assert.equal(event.userRole, "decision_maker");
+});
+
+test("an event the user holds alone is not a decision", () => {
+  assert.equal(mapGoogleEvent(meeting({})).userRole, "contributor");
+
+  const everyoneDeclined = mapGoogleEvent(
+    meeting({
+      attendees: [
+        { email: "me@acme.com", self: true, organizer: true, responseStatus: "accepted" },
+        { email: "a@acme.com", responseStatus: "declined" },
+      ],
+    })
+  );
+  assert.equal(everyoneDeclined.userRole, "contributor");
+});
+
+test("optional invitations are for listening", () => {
+  const event = mapGoogleEvent(
+    meeting({
+      organizerSelf: false,
+      attendees: [
+        { email: "lead@acme.com", organizer: true, responseStatus: "accepted" },
+        { email: "me@acme.com", self: true, optional: true, responseStatus: "tentative" },
+      ],
+    })
+  );
+
+  assert.equal(event.isOrganizer, false);
+  assert.equal(event.userRole, "listener");
+});
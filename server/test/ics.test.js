@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseIcs, expandIcsEvents, buildIcsExport, IcsParseError } = require("../ics");
+
+function calendar(...lines) {
+  return ["BEGIN:VCALENDAR", "VERSION:2.0", ...lines, "END:VCALENDAR"].join("\r\n");
+}
+
+function expand(text, range = {}) {
+  return expandIcsEvents(parseIcs(text), {
+    timeMin: "2026-10-01T00:00:00Z",
+    timeMax: "2026-11-01T00:00:00Z",
+    timeZone: "UTC",
+    ...range,
+  });
+}
+
+test("weekly rules expand in the event's zone and skip EXDATEs", () => {
+  const events = expand(
+    calendar(
+      "BEGIN:VEVENT",
+      "UID:standup",
+      "SUMMARY:Standup",
+      "DTSTART;TZID=America/New_York:20261005T090000",
+      "DTEND;TZID=America/New_York:20261005T093000",
+      "RRULE:FREQ=WEEKLY;COUNT=4",
+      "EXDATE;TZID=America/New_York:20261012T090000",
+      "END:VEVENT"
+    )
+  );
+
+  assert.deepEqual(
+    events.map((event) => event.start),
+    ["2026-10-05T13:00:00.000Z", "2026-10-19T13:00:00.000Z", "2026-10-26T13:00:00.000Z"]
+  );
+  assert.ok(events.every((event) => event.seriesId === "standup"));
+});
+
+test("RDATE values use their own TZID", () => {
+  const events = expand(
+    calendar(
+      "BEGIN:VEVENT",
+      "UID:sync",
+      "SUMMARY:Sync",
+      "DTSTART;TZID=America/New_York:20261005T090000",
+      "DTEND;TZID=America/New_York:20261005T100000",
+      "RRULE:FREQ=WEEKLY;COUNT=1",
+      "RDATE;TZID=Europe/Berlin:20261008T090000",
+      "RDATE:20261009T150000Z",
+      "END:VEVENT"
+    )
+  );
+
+  assert.deepEqual(
+    events.map((event) => [event.start, event.end]),
+    [
+      ["2026-10-05T13:00:00.000Z", "2026-10-05T14:00:00.000Z"],
+      ["2026-10-08T07:00:00.000Z", "2026-10-08T08:00:00.000Z"],
+      ["2026-10-09T15:00:00.000Z", "2026-10-09T16:00:00.000Z"],
+    ]
+  );
+});
+
+test("declined attendees do not count toward the meeting size", () => {
+  const [event] = expand(
+    calendar(
+      "BEGIN:VEVENT",
+      "UID:review",
+      "SUMMARY:Review",
+      "DTSTART:20261014T150000Z",
+      "DTEND:20261014T160000Z",
+      "ATTENDEE;PARTSTAT=ACCEPTED:mailto:a@example.com",
+      "ATTENDEE;PARTSTAT=DECLINED:mailto:b@example.com",
+      "ATTENDEE;PARTSTAT=declined:mailto:c@example.com",
+      "ATTENDEE:mailto:d@example.com",
+      "END:VEVENT"
+    )
+  );
+
+  assert.equal(event.attendeeCount, 2);
+});
+
+test("text without a VCALENDAR is rejected", () => {
+  assert.throws(() => parseIcs("BEGIN:VEVENT\r\nEND:VEVENT"), IcsParseError);
+});
+
+test("exports skip recovery buffers for all-day and display-only events", () => {
+  const base = { totalLoad: 40, mentalLoad: 30, contextSwitchCost: 0, recoveryMinutes: 15 };
+  const text = buildIcsExport([
+    {
+      ...base,
+      id: "timed",
+      title: "Timed",
+      start: "2026-10-14T15:00:00Z",
+      end: "2026-10-14T16:00:00Z",
+    },
+    {
+      ...base,
+      id: "offsite",
+      title: "Offsite",
+      allDay: true,
+      start: "2026-10-15T09:00:00Z",
+      end: "2026-10-15T10:00:00Z",
+    },
+    {
+      ...base,
+      id: "shared",
+      title: "Shared",
+      countsTowardCapacity: false,
+      start: "2026-10-16T15:00:00Z",
+      end: "2026-10-16T16:00:00Z",
+    },
+  ]);
+
+  const recoveryUids = text.match(/^UID:.*-recovery@cognitive-calendar/gm) || [];
+  assert.deepEqual(recoveryUids, ["UID:timed-recovery@cognitive-calendar"]);
+});
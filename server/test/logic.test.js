@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setLlmProvider } = require("../llm");
+const {
+  classifyWithGemini,
+  computeEventLoads,
+  buildDaySummaries,
+  DAILY_CAPACITY,
+} = require("../logic");
+
+function meeting(id, start, end, classification = {}, extra = {}) {
+  return {
+    id,
+    title: id,
+    start,
+    end,
+    attendeeCount: 5,
+    classification: {
+      meeting_type: "decision",
+      role: "decision_maker",
+      emotional_intensity: "conflict",
+      topic_tags: [id],
+      ...classification,
+    },
+    ...extra,
+  };
+}
+
+// Back-to-back heavy meetings that drain the day well below the high-risk line.
+function heavyDay(day) {
+  return [9, 10, 11, 12, 13, 14, 15, 16].map((hour) =>
+    meeting(
+      `${day}-${hour}`,
+      `${day}T${String(hour).padStart(2, "0")}:00:00Z`,
+      `${day}T${String(hour).padStart(2, "0")}:55:00Z`
+    )
+  );
+}
+
+test("a drained day leaves recovery debt for the next day", () => {
+  const events = [
+    ...heavyDay("2026-10-19"),
+    meeting("next", "2026-10-20T10:00:00Z", "2026-10-20T10:30:00Z"),
+  ];
+  const scored = computeEventLoads(events, { timeZone: "UTC" });
+  const next = scored.find((event) => event.id === "next");
+  assert.equal(next.day, "2026-10-20");
+  assert.ok(next.recoveryDebt > 0);
+  assert.equal(next.capacityBefore, DAILY_CAPACITY - next.recoveryDebt);
+});
+
+test("recovery debt rolls forward through days without events", () => {
+  const events = [
+    ...heavyDay("2026-10-16"),
+    meeting("monday", "2026-10-19T10:00:00Z", "2026-10-19T10:30:00Z"),
+  ];
+  const scored = computeEventLoads(events, { timeZone: "UTC" });
+  assert.ok(scored.find((event) => event.id === "monday").recoveryDebt > 0);
+});
+
+test("seeded debt applies only when no earlier day is loaded", () => {
+  const events = [meeting("only", "2026-10-20T10:00:00Z", "2026-10-20T10:30:00Z")];
+  const scored = computeEventLoads(events, {
+    timeZone: "UTC",
+    recoveryDebt: { "2026-10-20": 12 },
+  });
+  assert.equal(scored[0].recoveryDebt, 12);
+  assert.equal(scored[0].capacityBefore, 88);
+});
+
+test("restorative time gives capacity back and is not a context switch", () => {
+  const events = [
+    meeting("before", "2026-10-20T09:00:00Z", "2026-10-20T10:00:00Z"),
+    meeting(
+      "lunch",
+      "2026-10-20T10:00:00Z",
+      "2026-10-20T11:00:00Z",
+      { meeting_type: "break", role: "listener", emotional_intensity: "routine" },
+      { attendeeCount: 1 }
+    ),
+  ];
+  const [before, lunch] = computeEventLoads(events, { timeZone: "UTC" });
+  assert.equal(lunch.restorative, true);
+  assert.equal(lunch.capacityCost, 0);
+  assert.ok(lunch.restoredCapacity > 0);
+  assert.ok(lunch.capacityRemaining > before.capacityRemaining);
+});
+
+test("display-only events are scored but leave the ledger alone", () => {
+  const events = [
+    meeting("counted", "2026-10-20T09:00:00Z", "2026-10-20T10:00:00Z"),
+    meeting(
+      "shown",
+      "2026-10-20T10:00:00Z",
+      "2026-10-20T11:00:00Z",
+      {},
+      { countsTowardCapacity: false }
+    ),
+  ];
+  const [counted, shown] = computeEventLoads(events, { timeZone: "UTC" });
+  assert.ok(shown.totalLoad > 0);
+  assert.equal(shown.capacityBefore, counted.capacityRemaining);
+  assert.equal(shown.capacityRemaining, counted.capacityRemaining);
+
+  const [summary] = buildDaySummaries([counted, shown]);
+  assert.equal(summary.eventCount, 1);
+  assert.equal(summary.displayOnlyCount, 1);
+});
+
+test("days follow the user's time zone", () => {
+  const events = [meeting("late", "2026-10-20T23:30:00Z", "2026-10-21T00:00:00Z")];
+  assert.equal(computeEventLoads(events, { timeZone: "UTC" })[0].day, "2026-10-20");
+  assert.equal(computeEventLoads(events, { timeZone: "Asia/Tokyo" })[0].day, "2026-10-21");
+});
+
+test("failed and rejected model calls fall back the same way", async (t) => {
+  const failing = (generate) => ({
+    name: "stub",
+    model: "stub",
+    label: "Stub",
+    isConfigured: () => true,
+    generate,
+  });
+  t.mock.method(console, "error", () => {});
+  t.mock.method(console, "warn", () => {});
+  t.after(() => setLlmProvider(null));
+  const event = { title: "Escalation sync", attendeeCount: 6 };
+
+  setLlmProvider(failing(async () => ({ ok: false, status: 503, statusText: "Unavailable" })));
+  const notOk = await classifyWithGemini(event);
+  setLlmProvider(
+    failing(async () => {
+      throw new Error("socket hang up");
+    })
+  );
+  const rejected = await classifyWithGemini(event);
+
+  assert.equal(notOk.meeting_type, "sync");
+  assert.deepEqual(notOk, rejected);
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeEventLoads } = require("../logic");
+const { suggestReschedules } = require("../optimizer");
+
+// Back-to-back heavy meetings that leave recovery debt for the following day.
+function heavyDay(day) {
+  return [9, 10, 11, 12, 13, 14, 15, 16].map((hour) => ({
+    id: `${day}-${hour}`,
+    title: `Escalation ${hour}`,
+    start: `${day}T${String(hour).padStart(2, "0")}:00:00Z`,
+    end: `${day}T${String(hour).padStart(2, "0")}:55:00Z`,
+    attendeeCount: 4,
+    classification: {
+      meeting_type: "decision",
+      role: "decision_maker",
+      emotional_intensity: "conflict",
+      topic_tags: [String(hour)],
+    },
+  }));
+}
+
+const options = { from: "2026-10-19", days: 3, timeZone: "UTC" };
+
+test("an empty day keeps the debt carried into it", () => {
+  const events = computeEventLoads(heavyDay("2026-10-19"), { timeZone: "UTC" });
+  const { proposals } = suggestReschedules(events, options);
+
+  const tuesday = proposals
+    .flatMap((proposal) => proposal.days)
+    .find((day) => day.date === "2026-10-20");
+  assert.ok(tuesday, "expected a proposal that moves a meeting to the empty day");
+  assert.ok(tuesday.before.recoveryDebt > 0);
+  assert.equal(tuesday.after.recoveryDebt, tuesday.before.recoveryDebt);
+});
+
+test("recovery blocks count as busy time", () => {
+  const events = computeEventLoads(heavyDay("2026-10-19"), { timeZone: "UTC" });
+  const busy = ["2026-10-20", "2026-10-21"].map((day) => ({
+    id: `recovery-${day}`,
+    recoveryBlock: true,
+    start: `${day}T09:00:00Z`,
+    end: `${day}T18:00:00Z`,
+  }));
+  const { proposals } = suggestReschedules(events, { ...options, busy });
+
+  const targets = proposals.flatMap((proposal) => proposal.changes.map((change) => change.to.day));
+  assert.ok(targets.length > 0);
+  assert.ok(targets.every((day) => day === "2026-10-19"));
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setLlmProvider } = require("../llm");
+const {
+  detectVoiceIntent,
+  parseVoiceCommand,
+  planVoiceCommand,
+  confirmVoiceAction,
+} = require("../voiceCommands");
+
+function stubProvider({ configured, text = "" }) {
+  const calls = [];
+  setLlmProvider({
+    name: "stub",
+    model: "stub",
+    label: "Stub",
+    isConfigured: () => configured,
+    generate: async (request) => {
+      calls.push(request);
+      return { ok: true, text };
+    },
+  });
+  return calls;
+}
+
+test.afterEach(() => setLlmProvider(null));
+
+test("questions that mention a change verb are not commands", () => {
+  for (const query of [
+    "What should I move tomorrow?",
+    "Is there anything I can drop from my plate?",
+    "shift my focus to planning",
+    "Why did you push me to cancel less?",
+  ]) {
+    assert.equal(detectVoiceIntent(query), null, query);
+  }
+});
+
+test("imperative commands are detected after a polite lead-in", () => {
+  assert.equal(detectVoiceIntent("Move my 3pm to tomorrow"), "move_event");
+  assert.equal(detectVoiceIntent("Can you push the design review to Friday?"), "move_event");
+  assert.equal(detectVoiceIntent("Shift my focus block to 2pm"), "move_event");
+  assert.equal(detectVoiceIntent("Please drop the partnership sync"), "cancel_event");
+  assert.equal(detectVoiceIntent("Book two hours of focus Thursday"), "protect_focus");
+  assert.equal(detectVoiceIntent("Add event on Friday from 1pm to 2pm for Lunch"), "create_event");
+  assert.equal(detectVoiceIntent("When is my lightest afternoon this week?"), "find_free_time");
+});
+
+test("a configured model that says none is trusted", async () => {
+  const calls = stubProvider({ configured: true, text: '{"intent":"none"}' });
+  const parsed = await parseVoiceCommand("Move on from this topic", {
+    intent: "move_event",
+    timeZone: "UTC",
+    referenceDay: "2026-10-19",
+  });
+
+  assert.equal(calls.length, 1);
+  assert.deepEqual(parsed, { intent: "none" });
+});
+
+test("rules parse commands when no model is configured", async () => {
+  const calls = stubProvider({ configured: false });
+  const parsed = await parseVoiceCommand("Can you move my 3pm to tomorrow at 4pm", {
+    intent: "move_event",
+    timeZone: "UTC",
+    referenceDay: "2026-10-19",
+  });
+
+  assert.equal(calls.length, 0);
+  assert.equal(parsed.intent, "move_event");
+  assert.equal(parsed.targetTime, "15:00");
+  assert.equal(parsed.day, "2026-10-20");
+  assert.equal(parsed.time, "16:00");
+});
+
+test("a card can only be confirmed from the conversation that produced it", async () => {
+  const context = {
+    source: "mock",
+    userId: "u1",
+    conversationId: "c1",
+    timeZone: "UTC",
+    referenceDay: "2026-10-19",
+    events: [
+      {
+        id: "voice-test-standup",
+        title: "Product Standup",
+        day: "2026-10-19",
+        start: "2026-10-19T09:00:00Z",
+        end: "2026-10-19T09:30:00Z",
+      },
+    ],
+  };
+  const { card } = planVoiceCommand(
+    { intent: "cancel_event", targetTitle: "standup", targetDay: "2026-10-19" },
+    context
+  );
+  assert.equal(card.status, "pending");
+
+  const stranger = await confirmVoiceAction({
+    userId: "u2",
+    conversationId: "c1",
+    actionId: card.id,
+    confirm: true,
+  });
+  assert.equal(stranger.card, null);
+
+  const owner = await confirmVoiceAction({
+    userId: "u1",
+    conversationId: "c1",
+    actionId: card.id,
+    confirm: false,
+  });
+  assert.equal(owner.card.status, "dismissed");
+});
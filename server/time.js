@@ -0,0 +1,119 @@
+const DEFAULT_TIME_ZONE = "UTC";
+
+function isValidTimeZone(value) {
+  if (!value) return false;
+  // Building the formatter validates the zone; keeping it makes repeated checks cheap.
+  try {
+    getZonedFormatter(value);
+    return true;
+  } catch (_error) {
+    return false;
+  }
+}
+
+function resolveTimeZone(value) {
+  const candidate = value || process.env.DEFAULT_TIME_ZONE || DEFAULT_TIME_ZONE;
+  if (isValidTimeZone(candidate)) {
+    return candidate;
+  }
+  console.warn(`Unknown time zone "${candidate}"; using ${DEFAULT_TIME_ZONE}.`);
+  return DEFAULT_TIME_ZONE;
+}
+
+function resolveDayStartHour(value) {
+  const raw = value ?? process.env.DAY_START_HOUR ?? 0;
+  const hour = Number(raw);
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    return 0;
+  }
+  return hour;
+}
+
+// Formatters are expensive to build and scoring calls this once per event.
+const formatters = new Map();
+
+function getZonedFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+function getZonedParts(date, timeZone) {
+  const formatter = getZonedFormatter(timeZone);
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    if (part.type !== "literal") {
+      parts[part.type] = Number(part.value);
+    }
+  }
+  return parts;
+}
+
+function getTimeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+}
+
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimeZoneOffset(new Date(wall), timeZone);
+  const utc = wall - offset;
+  // Re-check once: the guess may sit on the other side of a DST transition.
+  const corrected = getTimeZoneOffset(new Date(utc), timeZone);
+  return new Date(corrected === offset ? utc : wall - corrected);
+}
+
+// Days are counted in the zone the user is in at that moment; see getTimeZoneAt.
+function getDayKey(date, ledger) {
+  const shifted = new Date(date.getTime() - (ledger.dayStartHour || 0) * 3600000);
+  const { year, month, day } = getZonedParts(shifted, getTimeZoneAt(date, ledger));
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+// A travel plan is a list of stops, each `{ from: "YYYY-MM-DD", timeZone }` and sorted by day.
+// A stop applies from the start of its day, in its own zone, until the next stop begins. Before
+// the first stop the home `timeZone` applies.
+function getTimeZoneAt(date, { timeZone, dayStartHour = 0, travel = [] }) {
+  let zone = timeZone;
+  for (const stop of travel) {
+    const [year, month, day] = stop.from.split("-").map(Number);
+    const start = zonedTimeToUtc({ year, month, day, hour: dayStartHour }, stop.timeZone);
+    if (start > date) break;
+    zone = stop.timeZone;
+  }
+  return zone;
+}
+
+function getDayTimeZone(dayKey, { timeZone, travel = [] }) {
+  let zone = timeZone;
+  for (const stop of travel) {
+    if (stop.from > dayKey) break;
+    zone = stop.timeZone;
+  }
+  return zone;
+}
+
+module.exports = {
+  isValidTimeZone,
+  resolveTimeZone,
+  resolveDayStartHour,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  getDayKey,
+  getTimeZoneAt,
+  getDayTimeZone,
+};
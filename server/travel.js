@@ -0,0 +1,72 @@
+const path = require("path");
+const { createMemoryStore, createJsonFileStore } = require("./jsonStore");
+const { isValidTimeZone } = require("./time");
+
+const DEFAULT_TRAVEL_PATH = path.join(__dirname, "data", "travel.json");
+const MAX_STOPS = 50;
+
+let activeStore = null;
+
+function getTravelStore() {
+  if (!activeStore) {
+    activeStore =
+      process.env.TRAVEL_STORE === "memory"
+        ? createMemoryStore()
+        : createJsonFileStore(process.env.TRAVEL_PATH || DEFAULT_TRAVEL_PATH);
+  }
+  return activeStore;
+}
+
+function setTravelStore(store) {
+  activeStore = store;
+}
+
+async function getTravelPlan(userId) {
+  const saved = await getTravelStore().get(userId);
+  return saved?.stops || [];
+}
+
+// Replaces the whole plan. Going home again is a stop like any other.
+async function saveTravelPlan(userId, stops) {
+  if (!Array.isArray(stops)) {
+    throw new TravelPlanError("stops must be a list.");
+  }
+  if (stops.length > MAX_STOPS) {
+    throw new TravelPlanError(`A travel plan can have at most ${MAX_STOPS} stops.`);
+  }
+
+  const days = new Set();
+  const normalized = stops.map((stop) => {
+    if (!isDayKey(stop?.from)) {
+      throw new TravelPlanError("Each stop needs a from day as YYYY-MM-DD.");
+    }
+    if (!isValidTimeZone(stop.timeZone)) {
+      throw new TravelPlanError(`Unknown time zone "${stop.timeZone}".`);
+    }
+    if (days.has(stop.from)) {
+      throw new TravelPlanError(`More than one stop starts on ${stop.from}.`);
+    }
+    days.add(stop.from);
+    return { from: stop.from, timeZone: stop.timeZone };
+  });
+  normalized.sort((a, b) => a.from.localeCompare(b.from));
+
+  await getTravelStore().set(userId, { stops: normalized, updatedAt: new Date().toISOString() });
+  return normalized;
+}
+
+function isDayKey(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.valueOf()) && date.toISOString().slice(0, 10) === value;
+}
+
+class TravelPlanError extends Error {}
+
+module.exports = {
+  getTravelStore,
+  setTravelStore,
+  getTravelPlan,
+  saveTravelPlan,
+  TravelPlanError,
+};
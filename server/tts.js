@@ -0,0 +1,337 @@
+const crypto = require("crypto");
+const { runCommand } = require("./commands");
+
+const DEFAULT_ELEVENLABS_MODEL = "eleven_multilingual_v2";
+const VOICE_SETTINGS = {
+  stability: 0.5,
+  similarity_boost: 0.75,
+};
+const TONES = ["supportive", "practical", "reflective"];
+// Supportive answers are slower and practical ones a little brisker, matching the prompt guidance.
+const DEFAULT_RATES = { supportive: 0.9, practical: 1.05, reflective: 0.95 };
+const LOCAL_WORDS_PER_MINUTE = 175;
+const LOCAL_TIMEOUT_MS = 15000;
+const DEFAULT_CACHE_SIZE = 50;
+// Very short fragments sound clipped on their own, so they ride along with the next sentence.
+const MIN_SENTENCE_CHARS = 40;
+
+let activeProvider = null;
+const audioCache = new Map();
+
+function getTtsProvider() {
+  if (!activeProvider) {
+    activeProvider = createTtsProviderFromEnv();
+  }
+  return activeProvider;
+}
+
+function setTtsProvider(provider) {
+  activeProvider = provider;
+  audioCache.clear();
+}
+
+function createTtsProviderFromEnv(name = process.env.TTS_PROVIDER || "elevenlabs") {
+  if (name === "local") return createLocalSpeechProvider();
+  if (name === "none") return createNullSpeechProvider();
+  return createElevenLabsProvider();
+}
+
+function createElevenLabsProvider() {
+  const apiKey = process.env.ELEVENLABS_API_KEY;
+  const defaultVoiceId = process.env.ELEVENLABS_VOICE_ID;
+  const model = process.env.ELEVENLABS_MODEL || DEFAULT_ELEVENLABS_MODEL;
+
+  return {
+    name: "elevenlabs",
+    mimeType: "audio/mpeg",
+    unavailableReason: "Missing ElevenLabs credentials.",
+    isConfigured() {
+      return Boolean(apiKey && defaultVoiceId);
+    },
+    async synthesize(text, voice) {
+      const response = await requestSpeech(text, voice, "");
+      return Buffer.from(await response.arrayBuffer());
+    },
+    // The previous sentence keeps the intonation continuous across separately synthesized pieces.
+    async *stream(text, voice, { previousText } = {}) {
+      const response = await requestSpeech(text, voice, "/stream", previousText);
+      for await (const chunk of response.body) {
+        yield Buffer.from(chunk);
+      }
+    },
+  };
+
+  async function requestSpeech(text, voice, suffix, previousText) {
+    const voiceId = voice.id || defaultVoiceId;
+    const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}${suffix}`;
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "xi-api-key": apiKey,
+        "Content-Type": "application/json",
+        Accept: "audio/mpeg",
+      },
+      body: JSON.stringify({
+        text,
+        previous_text: previousText || undefined,
+        model_id: model,
+        // ElevenLabs accepts speeds between 0.7 and 1.2.
+        voice_settings: { ...VOICE_SETTINGS, speed: Math.min(1.2, Math.max(0.7, voice.rate)) },
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error("ElevenLabs error:", response.status, errorText);
+      throw new SpeechError(
+        `ElevenLabs request failed (${response.status}).`,
+        "error",
+        errorText
+      );
+    }
+    return response;
+  }
+}
+
+// Works with espeak-ng, espeak, or any wrapper script that takes the same flags and prints WAV.
+function createLocalSpeechProvider() {
+  const command = process.env.TTS_LOCAL_COMMAND || "espeak-ng";
+  const defaultVoice = process.env.TTS_LOCAL_VOICE || "en-us";
+
+  return {
+    name: "local",
+    mimeType: "audio/wav",
+    unavailableReason: `Install ${command} or set TTS_LOCAL_COMMAND.`,
+    isConfigured() {
+      return true;
+    },
+    synthesize(text, voice) {
+      const wordsPerMinute = Math.round(LOCAL_WORDS_PER_MINUTE * voice.rate);
+      const args = ["-v", voice.id || defaultVoice, "-s", String(wordsPerMinute), "--stdout"];
+      return runSynthesizer(command, args, text);
+    },
+  };
+}
+
+function createNullSpeechProvider() {
+  return {
+    name: "none",
+    mimeType: null,
+    unavailableReason: "Speech output is turned off.",
+    isConfigured() {
+      return false;
+    },
+    async synthesize() {
+      throw new SpeechError("Speech output is turned off.", "skipped");
+    },
+  };
+}
+
+// Text goes through stdin so it is never read as a flag.
+async function runSynthesizer(command, args, input) {
+  let audio;
+  try {
+    audio = await runCommand(command, args, { input, timeoutMs: LOCAL_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new SpeechError(`Install ${command} or set TTS_LOCAL_COMMAND.`, "skipped");
+    }
+    console.error(`${command} failed:`, error.message, error.stderr || "");
+    throw new SpeechError(`${command} failed.`, "error", error.stderr);
+  }
+  if (!audio.length) {
+    throw new SpeechError(`${command} produced no audio.`, "error");
+  }
+  return audio;
+}
+
+// Each tone can have its own voice and pace, e.g. TTS_VOICE_SUPPORTIVE and TTS_RATE_SUPPORTIVE.
+function resolveVoice(tone) {
+  const key = TONES.includes(tone) ? tone : "reflective";
+  const rate = Number(process.env[`TTS_RATE_${key.toUpperCase()}`]);
+  return {
+    tone: key,
+    id: process.env[`TTS_VOICE_${key.toUpperCase()}`] || null,
+    rate: Number.isFinite(rate) && rate > 0 ? rate : DEFAULT_RATES[key],
+  };
+}
+
+// `cache` is for rule-based answers, which repeat word for word; model answers rarely do.
+async function synthesizeVoice(text, { tone, cache = false } = {}) {
+  const provider = getTtsProvider();
+  if (!provider.isConfigured()) {
+    return { status: "skipped", reason: provider.unavailableReason };
+  }
+
+  const voice = resolveVoice(tone);
+  const key = cache ? getCacheKey(provider, voice, text) : null;
+  try {
+    let audio = key && readCache(key);
+    if (!audio) {
+      audio = await provider.synthesize(text, voice);
+      if (key) writeCache(key, audio);
+    }
+    return { status: "ok", audioBase64: audio.toString("base64"), mimeType: provider.mimeType };
+  } catch (error) {
+    if (error instanceof SpeechError) {
+      return { status: error.status, reason: error.message, details: error.details };
+    }
+    console.error("Speech synthesis failed", error);
+    return { status: "error", reason: "Speech synthesis failed." };
+  }
+}
+
+// Yields audio chunks as the provider produces them. Providers that cannot stream, and cached
+// sentences, yield one complete clip.
+async function* streamSpeech(text, { previousText, tone, cache = false } = {}) {
+  const provider = getTtsProvider();
+  if (!provider.isConfigured()) {
+    throw new SpeechError(provider.unavailableReason, "skipped");
+  }
+
+  const voice = resolveVoice(tone);
+  const key = cache ? getCacheKey(provider, voice, text) : null;
+  const cached = key && readCache(key);
+  if (cached) {
+    yield cached;
+    return;
+  }
+
+  if (!provider.stream) {
+    const audio = await provider.synthesize(text, voice);
+    if (key) writeCache(key, audio);
+    yield audio;
+    return;
+  }
+
+  const chunks = [];
+  for await (const chunk of provider.stream(text, voice, { previousText })) {
+    chunks.push(chunk);
+    yield chunk;
+  }
+  if (key) writeCache(key, Buffer.concat(chunks));
+}
+
+function getCacheKey(provider, voice, text) {
+  return crypto
+    .createHash("sha256")
+    .update(`${provider.name}\n${voice.id || ""}\n${voice.rate}\n${text}`)
+    .digest("hex");
+}
+
+function getCacheSize() {
+  const size = Number(process.env.TTS_CACHE_SIZE);
+  return Number.isFinite(size) && size >= 0 ? size : DEFAULT_CACHE_SIZE;
+}
+
+// Least recently used entries are dropped first.
+function readCache(key) {
+  const audio = audioCache.get(key);
+  if (!audio) return null;
+  audioCache.delete(key);
+  audioCache.set(key, audio);
+  return audio;
+}
+
+function writeCache(key, audio) {
+  audioCache.set(key, audio);
+  while (audioCache.size > getCacheSize()) {
+    audioCache.delete(audioCache.keys().next().value);
+  }
+}
+
+// Collects streamed text and hands back whole sentences as soon as they are complete.
+function createSentenceChunker({ minChars = MIN_SENTENCE_CHARS } = {}) {
+  let buffer = "";
+
+  return {
+    push(delta) {
+      buffer += delta;
+      const sentences = [];
+      const boundary = /[.!?…]+["')\]]*\s+/g;
+      let start = 0;
+      let match;
+      while ((match = boundary.exec(buffer))) {
+        const end = match.index + match[0].length;
+        if (end - start < minChars) continue;
+        sentences.push(buffer.slice(start, end).trim());
+        start = end;
+      }
+      buffer = buffer.slice(start);
+      return sentences;
+    },
+    flush() {
+      const rest = buffer.trim();
+      buffer = "";
+      return rest ? [rest] : [];
+    },
+  };
+}
+
+// Speaks streamed text sentence by sentence, in order, while the rest is still arriving.
+// `options` carries the tone and whether the text may be cached.
+function createSpeechQueue({ onChunk, onError, isClosed }) {
+  const chunker = createSentenceChunker();
+  let queue = Promise.resolve();
+  let previousText = "";
+  let lastOptions = {};
+  let sentence = 0;
+  let failed = false;
+  let generation = 0;
+
+  const speak = (text, options) => {
+    const queuedIn = generation;
+    queue = queue.then(async () => {
+      if (failed || isClosed() || queuedIn !== generation) return;
+      try {
+        for await (const chunk of streamSpeech(text, { ...options, previousText })) {
+          if (isClosed()) return;
+          onChunk(chunk, sentence);
+        }
+        previousText = text;
+        sentence += 1;
+      } catch (error) {
+        // One failure silences the rest; the text is still delivered.
+        failed = true;
+        onError(error);
+      }
+    });
+  };
+
+  return {
+    push(delta, options = {}) {
+      lastOptions = options;
+      chunker.push(delta).forEach((text) => speak(text, options));
+    },
+    finish() {
+      chunker.flush().forEach((text) => speak(text, lastOptions));
+      return queue;
+    },
+    // Drops whatever has not been spoken yet, for a reply that is replaced part way through.
+    reset() {
+      chunker.flush();
+      generation += 1;
+    },
+  };
+}
+
+class SpeechError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  getTtsProvider,
+  setTtsProvider,
+  createElevenLabsProvider,
+  createLocalSpeechProvider,
+  createNullSpeechProvider,
+  synthesizeVoice,
+  streamSpeech,
+  createSentenceChunker,
+  createSpeechQueue,
+  SpeechError,
+};
@@ -0,0 +1,759 @@
+const crypto = require("crypto");
+const { mockEvents } = require("./mockEvents");
+const { hasTokens } = require("./googleCalendar");
+const { applyChangeBatch } = require("./changes");
+const { findFreeSlots } = require("./optimizer");
+const { getLlmProvider } = require("./llm");
+const { zonedTimeToUtc, getZonedParts } = require("./time");
+
+const INTENTS = ["create_event", "move_event", "cancel_event", "find_free_time", "protect_focus"];
+// Unconfirmed actions expire so a stale card cannot change the calendar later.
+const PENDING_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_FOCUS_MINUTES = 120;
+const WORK_HOURS = { workStartHour: 9, workEndHour: 18 };
+const PARTS_OF_DAY = {
+  morning: [9, 12],
+  afternoon: [12, 18],
+  evening: [17, 21],
+};
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+const TITLE_STOPWORDS = new Set([
+  "move",
+  "cancel",
+  "delete",
+  "remove",
+  "reschedule",
+  "push",
+  "shift",
+  "drop",
+  "the",
+  "my",
+  "meeting",
+  "call",
+  "with",
+  "please",
+  "today",
+  "tomorrow",
+  "and",
+  "for",
+  "that",
+  "this",
+  "it",
+  "one",
+  "instead",
+  "same",
+]);
+const COMMAND_LEAD =
+  /^(please |(can|could|would|will) you (please )?|let's |i (want|need|'d like) to )/;
+const PREVIOUS_REFERENCE = /\b(it|that|this|that one|this one|the same one)\b/;
+
+const pendingActions = new Map();
+
+// Short replies to a pending card: "yes, do it", "go ahead", "no, leave it".
+function detectConfirmation(query) {
+  const text = query.toLowerCase().trim();
+  if (/^(yes|yeah|yep|sure|ok|okay|confirm|do it|go ahead|please do)\b/.test(text)) {
+    return "confirm";
+  }
+  if (/^(no|nope|never mind|nevermind|don't|do not|forget it|leave it|cancel that)\b/.test(text)) {
+    return "dismiss";
+  }
+  return null;
+}
+
+// Commands are imperatives, so the verb has to lead ("move my 3pm", "please cancel the sync",
+// "can you book focus time"). Questions that only mention a verb, like "what should I move
+// tomorrow?", are left to the advice path.
+function detectVoiceIntent(query) {
+  const text = getCommandText(query);
+  if (
+    /^(block|protect|hold|reserve|book)\b/.test(text) &&
+    /\b(focus|deep work|heads?[- ]down)\b/.test(text)
+  ) {
+    return "protect_focus";
+  }
+  if (/^(cancel|delete|remove|drop)\b/.test(text)) return "cancel_event";
+  // "Shift my focus to planning" is about attention, not a focus block on the calendar.
+  if (
+    /^(move|reschedule|push|shift)\b/.test(text) &&
+    !/^\w+ (my )?(focus|attention|priorities)\b(?! (block|time|session))/.test(text)
+  ) {
+    return "move_event";
+  }
+  if (
+    /\b(free time|free slot|open slot|lightest|quietest|when am i free|when can i)\b/.test(
+      query.toLowerCase()
+    )
+  ) {
+    return "find_free_time";
+  }
+  if (/^(add|create) (an )?(event|meeting)\b/.test(text) || /^(schedule|book)\b/.test(text)) {
+    return "create_event";
+  }
+  return null;
+}
+
+// Drops the polite lead-in so the command verb comes first.
+function getCommandText(query) {
+  return query
+    .toLowerCase()
+    .trim()
+    .replace(/^(hey|ok|okay)\b[,\s]*/, "")
+    .replace(COMMAND_LEAD, "");
+}
+
+// The model handles free-form phrasing and has the last word when it is configured, including
+// "not a calendar command". The rules only cover the common shapes when no model is set up.
+async function parseVoiceCommand(query, { intent, timeZone, referenceDay, recentEvents = [] }) {
+  const provider = getLlmProvider();
+  if (provider.isConfigured()) {
+    const parsed = await parseVoiceCommandWithModel(query, {
+      timeZone,
+      referenceDay,
+      recentEvents,
+    });
+    return parsed?.intent === "none" || INTENTS.includes(parsed?.intent) ? parsed : null;
+  }
+  if (intent === "create_event") return null;
+  return parseVoiceCommandWithRules(query, { intent, referenceDay });
+}
+
+async function parseVoiceCommandWithModel(query, { timeZone, referenceDay, recentEvents }) {
+  const recentLines = recentEvents.map((event) => `- ${event.title} | start=${event.start}`);
+  const prompt = `You turn calendar voice commands into structured JSON.
+Return JSON only with keys: intent, title, description, start, end, timeZone, targetTitle, targetDay, targetTime, refersToPrevious, day, time, rangeStart, rangeEnd, partOfDay, durationMinutes.
+- intent must be one of ${INTENTS.map((name) => `"${name}"`).join(", ")} or "none".
+- create_event: title, description, start, end (ISO-8601 with offsets) and timeZone.
+- move_event and cancel_event: identify the existing event with targetTitle (words from its title), targetDay (YYYY-MM-DD) and targetTime (HH:MM, 24h). Leave unknown parts null.
+- Set refersToPrevious to true when the user points back at an event from the conversation ("that one", "it"); use the recently discussed events to fill targetTitle.
+- move_event: day (YYYY-MM-DD) and time (HH:MM) are the new date and start time; leave either null to keep the current one.
+- find_free_time: rangeStart and rangeEnd (YYYY-MM-DD), partOfDay ("morning", "afternoon", "evening" or null) and durationMinutes if a length is given.
+- protect_focus: day (YYYY-MM-DD), durationMinutes, optional time (HH:MM) and partOfDay.
+- Resolve relative dates ("today", "tomorrow", "Thursday", "this week") against the reference date.
+- If the request is not a calendar command, return {"intent":"none"}.
+
+Reference date: ${referenceDay}
+Time zone: ${timeZone}
+Recently discussed events (most recent first):
+${recentLines.join("\n") || "none"}
+User request: ${query}`;
+
+  const response = await getLlmProvider().generate({
+    purpose: "voice-command",
+    prompt,
+    fixtureKey: `${referenceDay}\n${query}`,
+    temperature: 0.1,
+    maxOutputTokens: 256,
+  });
+
+  if (!response.ok) {
+    console.error("Voice command parse failed", {
+      status: response.status,
+      statusText: response.statusText,
+      body: response.error,
+    });
+    return null;
+  }
+
+  return parseJsonResponse(response.text);
+}
+
+function parseVoiceCommandWithRules(query, { intent, referenceDay }) {
+  const text = getCommandText(query);
+  const parsed = { intent, refersToPrevious: PREVIOUS_REFERENCE.test(text) };
+
+  if (intent === "move_event") {
+    // "move my 3pm to tomorrow at 4": the event comes before the last " to ".
+    const split = text.lastIndexOf(" to ");
+    const source = split === -1 ? text : text.slice(0, split);
+    const destination = split === -1 ? "" : text.slice(split + 4);
+    Object.assign(parsed, parseTarget(source, referenceDay), {
+      day: parseDayPhrase(destination, referenceDay),
+      time: parseClock(destination),
+    });
+  } else if (intent === "cancel_event") {
+    Object.assign(parsed, parseTarget(text, referenceDay));
+  } else if (intent === "find_free_time") {
+    Object.assign(parsed, parseRange(text, referenceDay), {
+      partOfDay: parsePartOfDay(text),
+      durationMinutes: parseDuration(text),
+    });
+  } else if (intent === "protect_focus") {
+    Object.assign(parsed, {
+      day: parseDayPhrase(text, referenceDay) || referenceDay,
+      time: parseClock(text),
+      partOfDay: parsePartOfDay(text),
+      durationMinutes: parseDuration(text),
+    });
+  }
+
+  return parsed;
+}
+
+function parseTarget(text, referenceDay) {
+  const words = text
+    .replace(/[^a-z0-9:\s]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !TITLE_STOPWORDS.has(word) && !/^\d/.test(word));
+  return {
+    targetTitle: words.length ? words.join(" ") : null,
+    targetDay: parseDayPhrase(text, referenceDay),
+    targetTime: parseClock(text),
+  };
+}
+
+function parseDayPhrase(text, referenceDay) {
+  if (/\btoday\b/.test(text)) return referenceDay;
+  if (/\btomorrow\b/.test(text)) return addDays(referenceDay, 1);
+  const match = text.match(new RegExp(`\\b(next\\s+)?(${WEEKDAYS.join("|")})\\b`));
+  if (!match) return null;
+  let offset = (WEEKDAYS.indexOf(match[2]) - getWeekday(referenceDay) + 7) % 7;
+  if (match[1] && offset === 0) offset = 7;
+  return addDays(referenceDay, offset);
+}
+
+// "3pm", "3:30 pm", "15:00" and "noon". A bare "at 3" is ambiguous, so it is ignored.
+function parseClock(text) {
+  if (/\bnoon\b/.test(text)) return "12:00";
+  const meridiem = text.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/);
+  if (meridiem) {
+    let hour = Number(meridiem[1]) % 12;
+    if (meridiem[3] === "pm") hour += 12;
+    return formatClock(hour, Number(meridiem[2] || 0));
+  }
+  const clock = text.match(/\b(\d{1,2}):(\d{2})\b/);
+  if (clock && Number(clock[1]) < 24 && Number(clock[2]) < 60) {
+    return formatClock(Number(clock[1]), Number(clock[2]));
+  }
+  return null;
+}
+
+function parseDuration(text) {
+  if (/\bhalf an? hour\b/.test(text)) return 30;
+  const match = text.match(
+    /\b(\d+(?:\.\d+)?|an?|one|two|three|four|five|six)\s*(hours?|hrs?|minutes?|mins?)\b/
+  );
+  if (!match) return null;
+  const amount = NUMBER_WORDS[match[1]] ?? Number(match[1]);
+  return Math.round(match[2].startsWith("h") ? amount * 60 : amount);
+}
+
+function parsePartOfDay(text) {
+  return Object.keys(PARTS_OF_DAY).find((part) => text.includes(part)) || null;
+}
+
+function parseRange(text, referenceDay) {
+  const day = parseDayPhrase(text, referenceDay);
+  if (day) return { rangeStart: day, rangeEnd: day };
+  const weekday = getWeekday(referenceDay);
+  if (/\bnext week\b/.test(text)) {
+    const monday = addDays(referenceDay, ((8 - weekday) % 7) || 7);
+    return { rangeStart: monday, rangeEnd: addDays(monday, 4) };
+  }
+  // "this week" and the default both run to the end of the working week.
+  const untilFriday = weekday === 6 ? 6 : (5 - weekday + 7) % 7;
+  return { rangeStart: referenceDay, rangeEnd: addDays(referenceDay, untilFriday) };
+}
+
+function planVoiceCommand(parsed, context) {
+  if (parsed.intent === "move_event") return planMove(parsed, context);
+  if (parsed.intent === "cancel_event") return planCancel(parsed, context);
+  if (parsed.intent === "find_free_time") return planFreeTime(parsed, context);
+  if (parsed.intent === "protect_focus") return planFocus(parsed, context);
+  return null;
+}
+
+function planMove(parsed, context) {
+  const { event, text } = resolveTarget(parsed, context);
+  if (!event) return { text };
+
+  const clock = getClock(event.start, context.timeZone);
+  const day = isDayKey(parsed.day) ? parsed.day : event.day;
+  const time = isClock(parsed.time) ? parsed.time : clock;
+  if (day === event.day && time === clock) {
+    return { text: `Where should "${event.title}" go? Try "move it to tomorrow at 4pm".` };
+  }
+
+  const start = toInstant(day, time, context.timeZone);
+  const end = new Date(start.getTime() + (new Date(event.end) - new Date(event.start)));
+  const conflicts = findOverlaps(context.events, start, end, event.id);
+  const detail = conflicts.length
+    ? `Overlaps ${conflicts.map((item) => `"${item.title}"`).join(", ")}.`
+    : "The new time is free.";
+
+  return buildCard(context, {
+    intent: "move_event",
+    title: `Move "${event.title}"`,
+    detail: `${formatRange(event.start, event.end, context.timeZone)} → ${formatRange(
+      start,
+      end,
+      context.timeZone
+    )}. ${detail}`,
+    outcome: `Moved "${event.title}" to ${formatRange(start, end, context.timeZone)}.`,
+    changes: [
+      {
+        type: "move",
+        eventId: event.id,
+        calendarId: event.calendarId,
+        title: event.title,
+        start: start.toISOString(),
+        end: end.toISOString(),
+        from: { start: event.start, end: event.end },
+      },
+    ],
+  });
+}
+
+function planCancel(parsed, context) {
+  const { event, text } = resolveTarget(parsed, context);
+  if (!event) return { text };
+
+  const attendees = event.attendeeCount > 1 ? ` Attendees will be notified.` : "";
+  return buildCard(context, {
+    intent: "cancel_event",
+    title: `Cancel "${event.title}"`,
+    detail: `${formatRange(event.start, event.end, context.timeZone)}.${attendees}`,
+    outcome: `Cancelled "${event.title}".`,
+    changes: [
+      {
+        type: "delete",
+        eventId: event.id,
+        calendarId: event.calendarId,
+        title: event.title,
+        from: { start: event.start, end: event.end },
+      },
+    ],
+  });
+}
+
+function planFreeTime(parsed, context) {
+  const rangeStart = isDayKey(parsed.rangeStart) ? parsed.rangeStart : context.referenceDay;
+  const rangeEnd =
+    isDayKey(parsed.rangeEnd) && parsed.rangeEnd >= rangeStart ? parsed.rangeEnd : rangeStart;
+  const [fromHour, toHour] = PARTS_OF_DAY[parsed.partOfDay] || [
+    WORK_HOURS.workStartHour,
+    WORK_HOURS.workEndHour,
+  ];
+  const minimum = Number(parsed.durationMinutes) || 0;
+
+  const options = [];
+  for (let day = rangeStart; day <= rangeEnd; day = addDays(day, 1)) {
+    const weekday = getWeekday(day);
+    if (weekday === 0 || weekday === 6) continue;
+
+    const windowStart = toInstant(day, formatClock(fromHour, 0), context.timeZone).getTime();
+    const windowEnd = toInstant(day, formatClock(toHour, 0), context.timeZone).getTime();
+    const notBefore = context.notBefore ? context.notBefore.getTime() : -Infinity;
+    if (windowEnd <= notBefore) continue;
+
+    const overlapping = findOverlaps(context.events, new Date(windowStart), new Date(windowEnd));
+    const load = overlapping.reduce((sum, event) => sum + event.totalLoad, 0);
+    const gap = findLongestGap(overlapping, Math.max(windowStart, notBefore), windowEnd);
+    if (gap.minutes < minimum) continue;
+
+    options.push({
+      day,
+      start: new Date(gap.start).toISOString(),
+      end: new Date(gap.end).toISOString(),
+      load: Number(load.toFixed(2)),
+      meetings: overlapping.length,
+      freeMinutes: gap.minutes,
+    });
+  }
+
+  options.sort((a, b) => a.load - b.load || b.freeMinutes - a.freeMinutes);
+  const label = parsed.partOfDay || "day";
+  if (!options.length) {
+    return { text: `I couldn't find a free ${label} between ${rangeStart} and ${rangeEnd}.` };
+  }
+
+  const best = options[0];
+  return {
+    text: `Your lightest ${label} is ${formatDay(best.day, context.timeZone)}: ${
+      best.meetings
+    } meeting${best.meetings === 1 ? "" : "s"}, load ${best.load}, and ${formatMinutes(
+      best.freeMinutes
+    )} free from ${formatTime(best.start, context.timeZone)}.`,
+    card: {
+      id: null,
+      intent: "find_free_time",
+      status: "info",
+      requiresConfirmation: false,
+      title: `Lightest ${label}s`,
+      detail: `${rangeStart} to ${rangeEnd}, ranked by scheduled load.`,
+      changes: [],
+      options: options.slice(0, 3),
+    },
+  };
+}
+
+function planFocus(parsed, context) {
+  const day = isDayKey(parsed.day) ? parsed.day : context.referenceDay;
+  const requested = Number(parsed.durationMinutes) || DEFAULT_FOCUS_MINUTES;
+  const minutes = Math.max(15, Math.min(480, requested));
+  const [fromHour, toHour] = PARTS_OF_DAY[parsed.partOfDay] || [0, 24];
+
+  let start = null;
+  if (isClock(parsed.time)) {
+    const requested = toInstant(day, parsed.time, context.timeZone);
+    const end = new Date(requested.getTime() + minutes * 60000);
+    if (!findOverlaps(context.events, requested, end).length) start = requested;
+  } else {
+    const dayEvents = context.events.filter((event) => event.day === day && !event.allDay);
+    const slots = findFreeSlots(day, minutes, dayEvents, {
+      ...WORK_HOURS,
+      timeZone: context.timeZone,
+      notBefore: context.notBefore,
+    }).filter((slot) => {
+      const hour = Number(getClock(slot, context.timeZone).slice(0, 2));
+      return hour >= fromHour && hour < toHour;
+    });
+    // Prefer the slot with the widest buffer around it, then the earliest one.
+    let bestBuffer = -1;
+    for (const slot of slots) {
+      const buffer = getBuffer(dayEvents, slot, new Date(slot.getTime() + minutes * 60000));
+      if (buffer > bestBuffer) {
+        bestBuffer = buffer;
+        start = slot;
+      }
+    }
+  }
+
+  if (!start) {
+    return {
+      text: `There's no free ${formatMinutes(minutes)} on ${formatDay(
+        day,
+        context.timeZone
+      )}. Try another day or a shorter block.`,
+    };
+  }
+
+  const end = new Date(start.getTime() + minutes * 60000);
+  return buildCard(context, {
+    intent: "protect_focus",
+    title: `Block ${formatMinutes(minutes)} of focus`,
+    detail: `${formatRange(start, end, context.timeZone)}.`,
+    outcome: `Blocked focus time on ${formatRange(start, end, context.timeZone)}.`,
+    changes: [
+      {
+        type: "insert_focus",
+        title: "Focus time",
+        start: start.toISOString(),
+        end: end.toISOString(),
+      },
+    ],
+  });
+}
+
+// Calendar-changing cards wait for a confirmation; read-only sources cannot take them.
+function buildCard(context, { intent, title, detail, outcome, changes }) {
+  if (context.source === "ics") {
+    return { text: `${title} needs a writable calendar. The iCalendar feed is read-only.` };
+  }
+
+  const id = crypto.randomUUID();
+  const card = {
+    id,
+    intent,
+    status: "pending",
+    requiresConfirmation: true,
+    title,
+    detail,
+    changes,
+  };
+  sweepPendingActions();
+  pendingActions.set(id, {
+    userId: context.userId,
+    conversationId: context.conversationId,
+    source: context.source,
+    calendarId: context.calendarId,
+    card,
+    outcome,
+    expiresAt: Date.now() + PENDING_TTL_MS,
+  });
+  return { text: `${title}? ${detail} Confirm to go ahead.`, card };
+}
+
+function resolveTarget(parsed, context) {
+  const previous = (context.discussedEvents || [])
+    .map((item) => context.events.find((event) => event.id === item.id))
+    .find(Boolean);
+  // "Move that one" points at the last event we talked about, unless a title names another.
+  if (parsed.refersToPrevious && previous && !parsed.targetTime && !parsed.targetDay) {
+    const named = rankByTitle(context.events, parsed.targetTitle || "");
+    if (!named.length || named[0].id === previous.id) return { event: previous };
+  }
+
+  const candidates = context.events.filter((event) => !event.allDay);
+  let matches = candidates;
+
+  if (isDayKey(parsed.targetDay)) {
+    matches = matches.filter((event) => event.day === parsed.targetDay);
+  }
+  if (isClock(parsed.targetTime)) {
+    matches = matches.filter(
+      (event) => getClock(event.start, context.timeZone) === parsed.targetTime
+    );
+  }
+  if (parsed.targetTitle) {
+    const ranked = rankByTitle(matches, parsed.targetTitle);
+    // A time alone identifies the event; extra words only narrow it down when they match.
+    if (ranked.length || !isClock(parsed.targetTime)) matches = ranked;
+  }
+  if (!isDayKey(parsed.targetDay) && matches.length > 1) {
+    const upcoming = matches.filter((event) => event.day >= context.referenceDay);
+    if (upcoming.length) matches = upcoming;
+  }
+
+  if (!matches.length || matches === candidates) {
+    return {
+      event: null,
+      text: "I couldn't tell which event you mean. Try including its title or start time.",
+    };
+  }
+  return { event: matches[0] };
+}
+
+function rankByTitle(events, phrase) {
+  const words = tokenize(phrase);
+  if (!words.length) return [];
+  return events
+    .map((event) => {
+      const titleWords = tokenize(event.title);
+      const hits = titleWords.filter((word) => words.includes(word)).length;
+      return { event, score: titleWords.length ? hits / titleWords.length : 0, hits };
+    })
+    .filter((entry) => entry.hits > 0 && entry.score >= 0.5)
+    .sort((a, b) => b.score - a.score)
+    .map((entry) => entry.event);
+}
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !TITLE_STOPWORDS.has(word));
+}
+
+function discardVoiceAction(owner, id) {
+  takePendingAction(owner, id);
+}
+
+// Signed-out callers all share the "local" user, so a card also belongs to the conversation
+// that produced it. Anyone else asking for it is told it expired, and it stays put.
+function takePendingAction({ userId, conversationId }, id) {
+  const pending = pendingActions.get(id);
+  if (!pending || pending.userId !== userId || pending.conversationId !== conversationId) {
+    return null;
+  }
+  pendingActions.delete(id);
+  return pending.expiresAt < Date.now() ? null : pending;
+}
+
+function sweepPendingActions() {
+  const now = Date.now();
+  for (const [key, value] of pendingActions) {
+    if (value.expiresAt < now) pendingActions.delete(key);
+  }
+}
+
+async function confirmVoiceAction({ userId, conversationId, sessionId, actionId, confirm }) {
+  const pending = takePendingAction({ userId, conversationId }, actionId);
+  if (!pending) {
+    return {
+      text: "That action expired or was already handled. Ask again to get a fresh card.",
+      card: null,
+    };
+  }
+
+  const { card } = pending;
+  if (!confirm) {
+    return {
+      text: "Okay, I left your calendar as it was.",
+      card: { ...card, status: "dismissed" },
+    };
+  }
+
+  if (pending.source === "google") {
+    if (!(await hasTokens(sessionId))) {
+      return {
+        text: "You're not connected to Google Calendar yet. Please sign in first.",
+        card: { ...card, status: "failed" },
+      };
+    }
+    const batch = await applyChangeBatch({
+      userId,
+      sessionId,
+      calendarId: pending.calendarId || "primary",
+      changes: card.changes.map(({ type, eventId, calendarId, title, start, end }) => ({
+        type,
+        eventId,
+        calendarId,
+        title,
+        start,
+        end,
+      })),
+      label: `Voice: ${card.title}`,
+    });
+    const done = batch.status === "applied";
+    const errors = batch.operations.map((operation) => operation.error).filter(Boolean);
+    return {
+      text: done
+        ? `${pending.outcome} You can undo it from Recent changes.`
+        : `I couldn't finish that: ${errors.join(" ")}`,
+      card: { ...card, status: done ? "done" : "failed", batchId: batch.id },
+    };
+  }
+
+  applyToMockEvents(card.changes);
+  return { text: pending.outcome, card: { ...card, status: "done" } };
+}
+
+function applyToMockEvents(changes) {
+  for (const change of changes) {
+    const index = mockEvents.findIndex((event) => event.id === change.eventId);
+    if (change.type === "move" && index !== -1) {
+      mockEvents[index] = { ...mockEvents[index], start: change.start, end: change.end };
+    } else if (change.type === "delete" && index !== -1) {
+      mockEvents.splice(index, 1);
+    } else if (change.type === "insert_focus") {
+      mockEvents.push({
+        id: `evt-${Date.now()}`,
+        title: change.title,
+        description: "Protected focus time.",
+        start: change.start,
+        end: change.end,
+        attendeeCount: 1,
+        userRole: "contributor",
+        meetingType: "status",
+        emotionalIntensity: "routine",
+        topicTags: ["focus"],
+      });
+    }
+  }
+}
+
+function findOverlaps(events, start, end, ignoreId) {
+  return events.filter(
+    (event) =>
+      !event.allDay &&
+      event.id !== ignoreId &&
+      new Date(event.start) < end &&
+      new Date(event.end) > start
+  );
+}
+
+function findLongestGap(events, windowStart, windowEnd) {
+  let best = { start: windowStart, end: windowStart, minutes: 0 };
+  let cursor = windowStart;
+  const sorted = [...events].sort((a, b) => new Date(a.start) - new Date(b.start));
+  for (const boundary of [...sorted, null]) {
+    const gapEnd = boundary ? Math.min(windowEnd, new Date(boundary.start).getTime()) : windowEnd;
+    const minutes = Math.floor((gapEnd - cursor) / 60000);
+    if (minutes > best.minutes) best = { start: cursor, end: gapEnd, minutes };
+    if (boundary) cursor = Math.max(cursor, new Date(boundary.end).getTime());
+  }
+  return best;
+}
+
+// Minutes to the nearest meeting on either side, capped so an empty day does not skew it.
+function getBuffer(dayEvents, start, end) {
+  let buffer = 60;
+  for (const event of dayEvents) {
+    const eventStart = new Date(event.start);
+    const eventEnd = new Date(event.end);
+    if (eventEnd <= start) buffer = Math.min(buffer, (start - eventEnd) / 60000);
+    if (eventStart >= end) buffer = Math.min(buffer, (eventStart - end) / 60000);
+  }
+  return buffer;
+}
+
+function toInstant(day, clock, timeZone) {
+  const [year, month, date] = day.split("-").map(Number);
+  const [hour, minute] = clock.split(":").map(Number);
+  return zonedTimeToUtc({ year, month, day: date, hour, minute }, timeZone);
+}
+
+function getClock(value, timeZone) {
+  const { hour, minute } = getZonedParts(new Date(value), timeZone);
+  return formatClock(hour, minute);
+}
+
+function formatClock(hour, minute) {
+  return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+}
+
+function addDays(day, count) {
+  const [year, month, date] = day.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, date + count)).toISOString().slice(0, 10);
+}
+
+function getWeekday(day) {
+  const [year, month, date] = day.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, date)).getUTCDay();
+}
+
+function isDayKey(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+function isClock(value) {
+  return typeof value === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+function formatDay(day, timeZone) {
+  return toInstant(day, "12:00", timeZone).toLocaleDateString("en-US", {
+    timeZone,
+    weekday: "long",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+function formatTime(value, timeZone) {
+  return new Date(value).toLocaleTimeString("en-US", {
+    timeZone,
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+function formatRange(start, end, timeZone) {
+  const day = new Date(start).toLocaleDateString("en-US", {
+    timeZone,
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+  return `${day}, ${formatTime(start, timeZone)}–${formatTime(end, timeZone)}`;
+}
+
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return `${rest} minutes`;
+  const hourText = `${hours} hour${hours === 1 ? "" : "s"}`;
+  return rest ? `${hourText} ${rest} minutes` : hourText;
+}
+
+function parseJsonResponse(text) {
+  if (!text) return null;
+  const cleaned = text.trim().replace(/^```json/i, "").replace(/^```/, "").replace(/```$/, "");
+  try {
+    return JSON.parse(cleaned);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  INTENTS,
+  detectConfirmation,
+  detectVoiceIntent,
+  parseVoiceCommand,
+  planVoiceCommand,
+  confirmVoiceAction,
+  discardVoiceAction,
+  parseJsonResponse,
+};
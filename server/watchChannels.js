@@ -0,0 +1,226 @@
+const crypto = require("crypto");
+const path = require("path");
+const { createMemoryStore, createJsonFileStore } = require("./jsonStore");
+const { watchCalendarEvents, stopWatchChannel, describeGoogleError } = require("./googleCalendar");
+
+const DEFAULT_WATCH_PATH = path.join(__dirname, "data", "watchChannels.json");
+// Google keeps an events channel for at most a week.
+const DEFAULT_TTL_SECONDS = 7 * 24 * 3600;
+const RENEW_BEFORE_MS = 12 * 3600 * 1000;
+const RENEW_CHECK_MS = 15 * 60 * 1000;
+const SIMULATED_RESOURCE_ID = "simulated";
+
+let activeStore = null;
+const subscriptions = new Set();
+const registrations = new Map();
+let renewTimer = null;
+
+function getWatchStore() {
+  if (!activeStore) {
+    activeStore =
+      process.env.WATCH_STORE === "memory"
+        ? createMemoryStore()
+        : createJsonFileStore(process.env.WATCH_STORE_PATH || DEFAULT_WATCH_PATH);
+  }
+  return activeStore;
+}
+
+function setWatchStore(store) {
+  activeStore = store;
+}
+
+// Google only delivers to a public HTTPS address, so watching is off until one is configured.
+function getWebhookAddress() {
+  return process.env.GOOGLE_WEBHOOK_URL || null;
+}
+
+// One channel per user and calendar. The channel token names that pair, so a notification can be
+// routed and checked without a lookup table. Callers arriving while a registration is under way
+// share it rather than opening a second channel.
+function ensureWatchChannel({ userId, calendarId, sessionId }) {
+  const address = getWebhookAddress();
+  if (!address) return Promise.resolve(null);
+
+  const key = getChannelKey(userId, calendarId);
+  if (!registrations.has(key)) {
+    const registration = registerWatchChannel({ key, userId, calendarId, sessionId, address });
+    registrations.set(key, registration);
+    registration.finally(() => registrations.delete(key)).catch(() => {});
+  }
+  return registrations.get(key);
+}
+
+async function registerWatchChannel({ key, userId, calendarId, sessionId, address }) {
+  const current = await getWatchStore().get(key);
+  const live = current && current.resourceId !== SIMULATED_RESOURCE_ID;
+  if (live && new Date(current.expiration).getTime() - Date.now() > RENEW_BEFORE_MS) {
+    return current;
+  }
+
+  const channel = { id: `cogcal-${crypto.randomUUID()}`, secret: randomSecret(), calendarId };
+  const { resourceId, expiration } = await watchCalendarEvents({
+    calendarId,
+    channelId: channel.id,
+    token: buildChannelToken(key, channel.secret),
+    address,
+    ttlSeconds: getTtlSeconds(),
+    sessionId,
+  });
+  const saved = { ...channel, userId, resourceId, expiration };
+  await getWatchStore().set(key, saved);
+
+  // The replaced channel would keep posting until it expires.
+  if (live) {
+    stopWatchChannel({ channelId: current.id, resourceId: current.resourceId, sessionId }).catch(
+      (error) => console.warn("Could not stop the old watch channel.", describeGoogleError(error))
+    );
+  }
+  return saved;
+}
+
+// A stand-in channel for local testing. It goes through the same webhook checks as a real one.
+async function ensureSimulatedChannel({ userId, calendarId }) {
+  const key = getChannelKey(userId, calendarId);
+  const current = await getWatchStore().get(key);
+  if (current) return current;
+
+  const channel = {
+    id: `cogcal-${crypto.randomUUID()}`,
+    secret: randomSecret(),
+    calendarId,
+    userId,
+    resourceId: SIMULATED_RESOURCE_ID,
+    expiration: new Date(Date.now() + getTtlSeconds() * 1000).toISOString(),
+  };
+  await getWatchStore().set(key, channel);
+  return channel;
+}
+
+// The headers Google sends with every notification, for replaying one against the webhook.
+function buildNotificationHeaders(channel, resourceState = "exists") {
+  return {
+    "X-Goog-Channel-ID": channel.id,
+    "X-Goog-Channel-Token": buildChannelToken(
+      getChannelKey(channel.userId, channel.calendarId),
+      channel.secret
+    ),
+    "X-Goog-Resource-ID": channel.resourceId,
+    "X-Goog-Resource-State": resourceState,
+    "X-Goog-Message-Number": "1",
+  };
+}
+
+// `getHeader` reads a request header, like Express's `req.get`. Google sends a "sync" message
+// when a channel opens; "exists" and "not_exists" mean something on the calendar changed.
+async function handleWatchNotification(getHeader) {
+  const channelId = getHeader("X-Goog-Channel-ID");
+  const token = new URLSearchParams(getHeader("X-Goog-Channel-Token") || "");
+  const state = getHeader("X-Goog-Resource-State");
+  if (!channelId || !token.get("target")) {
+    throw new WatchChannelError("Missing channel headers.", 400);
+  }
+
+  const channel = await getWatchStore().get(token.get("target"));
+  if (!channel || channel.id !== channelId) {
+    // Replaced or forgotten channels can still fire until they expire.
+    return { status: "ignored" };
+  }
+  if (!safeEqual(token.get("secret") || "", channel.secret)) {
+    throw new WatchChannelError("Channel token does not match.", 403);
+  }
+  if (state === "sync") {
+    return { status: "sync" };
+  }
+
+  notifyCalendarChange({ userId: channel.userId, calendarId: channel.calendarId });
+  return { status: "changed" };
+}
+
+// Open dashboards subscribe per user and calendar selection. Channels are renewed only while
+// someone is listening; the rest simply expire.
+function subscribeToCalendarChanges({ userId, calendarIds, sessionId }, listener) {
+  const subscription = { userId, calendarIds, sessionId, listener };
+  subscriptions.add(subscription);
+  if (!renewTimer) {
+    renewTimer = setInterval(renewWatchedChannels, RENEW_CHECK_MS);
+    renewTimer.unref();
+  }
+
+  return () => {
+    subscriptions.delete(subscription);
+    if (!subscriptions.size) {
+      clearInterval(renewTimer);
+      renewTimer = null;
+    }
+  };
+}
+
+function notifyCalendarChange({ userId, calendarId }) {
+  for (const subscription of subscriptions) {
+    if (subscription.userId === userId && subscription.calendarIds.includes(calendarId)) {
+      subscription.listener({ calendarId });
+    }
+  }
+}
+
+async function renewWatchedChannels() {
+  const watched = new Map();
+  for (const { userId, calendarIds, sessionId } of subscriptions) {
+    if (!sessionId) continue;
+    for (const calendarId of calendarIds) {
+      watched.set(getChannelKey(userId, calendarId), { userId, calendarId, sessionId });
+    }
+  }
+
+  for (const target of watched.values()) {
+    try {
+      await ensureWatchChannel(target);
+    } catch (error) {
+      console.error("Watch channel renewal failed", describeGoogleError(error));
+    }
+  }
+}
+
+function getChannelKey(userId, calendarId) {
+  return `${userId}:${calendarId}`;
+}
+
+function buildChannelToken(key, secret) {
+  return new URLSearchParams({ target: key, secret }).toString();
+}
+
+function getTtlSeconds() {
+  const ttl = Number(process.env.WATCH_TTL_SECONDS);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+function randomSecret() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class WatchChannelError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = {
+  getWatchStore,
+  setWatchStore,
+  getWebhookAddress,
+  ensureWatchChannel,
+  ensureSimulatedChannel,
+  buildNotificationHeaders,
+  handleWatchNotification,
+  subscribeToCalendarChanges,
+  notifyCalendarChange,
+  renewWatchedChannels,
+  WatchChannelError,
+};
@@ -7,14 +7,70 @@ import dayGridPlugin from "@fullcalendar/daygrid";
 import interactionPlugin from "@fullcalendar/interaction";
 import type { EventClickArg, EventMountArg } from "@fullcalendar/core";
 import clsx from "clsx";
-
-const API_BASE = process.env.NEXT_PUBLIC_API_BASE || "http://localhost:5050";
+import Link from "next/link";
+import {
+  API_BASE,
+  SESSION_STORAGE_KEY,
+  apiFetch,
+  captureSessionId,
+  fetchLinkToken,
+} from "@/lib/api";
+import {
+  VOICE_LANGUAGES,
+  canRecordVoice,
+  startVoiceRecording,
+  transcribeRecording,
+} from "@/lib/voiceRecorder";
+import { canStreamVoice, createStreamingAudio, streamVoiceQuery } from "@/lib/voiceStream";
+import { subscribeToLiveUpdates } from "@/lib/liveUpdates";
+
+const MEETING_TYPES = [
+  "decision",
+  "brainstorming",
+  "design_review",
+  "planning",
+  "conflict",
+  "status",
+  "standup",
+  "sync",
+  "demo",
+  "social",
+  "focus",
+  "break",
+];
+const ROLES = ["listener", "occasional_contributor", "contributor", "decision_maker"];
+const EMOTIONAL_INTENSITIES = ["routine", "feedback", "performance", "external", "conflict"];
+
+type MatchedRule = {
+  dimension: string;
+  rule: string;
+  value: string;
+  matchedOn: string;
+  confidence: number;
+};
 
 type Classification = {
   meeting_type: string;
   role: string;
   emotional_intensity: string;
   topic_tags: string[];
+  source?: "llm" | "rules";
+  confidence?: number;
+  matchedRules?: MatchedRule[];
+  overridden?: Partial<Record<OverrideField, { scope: OverrideScope; overrideId: string }>>;
+  inferred?: Partial<Record<OverrideField, string | string[]>>;
+};
+
+type OverrideField = "meeting_type" | "role" | "emotional_intensity" | "topic_tags";
+type OverrideScope = "event" | "series" | "pattern";
+
+type Attendee = {
+  email: string | null;
+  displayName: string | null;
+  responseStatus: string;
+  optional: boolean;
+  organizer: boolean;
+  self: boolean;
 };
 
 type EventLoad = {
@@ -25,6 +81,13 @@ type EventLoad = {
   end: string;
   attendeeCount: number;
   userRole: string;
+  organizer?: { email: string | null; displayName: string | null } | null;
+  attendees?: Attendee[];
+  isOrganizer?: boolean;
+  isOptional?: boolean;
+  responseStatus?: string | null;
+  externalDomains?: string[];
+  seriesId?: string | null;
   classification: Classification;
   durationMinutes: number;
   mentalLoad: number;
@@ -34,7 +97,18 @@ type EventLoad = {
   timeOfDay: string;
   socialLoad: number;
   capacityCost: number;
+  restorative?: boolean;
+  restoredCapacity?: number;
+  capacityBefore?: number;
   capacityRemaining: number;
+  calendarId?: string;
+  calendarName?: string;
+  calendarColor?: string | null;
+  calendarIds?: string[];
+  countsTowardCapacity?: boolean;
+  day: string;
+  timeZone?: string;
+  profileVersion: number;
   explanation: {
     complexity: number;
     roleLoad: number;
@@ -42,67 +116,289 @@ type EventLoad = {
     socialLoad: number;
     mentalLoad: number;
     contextSwitchCost: number;
+    focusInterruptionCost?: number;
+    restorationRate?: number;
     timeOfDayMultiplier: number;
     topicTags: string[];
+    classifier: {
+      source: "llm" | "rules";
+      confidence: number | null;
+      matchedRules: MatchedRule[];
+    };
   };
 };
 
-type Summary = {
+type DaySummary = {
+  date: string;
+  timeZone?: string | null;
+  eventCount: number;
   totalLoad: number;
+  capacityCost: number;
+  restoredCapacity?: number;
+  recoveryDebt?: number;
+  startingCapacity?: number;
+  capacityCurve?: CapacityPoint[];
+  capacityRemaining: number;
+  minCapacityRemaining: number;
+  peakDepletionAt: string | null;
+  highRisk: boolean;
+  focusMinutes: number;
+  focusBlocks: number;
+  interruptedFocusBlocks: number;
+};
+
+type CapacityPoint = {
+  at: string;
+  capacity: number;
+};
+
+type Summary = DaySummary;
+
+type CalendarOption = {
+  id: string;
+  summary: string;
+  primary: boolean;
+  backgroundColor?: string | null;
+};
+
+type EventsPayload = {
+  events: EventLoad[];
+  summary: Summary | null;
+  days: DaySummary[];
+  weeks: WeekSummary[];
+};
+
+type VisibleRange = {
+  timeMin: string;
+  timeMax: string;
+};
+
+type CalendarSelection = {
+  calendarIds: string[];
+  displayOnly: string[];
+};
+
+type WeekSummary = {
+  weekStart: string;
+  focusMinutes: number;
+  focusBlocks: number;
+  interruptedFocusBlocks: number;
+};
+
+type Checkin = {
+  id: string;
+  kind: "event" | "day";
+  eventId: string | null;
+  day: string;
+  title: string | null;
+  at: string | null;
+  rating: number;
+  reported: number;
+  predicted: number;
+  profileVersion: number;
+  calibratedInVersion: number | null;
+  createdAt: string;
+};
+
+type ProposalDay = {
+  eventCount: number;
+  capacityCost: number;
   capacityRemaining: number;
+  minCapacityRemaining: number;
+  recoveryOverlapMinutes: number;
   highRisk: boolean;
 };
 
+type Proposal = {
+  id: string;
+  type: "move" | "swap";
+  improvement: number;
+  summary: string;
+  changes: {
+    eventId: string;
+    calendarId?: string;
+    title: string;
+    from: { start: string; end: string; day: string };
+    to: { start: string; end: string; day: string };
+  }[];
+  days: { date: string; before: ProposalDay; after: ProposalDay }[];
+};
+
+type ChangeBatch = {
+  id: string;
+  label: string | null;
+  status:
+    | "applied"
+    | "partial"
+    | "failed"
+    | "rolled_back"
+    | "rollback_failed"
+    | "undone"
+    | "partially_undone";
+  createdAt: string;
+  undoneAt: string | null;
+  operations: {
+    type: "move" | "delete" | "insert_recovery" | "insert_focus";
+    eventId: string | null;
+    title: string | null;
+    status: "applied" | "failed" | "undone" | "undo_failed";
+    error?: string;
+  }[];
+};
+
+type VoiceCard = {
+  id: string | null;
+  intent: "move_event" | "cancel_event" | "find_free_time" | "protect_focus";
+  status: "pending" | "done" | "failed" | "dismissed" | "superseded" | "info";
+  requiresConfirmation: boolean;
+  title: string;
+  detail: string;
+  changes: { type: string; eventId?: string; title: string; start?: string; end?: string }[];
+  options?: {
+    day: string;
+    start: string;
+    end: string;
+    load: number;
+    meetings: number;
+    freeMinutes: number;
+  }[];
+};
+
+type VoiceTurn = {
+  role: "user" | "assistant";
+  text: string;
+  at: string;
+  card?: VoiceCard | null;
+};
+
+type VoiceAudio = { status: string; audioBase64?: string; mimeType?: string; reason?: string };
+
+type VoiceAnswer = {
+  text: string;
+  warning?: string;
+  action?: string;
+  card?: VoiceCard | null;
+  audio?: VoiceAudio;
+  conversation: { id: string; turns: VoiceTurn[] };
+};
+
+const RATING_LABELS = ["Energized", "Fine", "Neutral", "Tired", "Drained"];
+
 const WEEK_DAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
 
+const CALENDAR_SELECTION_KEY = "cognitive-calendar.calendars";
+
 export default function Home() {
   const [events, setEvents] = useState<EventLoad[]>([]);
   const [summary, setSummary] = useState<Summary | null>(null);
+  const [days, setDays] = useState<DaySummary[]>([]);
+  const [weeks, setWeeks] = useState<WeekSummary[]>([]);
   const [selectedEvent, setSelectedEvent] = useState<EventLoad | null>(null);
   const [voiceQuery, setVoiceQuery] = useState("");
-  const [voiceResponse, setVoiceResponse] = useState("");
+  const [voiceTurns, setVoiceTurns] = useState<VoiceTurn[]>([]);
+  const [voiceConversationId, setVoiceConversationId] = useState<string | null>(null);
   const [voiceError, setVoiceError] = useState("");
   const [voiceWarning, setVoiceWarning] = useState("");
   const [voiceStatus, setVoiceStatus] = useState<"idle" | "loading">("idle");
   const [voiceTone, setVoiceTone] = useState<
     "auto" | "reflective" | "supportive" | "practical"
   >("auto");
+  const [voiceLanguage, setVoiceLanguage] = useState("en-US");
+  const [voiceRecording, setVoiceRecording] = useState(false);
   const [authStatus, setAuthStatus] = useState<
     "checking" | "unauthenticated" | "authenticated"
   >("checking");
   const [authError, setAuthError] = useState("");
-  const [calendarOptions, setCalendarOptions] = useState<
-    { id: string; summary: string; primary: boolean }[]
-  >([]);
-  const [calendarId, setCalendarId] = useState<string>("primary");
+  const [calendarOptions, setCalendarOptions] = useState<CalendarOption[]>([]);
+  const [calendarSelection, setCalendarSelection] = useState<CalendarSelection>({
+    calendarIds: ["primary"],
+    displayOnly: [],
+  });
+  const [exportToken, setExportToken] = useState<string | null>(null);
   const [selectedDayIndex, setSelectedDayIndex] = useState<number>(0);
   const [assistantActive, setAssistantActive] = useState(false);
   const [calendarTitle, setCalendarTitle] = useState<string>(formatMonthYear());
+  const [visibleRange, setVisibleRange] = useState<VisibleRange | null>(null);
+  const [liveWatching, setLiveWatching] = useState(false);
+  const [checkins, setCheckins] = useState<Checkin[]>([]);
+  const [calibrationMessage, setCalibrationMessage] = useState("");
+  const [proposals, setProposals] = useState<Proposal[]>([]);
+  const [suggestStatus, setSuggestStatus] = useState<"idle" | "loading" | "done">("idle");
+  const [suggestError, setSuggestError] = useState("");
+  const [previewId, setPreviewId] = useState<string | null>(null);
+  const [changeBatches, setChangeBatches] = useState<ChangeBatch[]>([]);
+  const [applyingId, setApplyingId] = useState<string | null>(null);
   const calendarRef = useRef<FullCalendar | null>(null);
+  // Sent with every request that loads or changes events; the server merges the calendars.
+  const calendarParams = useMemo(
+    () => ({
+      calendarIds: calendarSelection.calendarIds.join(","),
+      displayOnly: calendarSelection.displayOnly.join(","),
+    }),
+    [calendarSelection]
+  );
+  const updateCalendarSelection = (next: CalendarSelection) => {
+    setCalendarSelection(next);
+    window.localStorage.setItem(CALENDAR_SELECTION_KEY, JSON.stringify(next));
+  };
+  const voiceAudioRef = useRef<ReturnType<typeof createStreamingAudio> | null>(null);
+  const voiceRecorderRef = useRef<Awaited<ReturnType<typeof startVoiceRecording>> | null>(null);
 
-  const loadEvents = useCallback(async () => {
-    if (authStatus !== "authenticated") return;
+  const applyEventsPayload = useCallback((data: EventsPayload) => {
+    setEvents(data.events || []);
+    setSummary(data.summary || null);
+    setDays(data.days || []);
+    setWeeks(data.weeks || []);
+    if (data.events?.length) {
+      setSelectedEvent((current) => {
+        const kept = current && data.events.find((event) => event.id === current.id);
+        if (kept) return kept;
+        const initial =
+          data.events.find((event) => event.day === data.summary?.date) || data.events[0];
+        setSelectedDayIndex(getWeekdayIndex(new Date(initial.start)));
+        return initial;
+      });
+    }
+  }, []);
 
-    const response = await fetch(
-      `${API_BASE}/api/events?source=google&calendarId=${encodeURIComponent(calendarId)}`
-    );
+  const loadEvents = useCallback(async () => {
+    // Waits for the calendar to report its first range, then loads only what is on screen.
+    if (authStatus !== "authenticated" || !visibleRange) return;
+
+    const params = new URLSearchParams({
+      source: "google",
+      ...calendarParams,
+      ...visibleRange,
+      timeZone: getBrowserTimeZone(),
+    });
+    const response = await apiFetch(`/api/events?${params.toString()}`);
     if (response.status === 401) {
       setAuthStatus("unauthenticated");
       return;
     }
-    const data = await response.json();
-    setEvents(data.events || []);
-    setSummary(data.summary || null);
-    if (data.events?.length) {
-      setSelectedEvent(data.events[0]);
-      setSelectedDayIndex(getWeekdayIndex(new Date(data.events[0].start)));
-    }
-  }, [authStatus, calendarId]);
+    applyEventsPayload(await response.json());
+  }, [authStatus, calendarParams, visibleRange, applyEventsPayload]);
+
+  // Pushed refreshes use the same query as loadEvents, so they replace its results one for one.
+  useEffect(() => {
+    if (authStatus !== "authenticated" || !visibleRange) return;
+
+    return subscribeToLiveUpdates<EventsPayload>(
+      {
+        source: "google",
+        ...calendarParams,
+        ...visibleRange,
+        timeZone: getBrowserTimeZone(),
+      },
+      { onReady: setLiveWatching, onEvents: applyEventsPayload }
+    );
+  }, [authStatus, calendarParams, visibleRange, applyEventsPayload]);
 
   useEffect(() => {
     const fetchCalendars = async () => {
+      captureSessionId();
       try {
-        const response = await fetch(`${API_BASE}/api/google/calendars`);
+        const response = await apiFetch("/api/google/calendars");
         if (response.status === 401) {
           setAuthStatus("unauthenticated");
           return;
@@ -115,10 +411,7 @@ export default function Home() {
         const data = await response.json();
         if (data.calendars?.length) {
           setCalendarOptions(data.calendars);
-          const primary = data.calendars.find(
-            (calendar: { primary: boolean }) => calendar.primary
-          );
-          setCalendarId(primary?.id || data.calendars[0].id);
+          setCalendarSelection(restoreCalendarSelection(data.calendars));
           setAuthStatus("authenticated");
           setAuthError("");
         } else {
@@ -133,10 +426,152 @@ export default function Home() {
     fetchCalendars();
   }, []);
 
+  useEffect(() => {
+    if (authStatus !== "authenticated") return;
+    fetchLinkToken("export")
+      .then(setExportToken)
+      .catch(() => setExportToken(null));
+  }, [authStatus]);
+
+  const loadCheckins = useCallback(async () => {
+    if (authStatus !== "authenticated") return;
+    const response = await apiFetch("/api/checkins");
+    if (response.ok) {
+      const data = await response.json();
+      setCheckins(data.checkins || []);
+    }
+  }, [authStatus]);
+
   useEffect(() => {
     loadEvents();
   }, [loadEvents]);
 
+  useEffect(() => {
+    loadCheckins();
+  }, [loadCheckins]);
+
+  const submitCheckin = async (target: { eventId: string } | { day: string }, rating: number) => {
+    const response = await apiFetch("/api/checkins", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        ...target,
+        rating,
+        source: "google",
+        ...calendarParams,
+        ...visibleRange,
+        timeZone: getBrowserTimeZone(),
+      }),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      setCalibrationMessage(data.error || "Could not save the check-in.");
+      return;
+    }
+    setCalibrationMessage("");
+    await loadCheckins();
+  };
+
+  const loadSuggestions = async () => {
+    setSuggestStatus("loading");
+    setSuggestError("");
+    setPreviewId(null);
+    try {
+      const params = new URLSearchParams({
+        source: "google",
+        ...calendarParams,
+        timeZone: getBrowserTimeZone(),
+      });
+      const response = await apiFetch(`/api/suggestions?${params.toString()}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setSuggestError(data.error || "Could not build suggestions.");
+        setProposals([]);
+        return;
+      }
+      setProposals(data.proposals || []);
+    } finally {
+      setSuggestStatus("done");
+    }
+  };
+
+  const loadChangeBatches = useCallback(async () => {
+    if (authStatus !== "authenticated") return;
+    const response = await apiFetch("/api/changes");
+    if (response.ok) {
+      const data = await response.json();
+      setChangeBatches(data.batches || []);
+    }
+  }, [authStatus]);
+
+  useEffect(() => {
+    loadChangeBatches();
+  }, [loadChangeBatches]);
+
+  const applyProposal = async (proposal: Proposal) => {
+    setApplyingId(proposal.id);
+    setSuggestError("");
+    try {
+      const response = await apiFetch("/api/changes/apply", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          calendarId: calendarSelection.calendarIds[0],
+          label: proposal.summary,
+          changes: proposal.changes.map((change) => ({
+            type: "move",
+            eventId: change.eventId,
+            calendarId: change.calendarId,
+            title: change.title,
+            start: change.to.start,
+            end: change.to.end,
+          })),
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setSuggestError(data.error || "Could not apply the change.");
+      }
+      setProposals([]);
+      setPreviewId(null);
+      await Promise.all([loadEvents(), loadChangeBatches()]);
+    } finally {
+      setApplyingId(null);
+    }
+  };
+
+  const undoBatch = async (batchId: string) => {
+    const response = await apiFetch(`/api/changes/${batchId}/undo`, { method: "POST" });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      setSuggestError(data.error || "Could not undo the change.");
+    }
+    await Promise.all([loadEvents(), loadChangeBatches()]);
+  };
+
+  const previewProposal = (proposal: Proposal) => {
+    const nextId = previewId === proposal.id ? null : proposal.id;
+    setPreviewId(nextId);
+    if (nextId) {
+      calendarRef.current?.getApi().gotoDate(proposal.changes[0].to.start);
+    }
+  };
+
+  const runCalibration = async () => {
+    const response = await apiFetch("/api/calibration/run", { method: "POST" });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      setCalibrationMessage(data.error || "Calibration failed.");
+      return;
+    }
+    setCalibrationMessage(
+      data.applied
+        ? `Adjusted ${data.adjustments.length} baselines from ${data.checkinsUsed} check-ins (profile v${data.profileVersion}).`
+        : data.reason || "Nothing to adjust yet."
+    );
+    await Promise.all([loadEvents(), loadCheckins()]);
+  };
+
   const backToBackIds = useMemo(() => {
     const ids = new Set<string>();
     const sorted = [...events].sort(
@@ -162,27 +597,50 @@ export default function Home() {
         start: event.start,
         end: event.end,
         backgroundColor: loadToColor(event.mentalLoad),
-        borderColor: loadToColor(event.mentalLoad),
+        // The border carries the source calendar's color once several are merged.
+        borderColor: event.calendarColor || loadToColor(event.mentalLoad),
         textColor: "#0f172a",
         extendedProps: event,
-        classNames: backToBackIds.has(event.id) ? ["switch-glow"] : [],
+        classNames: [
+          ...(backToBackIds.has(event.id) ? ["switch-glow"] : []),
+          ...(event.countsTowardCapacity === false ? ["display-only"] : []),
+        ],
       }));
 
-    const recovery = events.map((event) => {
-      const start = new Date(event.end);
-      const end = new Date(start.getTime() + event.recoveryMinutes * 60000);
-      return {
-        id: `${event.id}-recovery`,
-        title: "Recovery",
-        start: start.toISOString(),
-        end: end.toISOString(),
-        display: "background" as const,
-        backgroundColor: "rgba(148, 163, 184, 0.18)",
-      };
-    });
+    const recovery = events
+      .filter((event) => event.countsTowardCapacity !== false)
+      .map((event) => {
+        const start = new Date(event.end);
+        const end = new Date(start.getTime() + event.recoveryMinutes * 60000);
+        return {
+          id: `${event.id}-recovery`,
+          title: "Recovery",
+          start: start.toISOString(),
+          end: end.toISOString(),
+          display: "background" as const,
+          backgroundColor: "rgba(148, 163, 184, 0.18)",
+        };
+      });
 
-    return [...primary, ...recovery];
-  }, [events, backToBackIds]);
+    const preview = proposals.find((proposal) => proposal.id === previewId);
+    if (!preview) return [...primary, ...recovery];
+
+    const movedIds = new Set(preview.changes.map((change) => change.eventId));
+    const faded = primary.map((item) =>
+      movedIds.has(item.id) ? { ...item, classNames: [...item.classNames, "proposal-origin"] } : item
+    );
+    const ghosts = preview.changes.map((change) => ({
+      id: `${change.eventId}-proposal`,
+      title: `→ ${change.title}`,
+      start: change.to.start,
+      end: change.to.end,
+      backgroundColor: "rgba(15, 23, 42, 0.6)",
+      borderColor: "#e2e8f0",
+      textColor: "#e2e8f0",
+      classNames: ["proposal-ghost"],
+    }));
+    return [...faded, ...recovery, ...ghosts];
+  }, [events, backToBackIds, proposals, previewId]);
 
   const weeklyData = useMemo(() => {
     const base = WEEK_DAYS.map(() => 0.28);
@@ -244,8 +702,13 @@ export default function Home() {
     return { mental, context, emotional, recovery };
   }, [selectedDayEvents]);
 
-  const totalLoad = summary?.totalLoad ?? 0.32;
-  const points = Math.round(totalLoad * 10 * 10) / 10;
+  const activeDay =
+    days.find((day) => day.date === selectedEvent?.day) ?? summary ?? null;
+  const activeWeek = activeDay
+    ? weeks.find((week) => week.weekStart === getWeekStart(activeDay.date))
+    : undefined;
+  const totalLoad = activeDay?.totalLoad ?? 0.32;
+  const points = Math.round(activeDay?.capacityRemaining ?? 100) / 10;
   const subtitleTone =
     totalLoad < 0.35
       ? "a balanced"
@@ -282,51 +745,43 @@ export default function Home() {
     const query = queryOverride || voiceQuery;
     if (!query) return;
 
-    const voiceEvents = events.slice(0, 10).map((event) => ({
-      title: event.title,
-      start: event.start,
-      end: event.end,
-      classification: event.classification,
-      mentalLoad: event.mentalLoad,
-      totalLoad: event.totalLoad,
-      recoveryMinutes: event.recoveryMinutes,
-    }));
-
     setVoiceStatus("loading");
     setVoiceError("");
     setVoiceWarning("");
+    setVoiceQuery("");
+    setVoiceTurns((current) => [
+      ...current,
+      { role: "user", text: query, at: new Date().toISOString() },
+    ]);
+    const body = {
+      query,
+      source: "google",
+      ...calendarParams,
+      tone: voiceTone,
+      language: voiceLanguage,
+      timeZone: getBrowserTimeZone(),
+      conversationId: voiceConversationId,
+    };
     try {
-      const response = await fetch(`${API_BASE}/api/voice/query`, {
+      if (canStreamVoice()) {
+        await streamVoiceAnswer(body);
+        return;
+      }
+
+      const response = await apiFetch("/api/voice/query", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          query,
-          summary,
-          events: voiceEvents,
-          source: "google",
-          calendarId,
-          tone: voiceTone,
-        }),
+        body: JSON.stringify(body),
       });
       const data = await response.json();
-      setVoiceResponse(data.text || "");
-      setVoiceWarning(data.warning || "");
-
       if (!response.ok) {
+        setVoiceWarning(data.warning || "");
         setVoiceError(data.error || "Voice request failed.");
         return;
       }
 
-      if (data.audio?.status === "ok") {
-        const audio = new Audio(`data:audio/mpeg;base64,${data.audio.audioBase64}`);
-        audio.play();
-      } else if (data.audio?.status) {
-        setVoiceError(data.audio.reason || "Voice audio unavailable.");
-      }
-
-      if (data.action === "create_event") {
-        await loadEvents();
-      }
+      playVoiceAudio(data.audio);
+      await applyVoiceAnswer(data);
     } catch (error) {
       const message = error instanceof Error ? error.message : "Voice request failed.";
       setVoiceError(message);
@@ -335,18 +790,137 @@ export default function Home() {
     }
   };
 
+  // Text appears in a growing bubble and audio starts with the first finished sentence.
+  const streamVoiceAnswer = async (body: object) => {
+    voiceAudioRef.current?.stop();
+    const player = createStreamingAudio();
+    voiceAudioRef.current = player;
+
+    let text = "";
+    let answer: VoiceAnswer | null = null;
+    setVoiceTurns((current) => [
+      ...current,
+      { role: "assistant", text: "", at: new Date().toISOString() },
+    ]);
+    try {
+      await streamVoiceQuery<VoiceAnswer>(body, {
+        onText: (delta) => {
+          text += delta;
+          setVoiceTurns((current) => [...current.slice(0, -1), { ...current[current.length - 1], text }]);
+        },
+        // The server replaces a reply that broke off part way; start the text over.
+        onReset: () => {
+          text = "";
+          setVoiceTurns((current) => [...current.slice(0, -1), { ...current[current.length - 1], text }]);
+        },
+        onDone: (payload) => {
+          answer = payload;
+        },
+        onAudio: (chunk, mimeType) => player.append(chunk, mimeType),
+        onAudioError: (reason) => setVoiceError(reason || "Voice audio unavailable."),
+      });
+    } finally {
+      player.end();
+    }
+    if (answer) await applyVoiceAnswer(answer);
+  };
+
+  const applyVoiceAnswer = async (data: VoiceAnswer) => {
+    setVoiceWarning(data.warning || "");
+    setVoiceConversationId(data.conversation.id);
+    setVoiceTurns(data.conversation.turns);
+    if (data.card?.status === "done") {
+      await Promise.all([loadEvents(), loadChangeBatches()]);
+    } else if (data.action === "create_event") {
+      await loadEvents();
+    }
+  };
+
+  const playVoiceAudio = (audio?: VoiceAudio) => {
+    if (audio?.status === "ok") {
+      new Audio(`data:${audio.mimeType || "audio/mpeg"};base64,${audio.audioBase64}`).play();
+    } else if (audio?.status) {
+      setVoiceError(audio.reason || "Voice audio unavailable.");
+    }
+  };
+
+  const respondToVoiceCard = async (card: VoiceCard, confirm: boolean) => {
+    if (!card.id) return;
+    setVoiceStatus("loading");
+    setVoiceError("");
+    try {
+      const response = await apiFetch(`/api/voice/actions/${card.id}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ confirm, conversationId: voiceConversationId, tone: voiceTone }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setVoiceError(data.error || "Voice action failed.");
+        return;
+      }
+      if (data.conversation) {
+        setVoiceConversationId(data.conversation.id);
+        setVoiceTurns(data.conversation.turns);
+      }
+      playVoiceAudio(data.audio);
+      if (data.card?.status === "done") {
+        await Promise.all([loadEvents(), loadChangeBatches()]);
+      }
+    } catch (error) {
+      setVoiceError(error instanceof Error ? error.message : "Voice action failed.");
+    } finally {
+      setVoiceStatus("idle");
+    }
+  };
+
+  const resetVoiceConversation = async () => {
+    const conversationId = voiceConversationId;
+    setVoiceConversationId(null);
+    setVoiceTurns([]);
+    setVoiceError("");
+    setVoiceWarning("");
+    if (conversationId) {
+      await apiFetch(`/api/voice/conversations/${conversationId}`, { method: "DELETE" }).catch(
+        () => undefined
+      );
+    }
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await apiFetch("/api/google/logout", { method: "POST" });
+    } finally {
+      window.localStorage.removeItem(SESSION_STORAGE_KEY);
+      setExportToken(null);
+      setEvents([]);
+      setSummary(null);
+      setDays([]);
+      setWeeks([]);
+      setSelectedEvent(null);
+      setCalendarOptions([]);
+      setAuthStatus("unauthenticated");
+    }
+  };
+
   const handleVoiceCapture = () => {
     const SpeechRecognition =
       window.SpeechRecognition || window.webkitSpeechRecognition;
 
     if (!SpeechRecognition) {
-      setVoiceResponse("Speech recognition is not supported in this browser.");
+      if (voiceRecorderRef.current) {
+        voiceRecorderRef.current.stop();
+      } else if (canRecordVoice()) {
+        recordVoiceQuery();
+      } else {
+        setVoiceError("Speech input is not supported in this browser.");
+      }
       return;
     }
 
     setAssistantActive(true);
     const recognition = new SpeechRecognition();
-    recognition.lang = "en-US";
+    recognition.lang = voiceLanguage;
     recognition.interimResults = false;
     recognition.maxAlternatives = 1;
 
@@ -364,6 +938,37 @@ export default function Home() {
     recognition.start();
   };
 
+  // Without the Web Speech API, the Talk button records until pressed again and the server
+  // transcribes the recording.
+  const recordVoiceQuery = async () => {
+    setVoiceError("");
+    try {
+      voiceRecorderRef.current = await startVoiceRecording();
+    } catch {
+      setVoiceError("Microphone access is needed to talk to the assistant.");
+      return;
+    }
+    setVoiceRecording(true);
+    setAssistantActive(true);
+
+    const recording = await voiceRecorderRef.current.finished;
+    voiceRecorderRef.current = null;
+    setVoiceRecording(false);
+    try {
+      const transcript = await transcribeRecording(recording, voiceLanguage);
+      if (!transcript) {
+        setVoiceError("Nothing was heard. Try again a little closer to the microphone.");
+        return;
+      }
+      setVoiceQuery(transcript);
+      runVoiceQuery(transcript);
+    } catch (error) {
+      setVoiceError(error instanceof Error ? error.message : "Transcription failed.");
+    } finally {
+      setAssistantActive(false);
+    }
+  };
+
   if (authStatus !== "authenticated") {
     return (
       <div className="min-h-screen bg-[#0b0f1a] text-slate-100">
@@ -432,7 +1037,7 @@ export default function Home() {
                 onClick={handleVoiceCapture}
                 className="rounded-full bg-white/10 px-3 py-1.5 text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-200 transition hover:bg-white/20"
               >
-                Talk
+                {voiceRecording ? "Stop" : "Talk"}
               </button>
               <button
                 onClick={() => runVoiceQuery()}
@@ -474,22 +1079,46 @@ export default function Home() {
             <span className="rounded-full border border-emerald-300/40 bg-emerald-300/10 px-4 py-1.5 text-xs font-semibold uppercase tracking-[0.25em] text-emerald-100">
               Google connected
             </span>
+            {liveWatching && (
+              <span
+                title="Changes made in Google Calendar show up here without reloading."
+                className="rounded-full border border-sky-300/40 bg-sky-300/10 px-4 py-1.5 text-xs text-sky-100"
+              >
+                Live
+              </span>
+            )}
+            {exportToken && (
+              <a
+                href={`${API_BASE}/api/export.ics?${new URLSearchParams({
+                  source: "google",
+                  ...calendarParams,
+                  timeZone: getBrowserTimeZone(),
+                  token: exportToken,
+                }).toString()}`}
+                className="rounded-full border border-white/10 bg-white/5 px-4 py-1.5 text-xs text-slate-300 transition hover:bg-white/10"
+              >
+                Export with recovery (.ics)
+              </a>
+            )}
+            <button
+              type="button"
+              onClick={handleSignOut}
+              className="rounded-full border border-white/10 bg-white/5 px-4 py-1.5 text-xs text-slate-300 transition hover:bg-white/10"
+            >
+              Sign out
+            </button>
+            <Link
+              href="/settings"
+              className="rounded-full border border-white/10 bg-white/5 px-4 py-1.5 text-xs text-slate-300 transition hover:bg-white/10"
+            >
+              Baselines
+            </Link>
             {calendarOptions.length > 0 && (
-              <div className="flex items-center gap-2 rounded-full border border-white/10 bg-white/5 px-4 py-1.5 text-sm text-slate-300">
-                <span>Calendar</span>
-                <select
-                  value={calendarId}
-                  onChange={(event) => setCalendarId(event.target.value)}
-                  className="bg-transparent text-sm text-slate-200 outline-none"
-                >
-                  {calendarOptions.map((calendar) => (
-                    <option key={calendar.id} value={calendar.id}>
-                      {calendar.summary}
-                      {calendar.primary ? " (Primary)" : ""}
-                    </option>
-                  ))}
-                </select>
-              </div>
+              <CalendarPicker
+                options={calendarOptions}
+                selection={calendarSelection}
+                onChange={updateCalendarSelection}
+              />
             )}
           </div>
         </header>
@@ -530,7 +1159,15 @@ export default function Home() {
               events={calendarEvents}
               eventClick={handleEventClick}
               eventDidMount={handleEventMount}
-              datesSet={(info) => setCalendarTitle(formatMonthYear(info.start))}
+              datesSet={(info) => {
+                setCalendarTitle(formatMonthYear(info.start));
+                const next = { timeMin: info.start.toISOString(), timeMax: info.end.toISOString() };
+                setVisibleRange((current) =>
+                  current?.timeMin === next.timeMin && current?.timeMax === next.timeMax
+                    ? current
+                    : next
+                );
+              }}
               eventContent={(info) => {
                 const extended = info.event.extendedProps as EventLoad | undefined;
                 if (!extended?.id) return null;
@@ -565,9 +1202,44 @@ export default function Home() {
                 </div>
                 <div className="mt-2 text-xs text-slate-500">
                   Capacity Index: {points.toFixed(1)} / 10
+                  {activeDay ? ` · ${formatDayLabel(activeDay.date)}` : ""}
                 </div>
+                {activeDay?.timeZone && (
+                  <div className="text-xs text-slate-500">
+                    Scored in {activeDay.timeZone}
+                    {activeDay.timeZone !== getBrowserTimeZone()
+                      ? " — a travel day; calendar times stay in your browser's zone"
+                      : ""}
+                  </div>
+                )}
+                {activeDay?.peakDepletionAt && (
+                  <div className="text-xs text-slate-500">
+                    Lowest point around {formatTime(activeDay.peakDepletionAt)}
+                    {activeDay.highRisk ? " — recovery needed" : ""}
+                  </div>
+                )}
+                {activeDay && (
+                  <div className="text-xs text-slate-500">
+                    Protected focus: {formatFocusHours(activeDay.focusMinutes ?? 0)} that day ·{" "}
+                    {formatFocusHours(activeWeek?.focusMinutes ?? 0)} that week
+                    {activeWeek?.interruptedFocusBlocks
+                      ? ` · ${activeWeek.interruptedFocusBlocks} of ${activeWeek.focusBlocks} blocks interrupted`
+                      : ""}
+                  </div>
+                )}
+                {activeDay?.recoveryDebt || activeDay?.restoredCapacity ? (
+                  <div className="text-xs text-slate-500">
+                    {activeDay.recoveryDebt
+                      ? `Started at ${Math.round(activeDay.startingCapacity ?? 100)} after yesterday · `
+                      : ""}
+                    {Math.round(activeDay.restoredCapacity ?? 0)} points restored by breaks and gaps
+                  </div>
+                ) : null}
               </div>
             </div>
+            {activeDay?.capacityCurve && activeDay.capacityCurve.length > 1 && (
+              <CapacityCurve points={activeDay.capacityCurve} />
+            )}
             <div className="mt-6 flex items-center gap-6">
               <div className="flex h-20 flex-1 items-end gap-2">
                 {weeklyData.map((value, index) => (
@@ -657,6 +1329,19 @@ export default function Home() {
                 onClick={() => focusByMetric("recovery", selectedDayEvents, setSelectedEvent)}
               />
             </div>
+            {activeDay && (
+              <div className="mt-6">
+                <RatingPicker
+                  label={`End of day check-in · ${formatDayLabel(activeDay.date)}`}
+                  value={
+                    checkins.find(
+                      (checkin) => checkin.kind === "day" && checkin.day === activeDay.date
+                    )?.rating
+                  }
+                  onRate={(rating) => submitCheckin({ day: activeDay.date }, rating)}
+                />
+              </div>
+            )}
           </div>
         </section>
 
@@ -671,17 +1356,58 @@ export default function Home() {
                     {Math.round(selectedEvent.totalLoad * 100)}% load
                   </span>
                 </div>
+                {selectedEvent.calendarName && (
+                  <div className="text-xs text-slate-400">
+                    From {selectedEvent.calendarName}
+                    {selectedEvent.countsTowardCapacity === false
+                      ? " — display only, not counted toward your capacity."
+                      : ""}
+                  </div>
+                )}
+                {describeAttendance(selectedEvent) && (
+                  <div className="text-xs text-slate-400">{describeAttendance(selectedEvent)}</div>
+                )}
+                {selectedEvent.restorative && (
+                  <div className="rounded-2xl bg-emerald-400/10 px-4 py-3 text-xs text-emerald-200">
+                    Restorative: gives back {Math.round(selectedEvent.restoredCapacity ?? 0)}{" "}
+                    capacity points instead of spending them.
+                  </div>
+                )}
                 <div className="space-y-2">
                   <MetricRow label="Complexity" value={selectedEvent.explanation.complexity} />
                   <MetricRow label="Role load" value={selectedEvent.explanation.roleLoad} />
                   <MetricRow label="Emotional load" value={selectedEvent.explanation.emotionalLoad} />
                   <MetricRow label="Context switch" value={selectedEvent.explanation.contextSwitchCost} />
+                  {selectedEvent.explanation.focusInterruptionCost ? (
+                    <MetricRow
+                      label="Focus interruption"
+                      value={selectedEvent.explanation.focusInterruptionCost}
+                    />
+                  ) : null}
                   <MetricRow label="Social load" value={selectedEvent.explanation.socialLoad} />
                   <MetricRow label="Recovery" value={selectedEvent.recoveryMinutes / 60} suffix="h" />
                 </div>
                 <div className="rounded-2xl bg-white/5 px-4 py-3 text-xs text-slate-400">
                   Tags: {selectedEvent.explanation.topicTags.join(", ") || "None"}
+                  <span className="block pt-1">
+                    Scored with baseline profile v{selectedEvent.profileVersion}
+                  </span>
                 </div>
+                <ClassifierNote classifier={selectedEvent.explanation.classifier} />
+                <RatingPicker
+                  label="How did this meeting leave you?"
+                  value={
+                    checkins.find(
+                      (checkin) => checkin.kind === "event" && checkin.eventId === selectedEvent.id
+                    )?.rating
+                  }
+                  onRate={(rating) => submitCheckin({ eventId: selectedEvent.id }, rating)}
+                />
+                <OverrideEditor
+                  key={selectedEvent.id}
+                  event={selectedEvent}
+                  onChange={loadEvents}
+                />
               </div>
             ) : (
               <p className="mt-3 text-sm text-slate-400">Select a meeting to see the breakdown.</p>
@@ -710,6 +1436,20 @@ export default function Home() {
                 <option value="practical">Practical</option>
               </select>
             </div>
+            <div className="mt-3 flex items-center justify-between gap-3 text-xs text-slate-400">
+              <span>Language</span>
+              <select
+                value={voiceLanguage}
+                onChange={(event) => setVoiceLanguage(event.target.value)}
+                className="rounded-full border border-white/10 bg-white/5 px-3 py-1 text-xs text-slate-200 outline-none"
+              >
+                {VOICE_LANGUAGES.map((language) => (
+                  <option key={language.value} value={language.value}>
+                    {language.label}
+                  </option>
+                ))}
+              </select>
+            </div>
             <div className="mt-4 flex items-center gap-3">
               <input
                 className="flex-1 rounded-2xl border border-white/10 bg-white/5 px-4 py-2 text-sm text-slate-200 outline-none focus:border-slate-400"
@@ -731,10 +1471,13 @@ export default function Home() {
             >
               Explain my day
             </button>
-            {voiceResponse && (
-              <div className="mt-4 rounded-2xl bg-white/5 px-4 py-3 text-sm text-slate-300">
-                {voiceResponse}
-              </div>
+            {voiceTurns.length > 0 && (
+              <VoiceThread
+                turns={voiceTurns}
+                busy={voiceStatus === "loading"}
+                onRespond={respondToVoiceCard}
+                onReset={resetVoiceConversation}
+              />
             )}
             {voiceError && (
               <div className="mt-4 rounded-2xl border border-rose-400/40 bg-rose-500/10 px-4 py-3 text-sm text-rose-200">
@@ -748,6 +1491,25 @@ export default function Home() {
             )}
           </aside>
         </section>
+
+        <SuggestionsPanel
+          proposals={proposals}
+          status={suggestStatus}
+          error={suggestError}
+          previewId={previewId}
+          applyingId={applyingId}
+          batches={changeBatches}
+          onSuggest={loadSuggestions}
+          onPreview={previewProposal}
+          onApply={applyProposal}
+          onUndo={undoBatch}
+        />
+
+        <CalibrationPanel
+          checkins={checkins}
+          message={calibrationMessage}
+          onCalibrate={runCalibration}
+        />
       </div>
     </div>
   );
@@ -765,6 +1527,661 @@ function MetricRow({ label, value, suffix }: { label: string; value: number; suf
   );
 }
 
+function ClassifierNote({
+  classifier,
+}: {
+  classifier?: EventLoad["explanation"]["classifier"];
+}) {
+  if (!classifier || classifier.source !== "rules") {
+    return (
+      <div className="rounded-2xl bg-white/5 px-4 py-3 text-xs text-slate-400">
+        Classified by the language model.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-1 rounded-2xl bg-white/5 px-4 py-3 text-xs text-slate-400">
+      <div>
+        Classified offline by local rules
+        {classifier.confidence !== null
+          ? ` · ${Math.round(classifier.confidence * 100)}% confidence`
+          : ""}
+      </div>
+      {classifier.matchedRules.length ? (
+        classifier.matchedRules.map((match) => (
+          <div key={match.dimension}>
+            {match.dimension.replace(/_/g, " ")}: {match.value.replace(/_/g, " ")} via rule
+            &ldquo;{match.rule}&rdquo; ({match.matchedOn})
+          </div>
+        ))
+      ) : (
+        <div>No rule matched; using defaults.</div>
+      )}
+    </div>
+  );
+}
+
+// Each selected calendar is either counted toward capacity or only shown for context.
+function CalendarPicker({
+  options,
+  selection,
+  onChange,
+}: {
+  options: CalendarOption[];
+  selection: CalendarSelection;
+  onChange: (selection: CalendarSelection) => void;
+}) {
+  const toggleSelected = (id: string) => {
+    const selected = selection.calendarIds.includes(id);
+    // At least one calendar always stays selected.
+    if (selected && selection.calendarIds.length === 1) return;
+    onChange({
+      calendarIds: selected
+        ? selection.calendarIds.filter((item) => item !== id)
+        : [...selection.calendarIds, id],
+      displayOnly: selection.displayOnly.filter((item) => item !== id),
+    });
+  };
+  const toggleDisplayOnly = (id: string) => {
+    onChange({
+      ...selection,
+      displayOnly: selection.displayOnly.includes(id)
+        ? selection.displayOnly.filter((item) => item !== id)
+        : [...selection.displayOnly, id],
+    });
+  };
+
+  return (
+    <details className="relative rounded-full border border-white/10 bg-white/5 px-4 py-1.5 text-sm text-slate-300">
+      <summary className="cursor-pointer list-none">
+        Calendars ({selection.calendarIds.length})
+      </summary>
+      <div className="absolute right-0 z-20 mt-3 w-80 space-y-2 rounded-2xl border border-white/10 bg-[#0f172a] p-4 shadow-xl">
+        {options.map((calendar) => {
+          const selected = selection.calendarIds.includes(calendar.id);
+          const displayOnly = selection.displayOnly.includes(calendar.id);
+          return (
+            <div key={calendar.id} className="flex items-center justify-between gap-3 text-xs">
+              <label className="flex min-w-0 items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={selected}
+                  onChange={() => toggleSelected(calendar.id)}
+                />
+                <span
+                  className="h-2.5 w-2.5 shrink-0 rounded-full"
+                  style={{ backgroundColor: calendar.backgroundColor || "#94a3b8" }}
+                />
+                <span className="truncate text-slate-200">
+                  {calendar.summary}
+                  {calendar.primary ? " (Primary)" : ""}
+                </span>
+              </label>
+              {selected && (
+                <button
+                  type="button"
+                  onClick={() => toggleDisplayOnly(calendar.id)}
+                  className={clsx(
+                    "shrink-0 rounded-full px-3 py-1 transition",
+                    displayOnly ? "bg-white/5 text-slate-400" : "bg-emerald-300/15 text-emerald-100"
+                  )}
+                >
+                  {displayOnly ? "Display only" : "Counts"}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </details>
+  );
+}
+
+function RatingPicker({
+  label,
+  value,
+  onRate,
+}: {
+  label: string;
+  value?: number;
+  onRate: (rating: number) => void;
+}) {
+  return (
+    <div className="space-y-2 rounded-2xl bg-white/5 px-4 py-3 text-xs text-slate-400">
+      <div className="font-medium text-slate-200">{label}</div>
+      <div className="flex flex-wrap gap-2">
+        {RATING_LABELS.map((ratingLabel, index) => (
+          <button
+            key={ratingLabel}
+            type="button"
+            onClick={() => onRate(index + 1)}
+            className={clsx(
+              "rounded-full px-3 py-1 text-xs transition",
+              value === index + 1 ? "bg-white text-slate-900" : "bg-white/5 text-slate-300"
+            )}
+          >
+            {ratingLabel}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function VoiceThread({
+  turns,
+  busy,
+  onRespond,
+  onReset,
+}: {
+  turns: VoiceTurn[];
+  busy: boolean;
+  onRespond: (card: VoiceCard, confirm: boolean) => void;
+  onReset: () => void;
+}) {
+  const endRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: "nearest" });
+  }, [turns.length]);
+
+  return (
+    <div className="mt-4">
+      <div className="max-h-96 space-y-2 overflow-y-auto pr-1">
+        {turns.map((turn, index) => (
+          <div
+            key={`${turn.at}-${index}`}
+            className={clsx("flex", turn.role === "user" ? "justify-end" : "justify-start")}
+          >
+            <div
+              className={clsx(
+                "max-w-[85%] rounded-2xl px-4 py-2 text-sm",
+                turn.role === "user" ? "bg-white/15 text-slate-100" : "bg-white/5 text-slate-300"
+              )}
+            >
+              {turn.text}
+              {turn.card && (
+                <VoiceActionCard
+                  card={turn.card}
+                  busy={busy}
+                  onConfirm={() => onRespond(turn.card as VoiceCard, true)}
+                  onDismiss={() => onRespond(turn.card as VoiceCard, false)}
+                />
+              )}
+            </div>
+          </div>
+        ))}
+        <div ref={endRef} />
+      </div>
+      <button
+        type="button"
+        onClick={onReset}
+        className="mt-2 text-xs text-slate-500 hover:text-slate-300"
+      >
+        New conversation
+      </button>
+    </div>
+  );
+}
+
+function VoiceActionCard({
+  card,
+  busy,
+  onConfirm,
+  onDismiss,
+}: {
+  card: VoiceCard;
+  busy: boolean;
+  onConfirm: () => void;
+  onDismiss: () => void;
+}) {
+  const statusLabel = {
+    pending: "Needs confirmation",
+    done: "Done",
+    failed: "Failed",
+    dismissed: "Dismissed",
+    superseded: "Replaced",
+    info: "Suggestion",
+  }[card.status];
+
+  return (
+    <div
+      className={clsx(
+        "mt-4 rounded-2xl border px-4 py-3 text-sm",
+        card.status === "pending" ? "border-amber-400/40 bg-amber-500/5" : "border-white/10 bg-white/5"
+      )}
+    >
+      <div className="flex items-center justify-between gap-3">
+        <span className="font-semibold text-slate-100">{card.title}</span>
+        <span className="text-xs text-slate-400">{statusLabel}</span>
+      </div>
+      <p className="mt-1 text-xs text-slate-400">{card.detail}</p>
+      {card.options && card.options.length > 0 && (
+        <ul className="mt-3 space-y-1 text-xs text-slate-300">
+          {card.options.map((option) => (
+            <li key={option.day} className="flex justify-between gap-3">
+              <span>
+                {formatDayLabel(option.day)} · {formatTime(option.start)}–{formatTime(option.end)}
+              </span>
+              <span className="text-slate-500">
+                {option.meetings} meeting{option.meetings === 1 ? "" : "s"} · load {option.load}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {card.status === "pending" && card.requiresConfirmation && (
+        <div className="mt-3 flex gap-2">
+          <button
+            type="button"
+            onClick={onConfirm}
+            disabled={busy}
+            className="rounded-full bg-white px-3 py-1 text-xs font-semibold text-slate-900 disabled:opacity-40"
+          >
+            {busy ? "Working..." : "Confirm"}
+          </button>
+          <button
+            type="button"
+            onClick={onDismiss}
+            disabled={busy}
+            className="rounded-full border border-white/10 px-3 py-1 text-xs text-slate-300 disabled:opacity-40"
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SuggestionsPanel({
+  proposals,
+  status,
+  error,
+  previewId,
+  applyingId,
+  batches,
+  onSuggest,
+  onPreview,
+  onApply,
+  onUndo,
+}: {
+  proposals: Proposal[];
+  status: "idle" | "loading" | "done";
+  error: string;
+  previewId: string | null;
+  applyingId: string | null;
+  batches: ChangeBatch[];
+  onSuggest: () => void;
+  onPreview: (proposal: Proposal) => void;
+  onApply: (proposal: Proposal) => void;
+  onUndo: (batchId: string) => void;
+}) {
+  return (
+    <section className="rounded-3xl border border-white/5 bg-[#0f172a]/60 p-6 shadow-[0_25px_60px_rgba(8,15,28,0.6)]">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-slate-100">Suggest changes</h2>
+          <p className="mt-1 text-sm text-slate-400">
+            Moves and swaps that would ease the heaviest days, scored with your baselines.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onSuggest}
+          disabled={status === "loading"}
+          className="rounded-2xl bg-white px-4 py-2 text-sm font-semibold text-slate-900 disabled:opacity-40"
+        >
+          {status === "loading" ? "Searching..." : "Suggest changes"}
+        </button>
+      </div>
+      {error && (
+        <div className="mt-4 rounded-2xl border border-rose-400/40 bg-rose-500/10 px-4 py-3 text-sm text-rose-200">
+          {error}
+        </div>
+      )}
+      {status === "done" && !error && !proposals.length && (
+        <p className="mt-4 text-sm text-slate-400">
+          Nothing to move — your week is already as light as the free slots allow.
+        </p>
+      )}
+      <div className="mt-4 space-y-3">
+        {proposals.map((proposal, index) => (
+          <div
+            key={proposal.id}
+            className={clsx(
+              "rounded-2xl px-4 py-3 text-sm",
+              previewId === proposal.id ? "bg-white/10" : "bg-white/5"
+            )}
+          >
+            <div className="flex flex-wrap items-start justify-between gap-3">
+              <div className="text-slate-200">
+                <span className="mr-2 text-xs text-slate-500">#{index + 1}</span>
+                {proposal.summary}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => onPreview(proposal)}
+                  className="rounded-full border border-white/10 px-3 py-1 text-xs text-slate-300"
+                >
+                  {previewId === proposal.id ? "Hide preview" : "Preview"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onApply(proposal)}
+                  disabled={applyingId !== null}
+                  className="rounded-full bg-white px-3 py-1 text-xs font-semibold text-slate-900 disabled:opacity-40"
+                >
+                  {applyingId === proposal.id ? "Applying..." : "Apply"}
+                </button>
+              </div>
+            </div>
+            <div className="mt-3 grid gap-2 sm:grid-cols-2">
+              {proposal.days.map((day) => (
+                <div key={day.date} className="text-xs text-slate-400">
+                  <div className="mb-1 text-slate-300">{formatDayLabel(day.date)}</div>
+                  <CapacityCompare label="Before" value={day.before.minCapacityRemaining} />
+                  <CapacityCompare label="After" value={day.after.minCapacityRemaining} />
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      {batches.length > 0 && (
+        <div className="mt-6 space-y-2">
+          <h3 className="text-sm font-semibold text-slate-200">Recent changes</h3>
+          {batches.slice(0, 5).map((batch) => (
+            <div key={batch.id} className="rounded-2xl bg-white/5 px-4 py-3 text-xs text-slate-400">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <span className="text-slate-300">
+                  {batch.label || `${batch.operations.length} change(s)`} ·{" "}
+                  {batch.status.replace(/_/g, " ")}
+                </span>
+                {["applied", "partial", "partially_undone", "rollback_failed"].includes(
+                  batch.status
+                ) && (
+                  <button
+                    type="button"
+                    onClick={() => onUndo(batch.id)}
+                    className="rounded-full border border-white/10 px-3 py-1 text-xs text-slate-300"
+                  >
+                    {["partially_undone", "rollback_failed"].includes(batch.status)
+                      ? "Retry undo"
+                      : "Undo"}
+                  </button>
+                )}
+              </div>
+              {batch.operations
+                .filter((operation) => operation.error)
+                .map((operation, index) => (
+                  <div key={`${operation.eventId}-${index}`} className="mt-1 text-rose-200">
+                    {operation.title || operation.eventId}: {operation.error}
+                  </div>
+                ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+function CapacityCompare({ label, value }: { label: string; value: number }) {
+  return (
+    <div className="flex items-center gap-2">
+      <span className="w-10">{label}</span>
+      <div className="h-1.5 flex-1 rounded-full bg-white/10">
+        <div
+          className="h-1.5 rounded-full bg-emerald-300"
+          style={{ width: `${Math.max(2, Math.min(100, value))}%` }}
+        />
+      </div>
+      <span className="w-8 text-right">{Math.round(value)}</span>
+    </div>
+  );
+}
+
+function CalibrationPanel({
+  checkins,
+  message,
+  onCalibrate,
+}: {
+  checkins: Checkin[];
+  message: string;
+  onCalibrate: () => void;
+}) {
+  const ordered = [...checkins].sort((a, b) =>
+    (a.at || a.createdAt).localeCompare(b.at || b.createdAt)
+  );
+  const pending = checkins.filter((checkin) => checkin.calibratedInVersion === null).length;
+  const step = ordered.length > 1 ? 90 / (ordered.length - 1) : 0;
+  const toPath = (key: "predicted" | "reported") =>
+    ordered
+      .map((checkin, index) => `${index ? "L" : "M"} ${5 + index * step},${40 - checkin[key] * 32}`)
+      .join(" ");
+
+  return (
+    <section className="rounded-3xl border border-white/5 bg-[#0f172a]/60 p-6 shadow-[0_25px_60px_rgba(8,15,28,0.6)]">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-slate-100">Predicted vs. felt</h2>
+          <p className="mt-1 text-sm text-slate-400">
+            Your check-ins next to what the model expected. Calibrate to tune your baselines.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={onCalibrate}
+          disabled={!pending}
+          className="rounded-2xl bg-white px-4 py-2 text-sm font-semibold text-slate-900 disabled:opacity-40"
+        >
+          Calibrate ({pending} new)
+        </button>
+      </div>
+      {ordered.length ? (
+        <>
+          <svg viewBox="0 0 100 45" className="mt-4 h-36 w-full">
+            <path d={toPath("predicted")} fill="none" stroke="#94a3b8" strokeWidth="1" />
+            <path d={toPath("reported")} fill="none" stroke="#34d399" strokeWidth="1.4" />
+            {ordered.map((checkin, index) => (
+              <circle
+                key={checkin.id}
+                cx={5 + index * step}
+                cy={40 - checkin.reported * 32}
+                r={1.6}
+                fill="#34d399"
+              >
+                <title>
+                  {checkin.title || `Day ${formatDayLabel(checkin.day)}`}: predicted{" "}
+                  {Math.round(checkin.predicted * 100)}%, felt {Math.round(checkin.reported * 100)}%
+                </title>
+              </circle>
+            ))}
+          </svg>
+          <div className="mt-2 flex gap-4 text-xs text-slate-400">
+            <span className="text-slate-300">— Predicted</span>
+            <span className="text-emerald-300">— Felt</span>
+          </div>
+        </>
+      ) : (
+        <p className="mt-4 text-sm text-slate-400">
+          No check-ins yet. Rate a meeting or your day to start calibrating.
+        </p>
+      )}
+      {message && <div className="mt-3 text-sm text-slate-300">{message}</div>}
+    </section>
+  );
+}
+
+function OverrideEditor({
+  event,
+  onChange,
+}: {
+  event: EventLoad;
+  onChange: () => Promise<void>;
+}) {
+  const { classification } = event;
+  const [fields, setFields] = useState({
+    meeting_type: classification.meeting_type,
+    role: classification.role,
+    emotional_intensity: classification.emotional_intensity,
+    topic_tags: classification.topic_tags.join(", "),
+  });
+  const [scope, setScope] = useState<OverrideScope>("event");
+  const [pattern, setPattern] = useState(escapeRegExp(event.title));
+  const [status, setStatus] = useState<"idle" | "saving">("idle");
+  const [error, setError] = useState("");
+
+  const overridden = classification.overridden || {};
+  const overrideIds = Array.from(
+    new Set(Object.values(overridden).map((entry) => entry.overrideId))
+  );
+  const changed: Partial<Record<OverrideField, string | string[]>> = {};
+  if (fields.meeting_type !== classification.meeting_type) {
+    changed.meeting_type = fields.meeting_type;
+  }
+  if (fields.role !== classification.role) changed.role = fields.role;
+  if (fields.emotional_intensity !== classification.emotional_intensity) {
+    changed.emotional_intensity = fields.emotional_intensity;
+  }
+  const tags = fields.topic_tags
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+  if (tags.join(",") !== classification.topic_tags.join(",")) changed.topic_tags = tags;
+
+  const save = async () => {
+    const target = scope === "event" ? event.id : scope === "series" ? event.seriesId : pattern;
+    setStatus("saving");
+    setError("");
+    try {
+      const response = await apiFetch("/api/overrides", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ scope, target, fields: changed }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setError(data.error || "Could not save the correction.");
+        return;
+      }
+      await onChange();
+    } finally {
+      setStatus("idle");
+    }
+  };
+
+  const clear = async () => {
+    setStatus("saving");
+    setError("");
+    try {
+      await Promise.all(
+        overrideIds.map((id) => apiFetch(`/api/overrides/${id}`, { method: "DELETE" }))
+      );
+      await onChange();
+    } finally {
+      setStatus("idle");
+    }
+  };
+
+  const renderNote = (field: OverrideField) => {
+    const entry = overridden[field];
+    if (!entry) return <span className="text-slate-500">inferred</span>;
+    const inferred = classification.inferred?.[field];
+    const inferredLabel = Array.isArray(inferred) ? inferred.join(", ") : inferred;
+    return (
+      <span className="text-amber-200">
+        pinned ({entry.scope}){inferredLabel ? ` · was ${inferredLabel.replace(/_/g, " ")}` : ""}
+      </span>
+    );
+  };
+
+  const selectClassName =
+    "rounded-full border border-white/10 bg-white/5 px-3 py-1 text-xs text-slate-200 outline-none";
+
+  return (
+    <div className="space-y-2 rounded-2xl bg-white/5 px-4 py-3 text-xs text-slate-400">
+      <div className="font-medium text-slate-200">Correct this classification</div>
+      {(
+        [
+          ["meeting_type", "Meeting type", MEETING_TYPES],
+          ["role", "Your role", ROLES],
+          ["emotional_intensity", "Intensity", EMOTIONAL_INTENSITIES],
+        ] as const
+      ).map(([field, label, options]) => (
+        <div key={field} className="flex items-center justify-between gap-3">
+          <span>
+            {label} · {renderNote(field)}
+          </span>
+          <select
+            value={fields[field]}
+            onChange={(change) => setFields({ ...fields, [field]: change.target.value })}
+            className={selectClassName}
+          >
+            {options.map((option) => (
+              <option key={option} value={option}>
+                {option.replace(/_/g, " ")}
+              </option>
+            ))}
+          </select>
+        </div>
+      ))}
+      <div className="flex items-center justify-between gap-3">
+        <span>
+          Tags · {renderNote("topic_tags")}
+        </span>
+        <input
+          value={fields.topic_tags}
+          onChange={(change) => setFields({ ...fields, topic_tags: change.target.value })}
+          className="w-40 rounded-full border border-white/10 bg-white/5 px-3 py-1 text-xs text-slate-200 outline-none"
+        />
+      </div>
+      <div className="flex items-center justify-between gap-3">
+        <span>Apply to</span>
+        <select
+          value={scope}
+          onChange={(change) => setScope(change.target.value as OverrideScope)}
+          className={selectClassName}
+        >
+          <option value="event">This event</option>
+          {event.seriesId ? <option value="series">All events in series</option> : null}
+          <option value="pattern">Titles matching</option>
+        </select>
+      </div>
+      {scope === "pattern" && (
+        <input
+          value={pattern}
+          onChange={(change) => setPattern(change.target.value)}
+          className="w-full rounded-full border border-white/10 bg-white/5 px-3 py-1 text-xs text-slate-200 outline-none"
+          placeholder="Title pattern, e.g. standup"
+        />
+      )}
+      <div className="flex gap-2 pt-1">
+        <button
+          onClick={save}
+          disabled={status === "saving" || !Object.keys(changed).length}
+          className="rounded-full bg-white px-3 py-1 text-xs font-semibold text-slate-900 disabled:opacity-40"
+        >
+          {status === "saving" ? "Saving..." : "Pin values"}
+        </button>
+        {overrideIds.length ? (
+          <button
+            onClick={clear}
+            disabled={status === "saving"}
+            className="rounded-full border border-white/10 px-3 py-1 text-xs text-slate-300"
+          >
+            Clear corrections
+          </button>
+        ) : null}
+      </div>
+      {error && <div className="text-rose-200">{error}</div>}
+    </div>
+  );
+}
+
 function ContributionBar({
   label,
   value,
@@ -864,6 +2281,54 @@ function WeeklyAreaChart({
   );
 }
 
+// Capacity through the day, from the first event's start to the last one's end. The line
+// falls during meetings and climbs back through breaks and long gaps.
+function CapacityCurve({ points }: { points: CapacityPoint[] }) {
+  const times = points.map((point) => new Date(point.at).getTime());
+  const first = Math.min(...times);
+  const last = Math.max(...times);
+  const span = Math.max(last - first, 1);
+  const coords = points
+    .map((point, index) => ({
+      x: 5 + ((times[index] - first) / span) * 90,
+      y: 40 - (point.capacity / 100) * 34,
+    }))
+    .sort((a, b) => a.x - b.x);
+  const linePath = `M ${coords.map(({ x, y }) => `${x},${y}`).join(" L ")}`;
+  const areaPath = `${linePath} L ${coords[coords.length - 1].x},40 L ${coords[0].x},40 Z`;
+  const riskY = 40 - 0.2 * 34;
+
+  return (
+    <div className="mt-6">
+      <svg viewBox="0 0 100 45" className="h-28 w-full" preserveAspectRatio="none">
+        <defs>
+          <linearGradient id="capacityFill" x1="0" y1="0" x2="0" y2="1">
+            <stop offset="0%" stopColor="#34d399" stopOpacity="0.3" />
+            <stop offset="100%" stopColor="#fb923c" stopOpacity="0.08" />
+          </linearGradient>
+        </defs>
+        <line
+          x1="5"
+          x2="95"
+          y1={riskY}
+          y2={riskY}
+          stroke="#fb923c"
+          strokeOpacity="0.4"
+          strokeWidth="0.4"
+          strokeDasharray="2 2"
+        />
+        <path d={areaPath} fill="url(#capacityFill)" />
+        <path d={linePath} fill="none" stroke="#e2e8f0" strokeWidth="0.8" />
+      </svg>
+      <div className="mt-1 flex justify-between text-[10px] text-slate-500">
+        <span>{formatTime(new Date(first).toISOString())}</span>
+        <span>Capacity through the day · dashed line is the recovery threshold</span>
+        <span>{formatTime(new Date(last).toISOString())}</span>
+      </div>
+    </div>
+  );
+}
+
 function Gauge({ value }: { value: number }) {
   const angle = 180 - clampValue(value) * 180;
   const arcs = [
@@ -979,6 +2444,70 @@ function focusByMetric(
   select(sorted[0]);
 }
 
+function escapeRegExp(value: string) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Keeps the saved calendars that still exist; otherwise starts from the primary calendar.
+function restoreCalendarSelection(options: CalendarOption[]): CalendarSelection {
+  const known = new Set(options.map((calendar) => calendar.id));
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(CALENDAR_SELECTION_KEY) || "null");
+    const calendarIds = (saved?.calendarIds || []).filter((id: string) => known.has(id));
+    if (calendarIds.length) {
+      return {
+        calendarIds,
+        displayOnly: (saved.displayOnly || []).filter((id: string) => calendarIds.includes(id)),
+      };
+    }
+  } catch {
+    // A malformed saved selection falls back to the default.
+  }
+  const primary = options.find((calendar) => calendar.primary) || options[0];
+  return { calendarIds: [primary.id], displayOnly: [] };
+}
+
+function getBrowserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+function describeAttendance(event: EventLoad) {
+  const parts = [];
+  if (event.isOrganizer && (event.attendees?.length ?? 0) > 0) parts.push("You organize this");
+  if (event.isOptional) parts.push("Optional for you");
+  if (event.responseStatus === "tentative") parts.push("You said maybe");
+  if (event.externalDomains?.length) parts.push(`External: ${event.externalDomains.join(", ")}`);
+  return parts.join(" · ");
+}
+
+function formatDayLabel(dayKey: string) {
+  const [year, month, day] = dayKey.split("-").map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+// Weeks start on Monday, matching the server's weekly summaries.
+function getWeekStart(dayKey: string) {
+  const [year, month, day] = dayKey.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+function formatFocusHours(minutes: number) {
+  return `${Number((minutes / 60).toFixed(1))}h`;
+}
+
+function formatTime(value: string) {
+  return new Date(value).toLocaleTimeString(undefined, {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
 function formatMonthYear(date = new Date()) {
   return date.toLocaleDateString(undefined, { month: "long", year: "numeric" });
 }
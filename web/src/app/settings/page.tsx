@@ -0,0 +1,477 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { apiFetch, captureSessionId } from "@/lib/api";
+
+type Baselines = Record<string, Record<string, number> | number>;
+
+type Profile = {
+  version: number;
+  isDefault: boolean;
+  baselines: Baselines;
+  updatedAt?: string;
+};
+
+type RecoverySettings = {
+  enabled: boolean;
+  calendarId: string;
+  minTotalLoad: number;
+  minMinutes: number;
+  dailyCapMinutes: number;
+};
+
+type TravelStop = {
+  from: string;
+  timeZone: string;
+};
+
+const SECTIONS: { key: string; label: string; hint: string; range: [number, number] }[] = [
+  { key: "meetingType", label: "Meeting complexity", hint: "How demanding each meeting type is.", range: [0, 1] },
+  { key: "meetingTypeScalar", label: "Meeting type scaling", hint: "Dampens light meeting types.", range: [0, 1] },
+  { key: "roleLoad", label: "Role load", hint: "How much your role in the room costs.", range: [0, 1] },
+  { key: "emotionalLoad", label: "Emotional load", hint: "Weight of the conversation itself.", range: [0, 1] },
+  { key: "socialLoad", label: "Social load", hint: "Cost by number of attendees.", range: [0, 1] },
+  { key: "topicChangeCost", label: "Topic change cost", hint: "Cost of switching subjects.", range: [0, 1] },
+  { key: "gapTimeDampener", label: "Gap dampener", hint: "How much a gap softens a switch.", range: [0, 1] },
+  { key: "weights", label: "Mental load blend", hint: "How the four signals combine.", range: [0, 1] },
+  { key: "timeOfDayMultiplier", label: "Time of day", hint: "Recovery multiplier by time.", range: [0.5, 2] },
+  { key: "focus", label: "Focus blocks", hint: "Solo work, and what a meeting next to it costs.", range: [0, 1] },
+  { key: "recoveryMinutesPerLoad", label: "Recovery minutes", hint: "Minutes of recovery per unit of load.", range: [0, 60] },
+  { key: "restoration", label: "Restoration", hint: "Share of capacity given back per hour.", range: [0, 1] },
+  { key: "restorativeGapMinutes", label: "Restorative gap", hint: "Free minutes before a gap restores.", range: [0, 240] },
+  { key: "depletionDebt", label: "Depletion debt", hint: "Capacity lost the day after running empty.", range: [0, 100] },
+];
+
+export default function SettingsPage() {
+  const [profile, setProfile] = useState<Profile | null>(null);
+  const [draft, setDraft] = useState<Baselines>({});
+  const [status, setStatus] = useState<"loading" | "idle" | "saving">("loading");
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  useEffect(() => {
+    const loadProfile = async () => {
+      captureSessionId();
+      try {
+        const response = await apiFetch("/api/profile");
+        if (!response.ok) {
+          setError("We could not load your baselines.");
+          return;
+        }
+        const data = await response.json();
+        setProfile(data.profile);
+        setDraft(data.profile.baselines);
+      } catch {
+        setError("We could not reach the API. Check if the server is running.");
+      } finally {
+        setStatus("idle");
+      }
+    };
+
+    loadProfile();
+  }, []);
+
+  const updateValue = (key: string, entry: string | null, value: string) => {
+    const parsed = Number(value);
+    setDraft((current) => {
+      const table = current[key];
+      if (entry === null || typeof table === "number") {
+        return { ...current, [key]: parsed };
+      }
+      return { ...current, [key]: { ...table, [entry]: parsed } };
+    });
+  };
+
+  const invalid = SECTIONS.some(({ key, range }) => {
+    const value = draft[key];
+    const values = typeof value === "number" ? [value] : Object.values(value || {});
+    return values.some((item) => Number.isNaN(item) || item < range[0] || item > range[1]);
+  });
+
+  const submit = async (path: string, init: RequestInit, message: string) => {
+    setStatus("saving");
+    setError("");
+    setNotice("");
+    try {
+      const response = await apiFetch(path, init);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setError(data.error || "Could not save your baselines.");
+        return;
+      }
+      setProfile(data.profile);
+      setDraft(data.profile.baselines);
+      setNotice(message);
+    } finally {
+      setStatus("idle");
+    }
+  };
+
+  const save = () =>
+    submit(
+      "/api/profile",
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ baselines: draft }),
+      },
+      "Baselines saved. New scores use this profile."
+    );
+
+  const reset = () =>
+    submit("/api/profile/reset", { method: "POST" }, "Baselines reset to the defaults.");
+
+  return (
+    <div className="min-h-screen bg-[#0b0f1a] px-6 py-10 text-slate-100">
+      <div className="mx-auto max-w-4xl space-y-6">
+        <header className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-semibold">Personal baselines</h1>
+            <p className="mt-1 text-sm text-slate-400">
+              Tune how meetings weigh on you. Big meetings drain some people and energize others.
+            </p>
+          </div>
+          <Link
+            href="/"
+            className="rounded-full border border-white/10 bg-white/5 px-4 py-1.5 text-xs text-slate-300 transition hover:bg-white/10"
+          >
+            Back to calendar
+          </Link>
+        </header>
+
+        {profile && (
+          <div className="text-xs text-slate-400">
+            Profile version {profile.version}
+            {profile.isDefault ? " · defaults" : ""}
+            {profile.updatedAt ? ` · updated ${new Date(profile.updatedAt).toLocaleString()}` : ""}
+          </div>
+        )}
+
+        {status === "loading" ? (
+          <p className="text-sm text-slate-400">Loading baselines...</p>
+        ) : (
+          <div className="grid gap-4 md:grid-cols-2">
+            {SECTIONS.filter(({ key }) => key in draft).map(({ key, label, hint, range }) => {
+              const value = draft[key];
+              const entries: [string | null, number][] =
+                typeof value === "number" ? [[null, value]] : Object.entries(value);
+              return (
+                <section
+                  key={key}
+                  className="rounded-3xl border border-white/5 bg-[#0f172a]/60 p-5 text-sm"
+                >
+                  <h2 className="font-semibold text-slate-100">{label}</h2>
+                  <p className="mt-1 text-xs text-slate-400">
+                    {hint} Range {range[0]}–{range[1]}.
+                  </p>
+                  <div className="mt-3 space-y-2">
+                    {entries.map(([entry, entryValue]) => (
+                      <label
+                        key={entry ?? key}
+                        className="flex items-center justify-between gap-3 text-xs text-slate-300"
+                      >
+                        <span>{entry ? entry.replace(/_/g, " ") : "Value"}</span>
+                        <input
+                          type="number"
+                          min={range[0]}
+                          max={range[1]}
+                          step={range[1] > 2 ? 1 : 0.05}
+                          value={Number.isNaN(entryValue) ? "" : entryValue}
+                          onChange={(event) => updateValue(key, entry, event.target.value)}
+                          className="w-24 rounded-full border border-white/10 bg-white/5 px-3 py-1 text-right text-xs text-slate-200 outline-none"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                </section>
+              );
+            })}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            onClick={save}
+            disabled={status !== "idle" || invalid}
+            className="rounded-2xl bg-white px-4 py-2 text-sm font-semibold text-slate-900 disabled:opacity-40"
+          >
+            {status === "saving" ? "Saving..." : "Save baselines"}
+          </button>
+          <button
+            onClick={reset}
+            disabled={status !== "idle"}
+            className="rounded-2xl border border-white/10 bg-white/5 px-4 py-2 text-sm text-slate-300"
+          >
+            Reset to defaults
+          </button>
+          {invalid && <span className="text-xs text-amber-200">Some values are out of range.</span>}
+        </div>
+        {notice && <div className="text-sm text-emerald-200">{notice}</div>}
+        <RecoveryBlockSettings />
+        <TravelSettings />
+        {error && (
+          <div className="rounded-2xl border border-rose-400/40 bg-rose-500/10 px-4 py-3 text-sm text-rose-200">
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function RecoveryBlockSettings() {
+  const [settings, setSettings] = useState<RecoverySettings | null>(null);
+  const [calendars, setCalendars] = useState<{ id: string; summary: string; primary: boolean }[]>(
+    []
+  );
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [settingsResponse, calendarsResponse] = await Promise.all([
+          apiFetch("/api/recovery-blocks/settings"),
+          apiFetch("/api/google/calendars"),
+        ]);
+        if (settingsResponse.ok) {
+          setSettings((await settingsResponse.json()).settings);
+        }
+        if (calendarsResponse.ok) {
+          setCalendars((await calendarsResponse.json()).calendars || []);
+        }
+      } catch {
+        setMessage("We could not load recovery block settings.");
+      }
+    };
+
+    load();
+  }, []);
+
+  if (!settings) return null;
+
+  const update = (patch: Partial<RecoverySettings>) => setSettings({ ...settings, ...patch });
+
+  const save = async () => {
+    const response = await apiFetch("/api/recovery-blocks/settings", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(settings),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      setMessage(data.error || "Could not save recovery block settings.");
+      return;
+    }
+    setSettings(data.settings);
+    if (!data.settings.enabled) {
+      setMessage("Recovery blocks are off.");
+      return;
+    }
+
+    const syncResponse = await apiFetch("/api/recovery-blocks/sync", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone }),
+    });
+    const sync = await syncResponse.json().catch(() => ({}));
+    const result = sync.recoveryBlocks;
+    setMessage(
+      syncResponse.ok && result && !result.error
+        ? `Saved. ${result.created} created, ${result.updated} updated, ${result.removed} removed.`
+        : sync.error || result?.error || "Saved, but the calendar could not be synced."
+    );
+  };
+
+  const inputClassName =
+    "w-24 rounded-full border border-white/10 bg-white/5 px-3 py-1 text-right text-xs text-slate-200 outline-none";
+
+  return (
+    <section className="space-y-3 rounded-3xl border border-white/5 bg-[#0f172a]/60 p-5 text-sm">
+      <div>
+        <h2 className="font-semibold text-slate-100">Recovery blocks on Google Calendar</h2>
+        <p className="mt-1 text-xs text-slate-400">
+          Writes private &ldquo;Recovery&rdquo; busy blocks after heavy meetings so colleagues
+          can see them. Blocks follow their meeting when it moves and disappear when it is
+          cancelled.
+        </p>
+      </div>
+      <label className="flex items-center gap-2 text-xs text-slate-300">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(event) => update({ enabled: event.target.checked })}
+        />
+        Block recovery time automatically
+      </label>
+      <label className="flex items-center justify-between gap-3 text-xs text-slate-300">
+        <span>Write blocks to</span>
+        <select
+          value={settings.calendarId}
+          onChange={(event) => update({ calendarId: event.target.value })}
+          className="rounded-full border border-white/10 bg-white/5 px-3 py-1 text-xs text-slate-200 outline-none"
+        >
+          {!calendars.some((calendar) => calendar.id === settings.calendarId) && (
+            <option value={settings.calendarId}>{settings.calendarId}</option>
+          )}
+          {calendars.map((calendar) => (
+            <option key={calendar.id} value={calendar.id}>
+              {calendar.summary}
+              {calendar.primary ? " (Primary)" : ""}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center justify-between gap-3 text-xs text-slate-300">
+        <span>Only after meetings with load of at least (0–1)</span>
+        <input
+          type="number"
+          min={0}
+          max={1}
+          step={0.05}
+          value={settings.minTotalLoad}
+          onChange={(event) => update({ minTotalLoad: Number(event.target.value) })}
+          className={inputClassName}
+        />
+      </label>
+      <label className="flex items-center justify-between gap-3 text-xs text-slate-300">
+        <span>Skip blocks shorter than (minutes)</span>
+        <input
+          type="number"
+          min={0}
+          max={120}
+          value={settings.minMinutes}
+          onChange={(event) => update({ minMinutes: Number(event.target.value) })}
+          className={inputClassName}
+        />
+      </label>
+      <label className="flex items-center justify-between gap-3 text-xs text-slate-300">
+        <span>Block at most per day (minutes)</span>
+        <input
+          type="number"
+          min={0}
+          max={480}
+          step={5}
+          value={settings.dailyCapMinutes}
+          onChange={(event) => update({ dailyCapMinutes: Number(event.target.value) })}
+          className={inputClassName}
+        />
+      </label>
+      <button
+        onClick={save}
+        className="rounded-2xl bg-white px-4 py-2 text-sm font-semibold text-slate-900"
+      >
+        Save recovery blocks
+      </button>
+      {message && <div className="text-xs text-slate-300">{message}</div>}
+    </section>
+  );
+}
+
+function TravelSettings() {
+  const [stops, setStops] = useState<TravelStop[] | null>(null);
+  const [message, setMessage] = useState("");
+  const homeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  const zones = Intl.supportedValuesOf("timeZone");
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await apiFetch("/api/travel");
+        if (response.ok) {
+          setStops((await response.json()).stops);
+        }
+      } catch {
+        setMessage("We could not load your travel plan.");
+      }
+    };
+
+    load();
+  }, []);
+
+  if (!stops) return null;
+
+  const updateStop = (index: number, patch: Partial<TravelStop>) =>
+    setStops(stops.map((stop, position) => (position === index ? { ...stop, ...patch } : stop)));
+
+  const save = async () => {
+    const response = await apiFetch("/api/travel", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ stops }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      setMessage(data.error || "Could not save your travel plan.");
+      return;
+    }
+    setStops(data.stops);
+    setMessage(data.stops.length ? "Travel plan saved." : "Travel plan cleared.");
+  };
+
+  const inputClassName =
+    "rounded-full border border-white/10 bg-white/5 px-3 py-1 text-xs text-slate-200 outline-none";
+
+  return (
+    <section className="space-y-3 rounded-3xl border border-white/5 bg-[#0f172a]/60 p-5 text-sm">
+      <div>
+        <h2 className="font-semibold text-slate-100">Travel</h2>
+        <p className="mt-1 text-xs text-slate-400">
+          Days are scored in {homeZone} unless a trip says otherwise. Each stop applies from the
+          start of its day until the next one, so add a stop for the trip home as well.
+        </p>
+      </div>
+      {stops.map((stop, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2 text-xs text-slate-300">
+          <span>From</span>
+          <input
+            type="date"
+            value={stop.from}
+            onChange={(event) => updateStop(index, { from: event.target.value })}
+            className={inputClassName}
+          />
+          <span>in</span>
+          <select
+            value={stop.timeZone}
+            onChange={(event) => updateStop(index, { timeZone: event.target.value })}
+            className={inputClassName}
+          >
+            {zones.map((zone) => (
+              <option key={zone} value={zone}>
+                {zone}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => setStops(stops.filter((_, position) => position !== index))}
+            className="text-slate-400 hover:text-slate-200"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="button"
+          onClick={() =>
+            setStops([
+              ...stops,
+              { from: new Date().toISOString().slice(0, 10), timeZone: homeZone },
+            ])
+          }
+          className="rounded-2xl border border-white/10 bg-white/5 px-4 py-2 text-sm text-slate-300"
+        >
+          Add stop
+        </button>
+        <button
+          onClick={save}
+          className="rounded-2xl bg-white px-4 py-2 text-sm font-semibold text-slate-900"
+        >
+          Save travel plan
+        </button>
+      </div>
+      {message && <div className="text-xs text-slate-300">{message}</div>}
+    </section>
+  );
+}
@@ -0,0 +1,32 @@
+export const API_BASE = process.env.NEXT_PUBLIC_API_BASE || "http://localhost:5050";
+export const SESSION_STORAGE_KEY = "cognitive-calendar.session";
+
+export function captureSessionId() {
+  const match = window.location.hash.match(/session=([a-f0-9]+)/);
+  if (match) {
+    window.localStorage.setItem(SESSION_STORAGE_KEY, match[1]);
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+  }
+  return window.localStorage.getItem(SESSION_STORAGE_KEY);
+}
+
+export function apiFetch(path: string, init: RequestInit = {}) {
+  const headers = new Headers(init.headers);
+  const session = window.localStorage.getItem(SESSION_STORAGE_KEY);
+  if (session) {
+    headers.set("Authorization", `Bearer ${session}`);
+  }
+  return fetch(`${API_BASE}${path}`, { ...init, headers });
+}
+
+// Short-lived token for URLs that cannot send the session header (live stream, .ics export).
+export async function fetchLinkToken(scope: "live" | "export") {
+  const response = await apiFetch("/api/session/link-token", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ scope }),
+  });
+  if (!response.ok) return null;
+  const data = await response.json();
+  return (data.token as string) || null;
+}
@@ -0,0 +1,47 @@
+import { API_BASE, fetchLinkToken } from "@/lib/api";
+
+type LiveUpdateHandlers<T> = {
+  onReady: (watching: boolean) => void;
+  onEvents: (payload: T) => void;
+};
+
+const RECONNECT_DELAY_MS = 5000;
+
+// Listens to /api/live for rescored events. EventSource cannot send headers, so it carries a
+// "live" link token. The token is only checked on connect; when the server refuses a reconnect,
+// a fresh token is fetched and the stream reopened.
+export function subscribeToLiveUpdates<T>(
+  params: Record<string, string>,
+  handlers: LiveUpdateHandlers<T>
+) {
+  let source: EventSource | null = null;
+  let retry: ReturnType<typeof setTimeout> | null = null;
+  let closed = false;
+
+  const connect = async () => {
+    const query = new URLSearchParams(params);
+    const token = await fetchLinkToken("live").catch(() => null);
+    if (closed) return;
+    if (token) query.set("token", token);
+
+    source = new EventSource(`${API_BASE}/api/live?${query.toString()}`);
+    source.addEventListener("ready", (event) => {
+      handlers.onReady(Boolean(JSON.parse((event as MessageEvent).data).watching));
+    });
+    source.addEventListener("events", (event) => {
+      handlers.onEvents(JSON.parse((event as MessageEvent).data) as T);
+    });
+    source.addEventListener("error", () => {
+      if (source?.readyState !== EventSource.CLOSED || closed) return;
+      handlers.onReady(false);
+      retry = setTimeout(connect, RECONNECT_DELAY_MS);
+    });
+  };
+
+  connect();
+  return () => {
+    closed = true;
+    if (retry) clearTimeout(retry);
+    source?.close();
+  };
+}
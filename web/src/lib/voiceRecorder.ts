@@ -0,0 +1,73 @@
+import { apiFetch } from "@/lib/api";
+
+// Opus in WebM where supported (Chrome, Edge, recent Firefox), otherwise Ogg (older Firefox).
+const RECORDING_TYPES = ["audio/webm;codecs=opus", "audio/ogg;codecs=opus", "audio/webm"];
+const MAX_RECORDING_MS = 30000;
+
+export const VOICE_LANGUAGES = [
+  { value: "en-US", label: "English (US)" },
+  { value: "en-GB", label: "English (UK)" },
+  { value: "de-DE", label: "Deutsch" },
+  { value: "es-ES", label: "Español" },
+  { value: "fr-FR", label: "Français" },
+  { value: "it-IT", label: "Italiano" },
+  { value: "nl-NL", label: "Nederlands" },
+  { value: "pt-BR", label: "Português (Brasil)" },
+  { value: "pl-PL", label: "Polski" },
+  { value: "hi-IN", label: "हिन्दी" },
+  { value: "ja-JP", label: "日本語" },
+];
+
+export function canRecordVoice() {
+  return (
+    typeof window !== "undefined" &&
+    "MediaRecorder" in window &&
+    Boolean(navigator.mediaDevices?.getUserMedia)
+  );
+}
+
+// Records from the microphone until `stop` is called or thirty seconds pass. `finished`
+// resolves with the recording either way.
+export async function startVoiceRecording() {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const mimeType = RECORDING_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks: Blob[] = [];
+
+  recorder.addEventListener("dataavailable", (event) => chunks.push(event.data));
+  const finished = new Promise<Blob>((resolve) => {
+    recorder.addEventListener(
+      "stop",
+      () => {
+        stream.getTracks().forEach((track) => track.stop());
+        resolve(new Blob(chunks, { type: recorder.mimeType }));
+      },
+      { once: true }
+    );
+  });
+
+  const stop = () => {
+    window.clearTimeout(timer);
+    if (recorder.state !== "inactive") recorder.stop();
+  };
+  const timer = window.setTimeout(stop, MAX_RECORDING_MS);
+  recorder.start();
+
+  return { stop, finished };
+}
+
+export async function transcribeRecording(recording: Blob, language: string) {
+  const response = await apiFetch(
+    `/api/voice/transcribe?language=${encodeURIComponent(language)}`,
+    {
+      method: "POST",
+      headers: { "Content-Type": recording.type || "audio/webm" },
+      body: recording,
+    }
+  );
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || "Transcription failed.");
+  }
+  return String(data.text || "");
+}
@@ -0,0 +1,136 @@
+import { apiFetch } from "@/lib/api";
+
+type VoiceStreamHandlers<T> = {
+  onText: (delta: string) => void;
+  onReset: () => void;
+  onDone: (payload: T) => void;
+  onAudio: (chunk: Uint8Array<ArrayBuffer>, mimeType: string) => void;
+  onAudioError: (reason: string) => void;
+};
+
+export function canStreamVoice() {
+  return (
+    typeof window !== "undefined" &&
+    "MediaSource" in window &&
+    MediaSource.isTypeSupported("audio/mpeg") &&
+    "TextDecoderStream" in window
+  );
+}
+
+// Reads the server-sent events of /api/voice/stream. EventSource cannot POST, so this parses
+// the response body directly.
+export async function streamVoiceQuery<T>(body: object, handlers: VoiceStreamHandlers<T>) {
+  const response = await apiFetch("/api/voice/stream", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok || !response.body) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || "Voice request failed.");
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const events = buffer.split("\n\n");
+    buffer = events.pop() ?? "";
+    for (const raw of events) {
+      const event = raw.match(/^event: (.+)$/m)?.[1];
+      const data = JSON.parse(raw.match(/^data: (.*)$/m)?.[1] || "{}");
+      if (event === "text") handlers.onText(data.delta);
+      if (event === "reset") handlers.onReset();
+      if (event === "done") handlers.onDone(data as T);
+      if (event === "audio") handlers.onAudio(decodeBase64(data.chunk), data.mimeType);
+      if (event === "audio-error") handlers.onAudioError(data.reason);
+      if (event === "error") throw new Error(data.error || "Voice request failed.");
+    }
+  }
+}
+
+// Plays MP3 chunks as they arrive instead of waiting for the whole answer. Other formats, such
+// as WAV from a local synthesizer, arrive as one complete clip per sentence and play in turn.
+export function createStreamingAudio() {
+  const mediaSource = new MediaSource();
+  const audio = new Audio();
+  audio.src = URL.createObjectURL(mediaSource);
+  const pending: Uint8Array<ArrayBuffer>[] = [];
+  let sourceBuffer: SourceBuffer | null = null;
+  let ended = false;
+  let started = false;
+  const clips: string[] = [];
+  const clipAudio = new Audio();
+  let clipPlaying = false;
+
+  const playNextClip = () => {
+    const next = clips.shift();
+    clipPlaying = Boolean(next);
+    if (!next) return;
+    clipAudio.src = next;
+    clipAudio.play().catch(playNextClip);
+  };
+  clipAudio.addEventListener("ended", () => {
+    URL.revokeObjectURL(clipAudio.src);
+    playNextClip();
+  });
+
+  const pump = () => {
+    if (!sourceBuffer || sourceBuffer.updating) return;
+    const next = pending.shift();
+    if (next) {
+      sourceBuffer.appendBuffer(next);
+      if (!started) {
+        started = true;
+        audio.play().catch(() => undefined);
+      }
+      return;
+    }
+    if (ended && mediaSource.readyState === "open") {
+      mediaSource.endOfStream();
+    }
+  };
+
+  mediaSource.addEventListener(
+    "sourceopen",
+    () => {
+      sourceBuffer = mediaSource.addSourceBuffer("audio/mpeg");
+      sourceBuffer.addEventListener("updateend", pump);
+      pump();
+    },
+    { once: true }
+  );
+
+  return {
+    append(chunk: Uint8Array<ArrayBuffer>, mimeType = "audio/mpeg") {
+      if (mimeType !== "audio/mpeg") {
+        clips.push(URL.createObjectURL(new Blob([chunk], { type: mimeType })));
+        if (!clipPlaying) playNextClip();
+        return;
+      }
+      pending.push(chunk);
+      pump();
+    },
+    end() {
+      ended = true;
+      pump();
+    },
+    stop() {
+      audio.pause();
+      URL.revokeObjectURL(audio.src);
+      clipAudio.pause();
+      clips.splice(0).forEach((clip) => URL.revokeObjectURL(clip));
+    },
+  };
+}
+
+function decodeBase64(value: string) {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}